@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Preflight check of the media behind every lesson day: artwork, lesson audio
+ * in each language, the pronunciation clip and the linked video. The bot runs
+ * the same check when it starts.
+ *
+ * Usage:
+ *   node scripts/checkAssets.mjs [--lessons file] [--images dir] [--audio dir] [--name-audio dir]
+ *     [--videos file] [--name-videos file] [--all] [--ignore kind,...]
+ *
+ * Defaults (the bot's settings, read from the environment and `.env`):
+ *   lessons     = LESSONS_PATH or daily_lessons.json (other languages beside it)
+ *   images      = LESSON_IMAGES_DIR or images
+ *   audio       = LESSON_AUDIO_DIR or tts_audio
+ *   name-audio  = LESSON_NAME_AUDIO_DIR or tts_audio/names
+ *   videos      = LESSON_VIDEOS_PATH or asma_ul_husna_videos.json
+ *   name-videos = LESSON_NAME_VIDEOS_PATH or name_videos.json
+ *   ignore      = nameAudio
+ *
+ * Prints a summary per asset and a matrix of the days with a missing or broken
+ * asset (`--all` lists every day). Exits with status 1 when an asset of a kind
+ * not listed in `--ignore` (image, audio, nameAudio, video) is missing or
+ * broken; pass `--ignore ""` to require the pronunciation clips too.
+ */
+
+import 'dotenv/config';
+import path from 'node:path';
+import process from 'node:process';
+import { DEFAULT_LOCALE, localizedPath, resolveLocale, SUPPORTED_LOCALES } from './lib/i18n.mjs';
+import { ASSET_KINDS, checkLessonAssets, failingColumns, formatAssetMatrix, summarizeAssets } from './lib/lessonAssets.mjs';
+import { readLessonsDocument } from './lib/lessonModel.mjs';
+import { readNameVideos } from './lib/nameVideos.mjs';
+import { readVideoList } from './lib/videoCuration.mjs';
+
+const args = process.argv.slice(2);
+
+const getFlagValue = (flag) => {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const resolvePath = (value) => path.resolve(process.cwd(), value);
+
+const lessonsPath = resolvePath(getFlagValue('--lessons') ?? process.env.LESSONS_PATH ?? 'daily_lessons.json');
+const imagesDir = resolvePath(getFlagValue('--images') ?? process.env.LESSON_IMAGES_DIR ?? 'images');
+const audioDir = resolvePath(getFlagValue('--audio') ?? process.env.LESSON_AUDIO_DIR ?? 'tts_audio');
+const nameAudioDir = resolvePath(
+  getFlagValue('--name-audio') ?? process.env.LESSON_NAME_AUDIO_DIR ?? path.join('tts_audio', 'names'),
+);
+const videosPath = resolvePath(getFlagValue('--videos') ?? process.env.LESSON_VIDEOS_PATH ?? 'asma_ul_husna_videos.json');
+const nameVideosPath = resolvePath(
+  getFlagValue('--name-videos') ?? process.env.LESSON_NAME_VIDEOS_PATH ?? 'name_videos.json',
+);
+const ignore = (getFlagValue('--ignore') ?? 'nameAudio').split(',').map((kind) => kind.trim()).filter(Boolean);
+const defaultLocale = resolveLocale(process.env.BOT_DEFAULT_LANGUAGE ?? DEFAULT_LOCALE);
+
+const main = async () => {
+  const unknownKinds = ignore.filter((kind) => !ASSET_KINDS.includes(kind));
+
+  if (unknownKinds.length > 0) {
+    throw new Error(`Unknown asset kind(s) in --ignore: ${unknownKinds.join(', ')}; use ${ASSET_KINDS.join(', ')}.`);
+  }
+
+  if (!defaultLocale) {
+    throw new Error(`Invalid BOT_DEFAULT_LANGUAGE "${process.env.BOT_DEFAULT_LANGUAGE}".`);
+  }
+
+  const lessonSets = new Map();
+
+  for (const locale of SUPPORTED_LOCALES) {
+    const { lessons } = await readLessonsDocument(localizedPath(lessonsPath, locale), {
+      allowMissing: locale !== defaultLocale,
+    });
+
+    if (lessons.length > 0) {
+      lessonSets.set(locale, lessons);
+    }
+  }
+
+  const report = await checkLessonAssets({
+    lessonSets,
+    defaultLocale,
+    imagesDir,
+    audioDir,
+    nameAudioDir,
+    videos: await readVideoList(videosPath, { allowMissing: true }),
+    nameVideos: await readNameVideos(nameVideosPath, { allowMissing: true }),
+  });
+  const matrix = formatAssetMatrix(report, { all: args.includes('--all'), ignore });
+
+  console.log(`Checked ${report.rows.length} days in ${[...lessonSets.keys()].join(', ')}:`);
+  summarizeAssets(report, { ignore }).forEach((line) => console.log(`  ${line}`));
+
+  if (matrix) {
+    console.log(`\n${matrix}`);
+  }
+
+  const failing = failingColumns(report, { ignore });
+
+  if (failing.length > 0) {
+    console.error(`\nMissing or broken: ${failing.map(({ label }) => label).join(', ')}.`);
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Check that the videos the bot links are still watchable and flag the ones
+ * that are not.
+ *
+ * Usage:
+ *   node scripts/checkVideoLinks.mjs [--videos file] [--name-videos file] [--lessons file] [--report file] [--dry-run]
+ *
+ * Defaults:
+ *   videos      = asma_ul_husna_videos.json
+ *   name-videos = name_videos.json (skipped when missing)
+ *   lessons     = daily_lessons.json
+ *
+ * Every video of both files is looked up in batches of 50 through
+ * `lib/youtubeClient.mjs`. Deleted, private and failed uploads get
+ * `"unavailable": true` and an `unavailableReason`; videos that are back lose
+ * the flag. The bot skips flagged entries, so each affected day falls back to
+ * the name's next candidate or a generic video no other day links to. The days
+ * whose video changed are printed, and written as JSON with `--report`.
+ * `--dry-run` reports without writing anything.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { readLessonsDocument } from './lib/lessonModel.mjs';
+import { planLessonVideos, readNameVideos, writeNameVideos } from './lib/nameVideos.mjs';
+import { readVideoList, videoIdOf, writeVideoList } from './lib/videoCuration.mjs';
+import { fetchVideoStatuses } from './lib/videoSearch.mjs';
+import { createYoutubeClient } from './lib/youtubeClient.mjs';
+
+const args = process.argv.slice(2);
+
+const getFlagValue = (flag) => {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const resolvePath = (value) => path.resolve(process.cwd(), value);
+
+const videosPath = resolvePath(getFlagValue('--videos') ?? 'asma_ul_husna_videos.json');
+const nameVideosPath = resolvePath(getFlagValue('--name-videos') ?? 'name_videos.json');
+const lessonsPath = resolvePath(getFlagValue('--lessons') ?? 'daily_lessons.json');
+const reportArg = getFlagValue('--report');
+const dryRun = args.includes('--dry-run');
+
+const lessonVideoUrls = (lessons, sources) => planLessonVideos(sources, lessons).map((video) => video?.url ?? null);
+
+// Flags or clears one entry and says what changed: 'lost', 'restored' or null.
+const applyStatus = (entry, reason, checkedAt) => {
+  const wasUnavailable = entry.unavailable === true;
+  entry.checkedAt = checkedAt;
+
+  if (reason) {
+    entry.unavailable = true;
+    entry.unavailableReason = reason;
+    return wasUnavailable ? null : 'lost';
+  }
+
+  delete entry.unavailable;
+  delete entry.unavailableReason;
+  return wasUnavailable ? 'restored' : null;
+};
+
+const main = async () => {
+  const youtube = createYoutubeClient();
+  const { lessons } = await readLessonsDocument(lessonsPath);
+  const videos = await readVideoList(videosPath);
+  const nameVideos = await readNameVideos(nameVideosPath, { allowMissing: true });
+  const nameEntries = Object.entries(nameVideos.names).flatMap(([nameIndex, entry]) =>
+    entry.candidates.map((candidate) => ({ where: `name ${nameIndex} candidate ${candidate.rank ?? '?'}`, entry: candidate })),
+  );
+  const entries = [
+    ...videos.map((video, index) => ({ where: `${path.basename(videosPath)} entry ${index + 1}`, entry: video })),
+    ...nameEntries,
+  ];
+
+  const before = lessonVideoUrls(lessons, { nameVideos, videos });
+  const videoIds = [...new Set(entries.map(({ entry }) => videoIdOf(entry)).filter(Boolean))];
+  console.log(`Checking ${videoIds.length} videos...`);
+  const statuses = await fetchVideoStatuses(youtube, videoIds);
+
+  const checkedAt = new Date().toISOString();
+  const lost = [];
+  const restored = [];
+
+  for (const { where, entry } of entries) {
+    const videoId = videoIdOf(entry);
+
+    if (!videoId) {
+      continue;
+    }
+
+    const change = applyStatus(entry, statuses.get(videoId), checkedAt);
+
+    if (change === 'lost') {
+      lost.push({ videoId, where, reason: entry.unavailableReason });
+    } else if (change === 'restored') {
+      restored.push({ videoId, where });
+    }
+  }
+
+  const after = lessonVideoUrls(lessons, { nameVideos, videos });
+  const changedDays = lessons
+    .map((lesson, lessonIndex) => ({ day: lesson.day, before: before[lessonIndex], after: after[lessonIndex] }))
+    .filter((change) => change.before !== change.after);
+  const unavailable = entries.filter(({ entry }) => entry.unavailable === true).length;
+
+  lost.forEach(({ videoId, where, reason }) => console.log(`Unavailable: ${videoId} (${where}): ${reason}`));
+  restored.forEach(({ videoId, where }) => console.log(`Available again: ${videoId} (${where})`));
+  changedDays.forEach(({ day, before: from, after: to }) =>
+    console.log(`Day ${day}: ${from ?? 'no video'} → ${to ?? 'no video'}`),
+  );
+  console.log(
+    `${unavailable} of ${entries.length} entries unavailable (${lost.length} new, ${restored.length} back); ${changedDays.length} days changed video.`,
+  );
+
+  if (reportArg) {
+    const report = { checkedAt, checked: videoIds.length, unavailable, lost, restored, changedDays };
+    await fs.writeFile(resolvePath(reportArg), JSON.stringify(report, null, 2), 'utf8');
+    console.log(`Report written to ${resolvePath(reportArg)}`);
+  }
+
+  if (dryRun) {
+    console.log('Dry run: no files were changed.');
+    return;
+  }
+
+  await writeVideoList(videosPath, videos);
+
+  if (nameEntries.length > 0) {
+    await writeNameVideos(nameVideosPath, nameVideos);
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
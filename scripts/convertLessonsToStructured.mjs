@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+
+/**
+ * Convert a legacy `daily_lessons.json` (an array of lesson strings) into the
+ * structured lessons document described in `scripts/lib/lessonModel.mjs`.
+ *
+ * Usage:
+ *   node scripts/convertLessonsToStructured.mjs [inputFile] [outputFile]
+ *
+ * Defaults:
+ *   inputFile  = ./daily_lessons.json
+ *   outputFile = same as input (in-place update)
+ *
+ * Lessons whose sub-headings cannot all be recognised are still converted
+ * (unrecognised text stays in the preceding section) and reported as warnings.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {
+  DAILY_SECTION_KINDS,
+  parseLessonString,
+  writeLessonsDocument,
+} from './lib/lessonModel.mjs';
+
+const inputPath = path.resolve(process.cwd(), process.argv[2] ?? 'daily_lessons.json');
+const outputPath = path.resolve(process.cwd(), process.argv[3] ?? process.argv[2] ?? 'daily_lessons.json');
+
+async function main() {
+  const raw = await fs.readFile(inputPath, 'utf8');
+  const data = JSON.parse(raw);
+
+  if (!Array.isArray(data) || !data.every((lesson) => typeof lesson === 'string')) {
+    throw new Error('Input file must contain a JSON array of lesson strings.');
+  }
+
+  const lessons = data.map((text, idx) => {
+    const lesson = parseLessonString(text, idx + 1);
+
+    if (lesson.nameIndex !== null) {
+      const missing = DAILY_SECTION_KINDS.filter(
+        (kind) => !lesson.sections.some((section) => section.kind === kind && section.text),
+      );
+
+      if (missing.length) {
+        console.warn(`Day ${lesson.day}: could not find section(s) ${missing.join(', ')}.`);
+      }
+    }
+
+    return lesson;
+  });
+
+  await writeLessonsDocument(outputPath, lessons);
+  console.log(`Converted ${lessons.length} lessons to the structured format in ${outputPath}.`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,254 @@
+#!/usr/bin/env node
+
+/**
+ * Curate the generic video list the bot links to lessons (see
+ * `lib/videoCuration.mjs` for the scoring and the curation file).
+ *
+ * Usage:
+ *   node scripts/curateVideos.mjs fetch                         # search YouTube, merge, curate
+ *   node scripts/curateVideos.mjs merge <otherList>             # merge another list, curate
+ *   node scripts/curateVideos.mjs score [--explain]             # rescore, re-sort, place pins
+ *   node scripts/curateVideos.mjs dedupe                        # drop duplicates, keep the order
+ *   node scripts/curateVideos.mjs blocklist add <videoId|channel:Name> [--reason text]
+ *   node scripts/curateVideos.mjs blocklist remove <videoId|channel:Name>
+ *   node scripts/curateVideos.mjs blocklist list
+ *   node scripts/curateVideos.mjs pin add <videoId> <position>
+ *   node scripts/curateVideos.mjs pin remove <videoId>
+ *   node scripts/curateVideos.mjs pin list
+ *   node scripts/curateVideos.mjs validate                      # exit 1 on problems
+ *
+ * Options:
+ *   --list file       video list (default asma_ul_husna_videos.json)
+ *   --curation file   blocklist, pins and scoring (default video_curation.json)
+ *
+ * `fetch`, `merge` and `score` run the whole pass: dedupe, drop blocked
+ * entries, sort by score, place pins and refresh `rank`. `fetch` uses
+ * `MAX_RESULTS` (default 99) per keyword and the same YouTube settings as
+ * `fetchAsmaVideoList.mjs`.
+ */
+
+import path from 'node:path';
+import process from 'node:process';
+import {
+  applyPins,
+  checkVideoList,
+  curateVideos,
+  dedupeVideos,
+  findBlock,
+  mergeVideos,
+  readVideoCuration,
+  readVideoList,
+  rerankVideos,
+  scoreVideo,
+  videoIdOf,
+  writeVideoCuration,
+  writeVideoList,
+} from './lib/videoCuration.mjs';
+import { fetchGenericVideos } from './lib/videoSearch.mjs';
+import { createYoutubeClient } from './lib/youtubeClient.mjs';
+
+const COMMANDS = ['fetch', 'merge', 'score', 'dedupe', 'blocklist', 'pin', 'validate'];
+const VALUE_FLAGS = ['--list', '--curation', '--reason'];
+
+const args = process.argv.slice(2);
+const [command, ...rest] = args;
+
+const getFlagValue = (flag) => {
+  const index = rest.indexOf(flag);
+  return index !== -1 ? rest[index + 1] : undefined;
+};
+
+const positional = rest.filter((arg, index) => !arg.startsWith('--') && !VALUE_FLAGS.includes(rest[index - 1]));
+const listPath = path.resolve(process.cwd(), getFlagValue('--list') ?? 'asma_ul_husna_videos.json');
+const curationPath = path.resolve(process.cwd(), getFlagValue('--curation') ?? 'video_curation.json');
+
+const usage = () => {
+  console.error(
+    'Usage: node scripts/curateVideos.mjs <fetch|merge|score|dedupe|blocklist|pin|validate> [args] [--list file] [--curation file]',
+  );
+  process.exit(1);
+};
+
+if (!COMMANDS.includes(command)) {
+  usage();
+}
+
+const describe = (video) => `#${video.rank ?? '?'} ${videoIdOf(video)}  ${video.channelTitle ?? ''}  ${video.title ?? ''}`;
+
+const saveCurated = async (videos, curation) => {
+  const result = curateVideos(videos, curation);
+
+  result.blocked.forEach((video) => console.log(`Blocked: ${describe(video)}`));
+  result.missingPins.forEach((pin) => console.warn(`Pinned video ${pin.videoId} is not in the list; pin kept.`));
+
+  await writeVideoList(listPath, result.videos);
+  console.log(`Wrote ${result.videos.length} curated videos to ${listPath} (${result.blocked.length} blocked).`);
+  return result.videos;
+};
+
+// "channel:Some Name" targets a channel, anything else a video id.
+const parseBlockTarget = (value) => {
+  if (!value) {
+    usage();
+  }
+
+  return value.startsWith('channel:') ? { channel: value.slice('channel:'.length) } : { videoId: value };
+};
+
+const sameTarget = (a, b) => (a.videoId ?? null) === (b.videoId ?? null) && (a.channel ?? null) === (b.channel ?? null);
+
+const runBlocklist = async (curation) => {
+  const [action, value] = positional;
+
+  if (action === 'list') {
+    curation.blocklist.forEach((entry) =>
+      console.log(`${entry.videoId ?? `channel:${entry.channel}`}  ${entry.addedAt ?? ''}  ${entry.reason ?? ''}`),
+    );
+    console.log(`${curation.blocklist.length} blocklist entries in ${curationPath}.`);
+    return;
+  }
+
+  const target = parseBlockTarget(value);
+
+  if (action === 'add') {
+    if (!curation.blocklist.some((entry) => sameTarget(entry, target))) {
+      curation.blocklist.push({ ...target, reason: getFlagValue('--reason') ?? null, addedAt: new Date().toISOString() });
+    }
+  } else if (action === 'remove') {
+    const before = curation.blocklist.length;
+    curation.blocklist = curation.blocklist.filter((entry) => !sameTarget(entry, target));
+
+    if (curation.blocklist.length === before) {
+      throw new Error(`${value} is not on the blocklist.`);
+    }
+  } else {
+    usage();
+  }
+
+  await writeVideoCuration(curationPath, curation);
+  console.log(`${action === 'add' ? 'Blocked' : 'Unblocked'} ${value}.`);
+
+  if (action === 'remove') {
+    console.log('Unblocked videos come back with the next fetch or merge.');
+    return;
+  }
+
+  const videos = await readVideoList(listPath, { allowMissing: true });
+  const kept = videos.filter((video) => !findBlock(video, curation));
+
+  videos.filter((video) => findBlock(video, curation)).forEach((video) => console.log(`Removed: ${describe(video)}`));
+  await writeVideoList(listPath, rerankVideos(kept));
+};
+
+const runPin = async (curation) => {
+  const [action, videoId, positionArg] = positional;
+
+  if (action === 'list') {
+    [...curation.pins]
+      .sort((a, b) => a.position - b.position)
+      .forEach((pin) => console.log(`${pin.position}  ${pin.videoId}  ${pin.addedAt ?? ''}`));
+    console.log(`${curation.pins.length} pins in ${curationPath}.`);
+    return;
+  }
+
+  if (!videoId) {
+    usage();
+  }
+
+  curation.pins = curation.pins.filter((pin) => pin.videoId !== videoId);
+
+  if (action === 'add') {
+    const position = Number(positionArg);
+
+    if (!Number.isInteger(position) || position < 1) {
+      throw new Error(`position must be a positive integer, got "${positionArg}".`);
+    }
+
+    curation.pins.push({ videoId, position, addedAt: new Date().toISOString() });
+  } else if (action !== 'remove') {
+    usage();
+  }
+
+  await writeVideoCuration(curationPath, curation);
+
+  const { videos, missing } = applyPins(await readVideoList(listPath, { allowMissing: true }), curation);
+  missing.forEach((pin) => console.warn(`Pinned video ${pin.videoId} is not in the list yet; it is placed when it appears.`));
+  await writeVideoList(listPath, rerankVideos(videos));
+  console.log(action === 'add' ? `Pinned ${videoId} at position ${positionArg}.` : `Unpinned ${videoId}.`);
+};
+
+const runValidate = async (curation) => {
+  const { problems, warnings } = checkVideoList(await readVideoList(listPath), curation);
+
+  warnings.forEach((warning) => console.warn(`warning: ${warning}`));
+  problems.forEach((problem) => console.error(problem));
+
+  if (problems.length > 0) {
+    console.error(`${problems.length} problem(s) in ${listPath}.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`${listPath} is consistent with ${curationPath}.`);
+};
+
+const main = async () => {
+  const curation = await readVideoCuration(curationPath);
+
+  if (command === 'blocklist') {
+    await runBlocklist(curation);
+    return;
+  }
+
+  if (command === 'pin') {
+    await runPin(curation);
+    return;
+  }
+
+  if (command === 'validate') {
+    await runValidate(curation);
+    return;
+  }
+
+  if (command === 'fetch') {
+    const youtube = createYoutubeClient();
+    const maxResults = Number.parseInt(process.env.MAX_RESULTS ?? '99', 10);
+    const fetched = await fetchGenericVideos(youtube, { maxResults });
+    await saveCurated(mergeVideos(await readVideoList(listPath, { allowMissing: true }), fetched), curation);
+    return;
+  }
+
+  if (command === 'merge') {
+    if (!positional[0]) {
+      usage();
+    }
+
+    const other = await readVideoList(path.resolve(process.cwd(), positional[0]));
+    await saveCurated(mergeVideos(await readVideoList(listPath), other), curation);
+    return;
+  }
+
+  const videos = await readVideoList(listPath);
+
+  if (command === 'dedupe') {
+    const deduped = dedupeVideos(videos);
+    await writeVideoList(listPath, rerankVideos(deduped));
+    console.log(`Removed ${videos.length - deduped.length} duplicates; ${deduped.length} videos remain in ${listPath}.`);
+    return;
+  }
+
+  const curated = await saveCurated(videos, curation);
+
+  if (rest.includes('--explain')) {
+    curated.forEach((video) => {
+      const { parts } = scoreVideo(video, curation.scoring);
+      const breakdown = Object.entries(parts).map(([name, value]) => `${name} ${value}`).join(', ');
+      console.log(`${describe(video)}\n    ${video.score} = ${breakdown}`);
+    });
+  }
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
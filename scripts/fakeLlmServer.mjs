@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for an OpenAI-compatible chat-completions endpoint. It
+ * answers every lesson prompt with the deterministic fake lesson from
+ * `lib/llmProviders.mjs`, so the generator can run end to end offline.
+ *
+ * Usage:
+ *   node scripts/fakeLlmServer.mjs [port]
+ *
+ * Defaults:
+ *   port = FAKE_LLM_PORT or 8787
+ *
+ * Point the generator at it:
+ *   LLM_PROVIDER=openai-compatible LLM_BASE_URL=http://localhost:8787/v1 pnpm generate:lessons
+ */
+
+import http from 'node:http';
+import process from 'node:process';
+import { buildFakeLessonResponse } from './lib/llmProviders.mjs';
+
+const port = Number.parseInt(process.argv[2] ?? process.env.FAKE_LLM_PORT ?? '8787', 10);
+
+const sendJson = (res, statusCode, payload) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+};
+
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+
+let requestCount = 0;
+
+const server = http.createServer(async (req, res) => {
+  const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+
+  if (req.method !== 'POST' || !pathname.endsWith('/chat/completions')) {
+    sendJson(res, 404, { error: { message: `No fake route for ${req.method} ${pathname}` } });
+    return;
+  }
+
+  let body;
+
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch {
+    sendJson(res, 400, { error: { message: 'Body must be JSON' } });
+    return;
+  }
+
+  const prompt = body.messages?.findLast((message) => message.role === 'user')?.content ?? '';
+  const content = JSON.stringify(buildFakeLessonResponse(prompt));
+  requestCount += 1;
+
+  sendJson(res, 200, {
+    id: `fake-${requestCount}`,
+    object: 'chat.completion',
+    created: 0,
+    model: body.model ?? 'fake-lessons',
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+  });
+});
+
+server.listen(port, () => {
+  console.log(`Fake LLM server listening on http://localhost:${port}/v1/chat/completions`);
+});
+
+const shutdown = () => {
+  console.log(`Served ${requestCount} fake completions, shutting down.`);
+  server.close(() => process.exit(0));
+};
+
+process.once('SIGINT', shutdown);
+process.once('SIGTERM', shutdown);
@@ -1,149 +1,162 @@
+/**
+ * Fetch YouTube videos about the Asma ul Husna.
+ *
+ * Usage:
+ *   node scripts/fetchAsmaVideoList.mjs [output]                                           # generic "99 names" list
+ *   node scripts/fetchAsmaVideoList.mjs --per-name [output] [--names 1-20] [--curation file]  # candidates per name
+ *
+ * Defaults:
+ *   output   = asma_ul_husna_videos.json, or name_videos.json with --per-name
+ *   curation = video_curation.json
+ *
+ * The generic mode overwrites the list with raw search results; `curateVideos.mjs fetch`
+ * merges them into the curated list instead.
+ *
+ * The per-name mode searches for every name by its transliteration and its
+ * Arabic spelling and keeps the best `VIDEO_CANDIDATES` (default 5) videos
+ * that mention it, ranked by how directly they are about the name and by
+ * popularity (see `lib/nameVideos.mjs`). Names outside `--names` keep their
+ * existing entries, so a long run can be split across several days of API quota.
+ * Videos and channels on the blocklist of `video_curation.json` (see
+ * `curateVideos.mjs`) are never picked.
+ *
+ * Requests go through `lib/youtubeClient.mjs`: set `YOUTUBE_API_BASE` to run
+ * against `youtubeStubServer.mjs`, and `YOUTUBE_RECORD_DIR` to save fixtures.
+ */
+
 import { writeFile } from 'node:fs/promises';
 import path from 'node:path';
 import process from 'node:process';
-
-const API_BASE = 'https://www.googleapis.com/youtube/v3';
-const API_KEY = process.env.YOUTUBE_API_KEY;
-
-if (!API_KEY) {
-  console.error('Missing YOUTUBE_API_KEY environment variable.');
-  console.error('Create a YouTube Data API v3 key and export it before running this script.');
+import { divineNames, normalizeArabic } from './lib/divineNames.mjs';
+import { mentionsName, nameSpellings, readNameVideos, writeNameVideos } from './lib/nameVideos.mjs';
+import { findBlock, readVideoCuration } from './lib/videoCuration.mjs';
+import { containsNinetyNine, fetchGenericVideos, fetchVideoDetails, searchVideoIds, toVideoRecord } from './lib/videoSearch.mjs';
+import { createYoutubeClient } from './lib/youtubeClient.mjs';
+
+let youtube;
+
+try {
+  youtube = createYoutubeClient();
+} catch (error) {
+  console.error(error.message);
   process.exit(1);
 }
 
-const SEARCH_KEYWORDS = ['asmaul husna', 'asmaul husna for kids', 'أسماء الله الحسنى', '99 Names of Allah', '99 Beautiful Names', 'Asma Allah Alhusna'];
-const MAX_RESULTS_PER_QUERY = Number.parseInt(process.env.MAX_RESULTS ?? '99', 10);
-const OUTPUT_PATH = path.resolve(process.cwd(), process.argv[2] ?? 'asma_ul_husna_videos.json');
-
-const containsNinetyNine = (title = '') => /(^|\D)99(\D|$)/.test(title);
+const args = process.argv.slice(2);
+const perName = args.includes('--per-name');
+const VALUE_FLAGS = ['--names', '--curation'];
+const getFlagValue = (flag) => (args.includes(flag) ? args[args.indexOf(flag) + 1] : undefined);
+const namesArg = getFlagValue('--names');
+const [outputArg] = args.filter((arg, index) => !arg.startsWith('--') && !VALUE_FLAGS.includes(args[index - 1]));
+const MAX_RESULTS_PER_QUERY = Number.parseInt(process.env.MAX_RESULTS ?? (perName ? '10' : '99'), 10);
+const CANDIDATES_PER_NAME = Number.parseInt(process.env.VIDEO_CANDIDATES ?? '5', 10);
+const OUTPUT_PATH = path.resolve(
+  process.cwd(),
+  outputArg ?? (perName ? 'name_videos.json' : 'asma_ul_husna_videos.json'),
+);
+const CURATION_PATH = path.resolve(process.cwd(), getFlagValue('--curation') ?? 'video_curation.json');
+
+const parseNameRange = (value) => {
+  const indexes = new Set();
+
+  for (const part of value.split(',').map((item) => item.trim()).filter(Boolean)) {
+    const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+    const from = Number(match?.[1]);
+    const to = Number(match?.[2] ?? match?.[1]);
+
+    if (!match || from < 1 || to > divineNames.length || from > to) {
+      throw new Error(`Invalid --names "${value}"; use indexes 1-${divineNames.length}, e.g. --names 1-20,37`);
+    }
 
-const chunk = (items, size) => {
-  const result = [];
-  for (let i = 0; i < items.length; i += size) {
-    result.push(items.slice(i, i + size));
+    for (let index = from; index <= to; index += 1) {
+      indexes.add(index);
+    }
   }
-  return result;
+
+  return divineNames.filter((entry) => indexes.has(entry.index));
 };
 
-const youtubeFetch = async (endpoint, params) => {
-  const url = new URL(`${API_BASE}/${endpoint}`);
-  params.set('key', API_KEY);
-  url.search = params.toString();
+const readableTransliteration = (transliteration) =>
+  transliteration.toLowerCase().replace(/(^|[- '])([a-z])/g, (match) => match.toUpperCase());
 
-  const response = await fetch(url);
+const nameQueries = (entry) => [
+  `${readableTransliteration(entry.transliteration)} meaning name of Allah`,
+  `${normalizeArabic(entry.arabic)} من أسماء الله الحسنى`,
+];
 
-  if (!response.ok) {
-    const body = await response.text();
-    throw new Error(`YouTube API request failed (${response.status} ${response.statusText}): ${body}`);
-  }
+// A title naming the name beats a mention in the description; whole-list compilations are what this mode avoids.
+const scoreCandidate = (video, spellings) => {
+  const titleMatch = mentionsName(video.title, spellings);
+  const descriptionMatch = mentionsName(video.description, spellings);
 
-  return response.json();
-};
+  if (!titleMatch && !descriptionMatch) {
+    return null;
+  }
 
-const fetchSearchResults = async (query, limit) => {
-  const matches = [];
-  let pageToken;
-
-  while (matches.length < limit) {
-    const params = new URLSearchParams({
-      part: 'snippet',
-      q: query,
-      type: 'video',
-      maxResults: '50',
-      order: 'relevance',
-    });
-
-    if (pageToken) {
-      params.set('pageToken', pageToken);
-    }
+  const popularity = Math.log10((video.viewCount ?? 0) + 1);
+  const compilationPenalty = containsNinetyNine(video.title) ? 3 : 0;
 
-    const data = await youtubeFetch('search', params);
-    const items = data.items ?? [];
+  return Number(((titleMatch ? 5 : 1) + popularity - compilationPenalty).toFixed(2));
+};
 
-    for (const item of items) {
-      const title = item.snippet?.title ?? '';
-      const videoId = item.id?.videoId;
+const fetchNameCandidates = async (entry, curation) => {
+  const spellings = nameSpellings(entry);
+  const byId = new Map();
 
-      if (!videoId || !containsNinetyNine(title)) {
-        continue;
-      }
+  for (const query of nameQueries(entry)) {
+    const videoIds = await searchVideoIds(youtube, query, MAX_RESULTS_PER_QUERY, () => true);
+    const details = await fetchVideoDetails(youtube, videoIds.filter((videoId) => !byId.has(videoId)));
 
-      matches.push(videoId);
+    for (const [videoId, detail] of details) {
+      const video = toVideoRecord(query, videoId, detail);
+      const score = findBlock(video, curation) ? null : scoreCandidate(video, spellings);
 
-      if (matches.length >= limit) {
-        break;
+      if (score !== null) {
+        byId.set(videoId, { ...video, score });
       }
     }
-
-    if (!data.nextPageToken) {
-      break;
-    }
-
-    pageToken = data.nextPageToken;
   }
 
-  return matches;
+  return [...byId.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CANDIDATES_PER_NAME)
+    .map((video, index) => ({ rank: index + 1, ...video }));
 };
 
-const fetchVideoDetails = async (videoIds) => {
-  const details = new Map();
-
-  for (const group of chunk(videoIds, 50)) {
-    const params = new URLSearchParams({
-      part: 'snippet,statistics',
-      id: group.join(','),
-      maxResults: '50',
-    });
+const curatePerName = async () => {
+  const entries = namesArg ? parseNameRange(namesArg) : divineNames;
+  const mapping = await readNameVideos(OUTPUT_PATH, { allowMissing: true });
+  const curation = await readVideoCuration(CURATION_PATH);
 
-    const data = await youtubeFetch('videos', params);
+  for (const entry of entries) {
+    console.log(`Searching videos for #${entry.index} ${entry.transliteration}...`);
+    const candidates = await fetchNameCandidates(entry, curation);
 
-    for (const item of data.items ?? []) {
-      details.set(item.id, item);
+    if (candidates.length === 0) {
+      console.warn(`No videos mention #${entry.index} ${entry.transliteration}; it will use the generic list.`);
     }
+
+    mapping.names[String(entry.index)] = {
+      transliteration: entry.transliteration,
+      arabic: entry.arabic,
+      fetchedAt: new Date().toISOString(),
+      candidates,
+    };
+    // Saved after every name, so running out of quota half-way keeps what was fetched.
+    await writeNameVideos(OUTPUT_PATH, mapping);
   }
 
-  return details;
+  console.log(`Saved candidates for ${entries.length} names to ${OUTPUT_PATH}`);
 };
 
 const main = async () => {
-  const allVideos = [];
-
-  for (const keyword of SEARCH_KEYWORDS) {
-    console.log(`Fetching videos for "${keyword}"...`);
-    const videoIds = await fetchSearchResults(keyword, MAX_RESULTS_PER_QUERY);
-    const videoDetails = await fetchVideoDetails(videoIds);
-
-    if (videoIds.length === 0) {
-      console.warn(`No matching videos found for "${keyword}".`);
-      continue;
-    }
-
-    videoIds.forEach((videoId, index) => {
-      const detail = videoDetails.get(videoId);
-      const snippet = detail?.snippet ?? {};
-      const statistics = detail?.statistics ?? {};
-
-      allVideos.push({
-        query: keyword,
-        rank: index + 1,
-        videoId,
-        title: snippet.title ?? '',
-        channelTitle: snippet.channelTitle ?? '',
-        publishedAt: snippet.publishedAt ?? null,
-        description: snippet.description ?? '',
-        viewCount: statistics.viewCount ? Number(statistics.viewCount) : null,
-        likeCount: statistics.likeCount ? Number(statistics.likeCount) : null,
-        url: `https://www.youtube.com/watch?v=${videoId}`,
-      });
-    });
-
-    if (videoIds.length < MAX_RESULTS_PER_QUERY) {
-      console.warn(
-        `Only found ${videoIds.length} videos containing "99" in the title for "${keyword}".`,
-      );
-    }
+  if (perName) {
+    await curatePerName();
+    return;
   }
 
+  const allVideos = await fetchGenericVideos(youtube, { maxResults: MAX_RESULTS_PER_QUERY });
+
   await writeFile(OUTPUT_PATH, JSON.stringify(allVideos, null, 2), 'utf-8');
   console.log(`Saved ${allVideos.length} ranked videos to ${OUTPUT_PATH}`);
 };
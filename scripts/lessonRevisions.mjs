@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Inspect and roll back lessons that were replaced in place (see
+ * `lib/lessonRevisions.mjs`).
+ *
+ * Usage:
+ *   node scripts/lessonRevisions.mjs list [lessonsFile] [--day n]
+ *   node scripts/lessonRevisions.mjs diff <day> [lessonsFile] [--revision id]
+ *   node scripts/lessonRevisions.mjs rollback <day> [lessonsFile] [--revision id]
+ *
+ * Defaults:
+ *   lessonsFile = ./daily_lessons.json
+ *   revision    = the latest revision of that day
+ *
+ * `diff` compares the stored revision (`-`) with the current lesson (`+`).
+ * `rollback` restores the revision and records the lesson it replaces, so a
+ * rollback can itself be rolled back.
+ */
+
+import path from 'node:path';
+import process from 'node:process';
+import { readLessonsDocument, renderLessonText, writeLessonsDocument } from './lib/lessonModel.mjs';
+import { findRevision, readRevisions, recordRevision } from './lib/lessonRevisions.mjs';
+
+const COMMANDS = ['list', 'diff', 'rollback'];
+const VALUE_FLAGS = ['--day', '--revision'];
+
+const args = process.argv.slice(2);
+const [command, ...rest] = args;
+
+const getFlagValue = (flag) => {
+  const index = rest.indexOf(flag);
+  return index !== -1 ? rest[index + 1] : undefined;
+};
+
+const parseInteger = (value, label) => {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+
+  if (!Number.isInteger(number) || number < 1) {
+    console.error(`${label} must be a positive integer, got "${value}".`);
+    process.exit(1);
+  }
+
+  return number;
+};
+
+const usage = () => {
+  console.error('Usage: node scripts/lessonRevisions.mjs <list|diff|rollback> [day] [lessonsFile] [--day n] [--revision id]');
+  process.exit(1);
+};
+
+if (!COMMANDS.includes(command)) {
+  usage();
+}
+
+const positional = rest.filter((arg, index) => !arg.startsWith('--') && !VALUE_FLAGS.includes(rest[index - 1]));
+const needsDay = command !== 'list';
+const day = needsDay ? parseInteger(positional[0], 'day') : parseInteger(getFlagValue('--day'), '--day');
+const lessonsPath = path.resolve(process.cwd(), positional[needsDay ? 1 : 0] ?? 'daily_lessons.json');
+const revisionId = parseInteger(getFlagValue('--revision'), '--revision');
+
+if (needsDay && day === undefined) {
+  usage();
+}
+
+// Line diff via longest common subsequence; lessons are a few dozen lines.
+const diffLines = (before, after) => {
+  const table = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+
+  for (let i = before.length - 1; i >= 0; i -= 1) {
+    for (let j = after.length - 1; j >= 0; j -= 1) {
+      table[i][j] =
+        before[i] === after[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      lines.push(`  ${before[i]}`);
+      i += 1;
+      j += 1;
+    } else if (i < before.length && (j === after.length || table[i + 1][j] >= table[i][j + 1])) {
+      lines.push(`- ${before[i]}`);
+      i += 1;
+    } else {
+      lines.push(`+ ${after[j]}`);
+      j += 1;
+    }
+  }
+
+  return lines;
+};
+
+const describe = (revision) =>
+  `#${revision.id}  day ${revision.day}  ${revision.replacedAt}  ${revision.reason}`;
+
+const selectRevision = (revisions) => {
+  const revision = findRevision(revisions, { day, id: revisionId });
+
+  if (!revision) {
+    throw new Error(
+      revisionId === undefined
+        ? `No revisions recorded for day ${day}.`
+        : `Revision ${revisionId} does not exist for day ${day}.`,
+    );
+  }
+
+  return revision;
+};
+
+const main = async () => {
+  const revisions = await readRevisions(lessonsPath);
+
+  if (command === 'list') {
+    const selected = revisions.filter((revision) => day === undefined || revision.day === day);
+    selected.forEach((revision) => console.log(describe(revision)));
+    console.log(`${selected.length} revision(s) for ${path.basename(lessonsPath)}.`);
+    return;
+  }
+
+  const revision = selectRevision(revisions);
+  const { locale, lessons } = await readLessonsDocument(lessonsPath);
+  const current = lessons.find((lesson) => lesson.day === day);
+
+  if (!current) {
+    throw new Error(`${path.basename(lessonsPath)} has no lesson for day ${day}.`);
+  }
+
+  if (command === 'diff') {
+    console.log(`--- revision ${describe(revision)}`);
+    console.log(`+++ current day ${day}`);
+    diffLines(renderLessonText(revision.lesson).split('\n'), renderLessonText(current).split('\n')).forEach((line) =>
+      console.log(line),
+    );
+    return;
+  }
+
+  const saved = await recordRevision(lessonsPath, current, { reason: `rollback to #${revision.id}` });
+  const restored = lessons.map((lesson) => (lesson.day === day ? revision.lesson : lesson));
+  await writeLessonsDocument(lessonsPath, restored, { locale });
+  console.log(`Day ${day} restored from revision ${revision.id}; the replaced version is revision ${saved.id}.`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,979 @@
+/**
+ * Canonical dataset of the 99 Names of Allah, in lesson order. Lesson N (1-99)
+ * focuses on the entry with `index: N`; lesson 100 is the full review. Every
+ * script reads names from here — run `pnpm names:validate` after editing.
+ *
+ * @typedef {object} DivineName
+ * @property {number} index Lesson order, 1-99.
+ * @property {string} arabic Fully vocalised Arabic, shown in rolls and quizzes.
+ * @property {string} transliteration Upper-case transliteration used in lesson headings.
+ * @property {{ en: string, fa: string, ar: string, ur: string }} meanings One per supported locale.
+ * @property {string[]} quranicReferences `surah:ayah` where the name (or, failing that, its verb) occurs.
+ * @property {{ arabic: string[], transliteration: string[] }} alternateSpellings
+ *   Other spellings seen in older lesson files and video titles; never rendered.
+ */
+
+/** @type {DivineName[]} */
+export const divineNames = [
+  {
+    index: 1,
+    arabic: 'الرَّحْمَنُ',
+    transliteration: 'AR-RAHMAAN',
+    meanings: { en: 'The Beneficent', fa: 'بخشنده‌ی فراگیر', ar: 'ذو الرحمة الواسعة لجميع الخلق', ur: 'بے حد مہربان' },
+    quranicReferences: ['1:3', '55:1', '59:22'],
+    alternateSpellings: { arabic: [], transliteration: ['AR-RAHMAN'] },
+  },
+  {
+    index: 2,
+    arabic: 'الرَّحِيمُ',
+    transliteration: 'AR-RAHEEM',
+    meanings: { en: 'The Merciful', fa: 'مهربان', ar: 'الرحيم بعباده المؤمنين', ur: 'نہایت رحم کرنے والا' },
+    quranicReferences: ['1:3', '2:163', '59:22'],
+    alternateSpellings: { arabic: [], transliteration: ['AR-RAHIM'] },
+  },
+  {
+    index: 3,
+    arabic: 'الْمَلِكُ',
+    transliteration: 'AL-MALIK',
+    meanings: { en: 'The Eternal Lord', fa: 'فرمانروا', ar: 'المالك المتصرف في كل شيء', ur: 'حقیقی بادشاہ' },
+    quranicReferences: ['20:114', '59:23', '62:1'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 4,
+    arabic: 'الْقُدُّوسُ',
+    transliteration: 'AL-QUDDUS',
+    meanings: { en: 'The Most Sacred', fa: 'پاک و منزه', ar: 'المنزّه عن كل نقص', ur: 'ہر عیب سے پاک' },
+    quranicReferences: ['59:23', '62:1'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 5,
+    arabic: 'السَّلاَمُ',
+    transliteration: 'AS-SALAM',
+    meanings: {
+      en: 'The Embodiment of Peace',
+      fa: 'سلامت‌بخش',
+      ar: 'السالم من كل عيب وواهب السلام',
+      ur: 'سلامتی دینے والا',
+    },
+    quranicReferences: ['59:23'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 6,
+    arabic: 'الْمُؤْمِنُ',
+    transliteration: "AL-MU'MIN",
+    meanings: {
+      en: 'The Infuser of Faith',
+      fa: 'ایمنی‌بخش',
+      ar: 'واهب الأمن والإيمان',
+      ur: 'امن اور ایمان عطا کرنے والا',
+    },
+    quranicReferences: ['59:23'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 7,
+    arabic: 'الْمُهَيْمِنُ',
+    transliteration: 'AL-MUHAYMIN',
+    meanings: { en: 'The Preserver of Safety', fa: 'نگهبان و چیره', ar: 'الرقيب الحافظ لخلقه', ur: 'نگہبان' },
+    quranicReferences: ['59:23'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 8,
+    arabic: 'الْعَزِيزُ',
+    transliteration: 'AL-AZIZ',
+    meanings: { en: 'All Mighty', fa: 'عزتمند و شکست‌ناپذیر', ar: 'الغالب الذي لا يُغلب', ur: 'غالب اور زبردست' },
+    quranicReferences: ['3:6', '59:23'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 9,
+    arabic: 'الْجَبَّارُ',
+    transliteration: 'AL-JABBAR',
+    meanings: {
+      en: 'The Compeller, The Restorer',
+      fa: 'جبران‌کننده و مقتدر',
+      ar: 'الذي يجبر الكسر ويقهر بقدرته',
+      ur: 'ٹوٹے کو جوڑنے والا، زور آور',
+    },
+    quranicReferences: ['59:23'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 10,
+    arabic: 'الْمُتَكَبِّرُ',
+    transliteration: 'AL-MUTAKABBIR',
+    meanings: {
+      en: 'The Supreme, The Majestic',
+      fa: 'شایسته‌ی بزرگی',
+      ar: 'المتفرّد بالعظمة والكبرياء',
+      ur: 'بڑائی والا',
+    },
+    quranicReferences: ['59:23'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 11,
+    arabic: 'الْخَالِقُ',
+    transliteration: 'AL-KHAALIQ',
+    meanings: { en: 'The Creator, The Maker', fa: 'آفریننده', ar: 'موجد الأشياء من العدم', ur: 'پیدا کرنے والا' },
+    quranicReferences: ['6:102', '59:24'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-KHALIQ'] },
+  },
+  {
+    index: 12,
+    arabic: 'الْبَارِئُ',
+    transliteration: 'AL-BAARI',
+    meanings: { en: 'The Evolver', fa: 'پدیدآورنده', ar: 'الذي برأ الخلق على غير مثال', ur: 'وجود بخشنے والا' },
+    quranicReferences: ['59:24'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-BARI'] },
+  },
+  {
+    index: 13,
+    arabic: 'الْمُصَوِّرُ',
+    transliteration: 'AL-MUSAWWIR',
+    meanings: { en: 'The Fashioner', fa: 'صورتگر', ar: 'معطي كل مخلوق صورته', ur: 'صورت بنانے والا' },
+    quranicReferences: ['59:24'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 14,
+    arabic: 'الْغَفَّارُ',
+    transliteration: 'AL-GHAFFAR',
+    meanings: { en: 'The Great Forgiver', fa: 'بسیار آمرزنده', ar: 'كثير المغفرة', ur: 'بہت زیادہ بخشنے والا' },
+    quranicReferences: ['20:82', '38:66', '39:5'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 15,
+    arabic: 'الْقَهَّارُ',
+    transliteration: 'AL-QAHHAR',
+    meanings: { en: 'The All-Prevailing One', fa: 'چیره‌ی قاهر', ar: 'الغالب على كل شيء', ur: 'سب پر غالب' },
+    quranicReferences: ['13:16', '39:4', '40:16'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 16,
+    arabic: 'الْوَهَّابُ',
+    transliteration: 'AL-WAHHAAB',
+    meanings: {
+      en: 'The Supreme Bestower',
+      fa: 'بسیار بخشاینده',
+      ar: 'كثير العطاء بلا عوض',
+      ur: 'بے حساب عطا کرنے والا',
+    },
+    quranicReferences: ['3:8', '38:9', '38:35'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-WAHHAB'] },
+  },
+  {
+    index: 17,
+    arabic: 'الرَّزَّاقُ',
+    transliteration: 'AR-RAZZAAQ',
+    meanings: { en: 'The Provider', fa: 'روزی‌دهنده', ar: 'معطي الرزق لجميع الخلق', ur: 'رزق دینے والا' },
+    quranicReferences: ['51:58'],
+    alternateSpellings: { arabic: [], transliteration: ['AR-RAZZAQ'] },
+  },
+  {
+    index: 18,
+    arabic: 'الْفَتَّاحُ',
+    transliteration: 'AL-FATTAAH',
+    meanings: {
+      en: 'The Supreme Solver',
+      fa: 'گشاینده',
+      ar: 'الذي يفتح أبواب الرحمة ويحكم بالحق',
+      ur: 'کھولنے والا، فیصلہ فرمانے والا',
+    },
+    quranicReferences: ['34:26'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-FATTAH'] },
+  },
+  {
+    index: 19,
+    arabic: 'الْعَلِيمُ',
+    transliteration: "AL-'ALEEM",
+    meanings: { en: 'The All-Knowing', fa: 'دانا', ar: 'المحيط علمه بكل شيء', ur: 'سب کچھ جاننے والا' },
+    quranicReferences: ['2:32', '2:158'],
+    alternateSpellings: { arabic: ['اَلْعَلِيْمُ'], transliteration: ["AL-'ALIM"] },
+  },
+  {
+    index: 20,
+    arabic: 'الْقَابِضُ',
+    transliteration: 'AL-QAABID',
+    meanings: { en: 'The Withholder', fa: 'گیرنده و تنگ‌کننده', ar: 'الذي يقبض الرزق بحكمته', ur: 'تنگی کرنے والا' },
+    quranicReferences: ['2:245'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-QABID'] },
+  },
+  {
+    index: 21,
+    arabic: 'الْبَاسِطُ',
+    transliteration: 'AL-BAASIT',
+    meanings: { en: 'The Extender', fa: 'گستراننده', ar: 'الذي يبسط الرزق لمن يشاء', ur: 'کشادگی دینے والا' },
+    quranicReferences: ['2:245'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-BASIT'] },
+  },
+  {
+    index: 22,
+    arabic: 'الْخَافِضُ',
+    transliteration: 'AL-KHAAFIDH',
+    meanings: { en: 'The Reducer', fa: 'پست‌کننده', ar: 'الذي يخفض المتكبرين', ur: 'پست کرنے والا' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: ['AL-KHAFIDH'] },
+  },
+  {
+    index: 23,
+    arabic: 'الرَّافِعُ',
+    transliteration: "AR-RAAFI'",
+    meanings: { en: 'The Exalter, The Elevator', fa: 'بالابرنده', ar: 'الذي يرفع أولياءه', ur: 'بلند کرنے والا' },
+    quranicReferences: ['40:15'],
+    alternateSpellings: { arabic: [], transliteration: ["AR-RAFI'"] },
+  },
+  {
+    index: 24,
+    arabic: 'الْمُعِزُّ',
+    transliteration: "AL-MU'IZZ",
+    meanings: { en: 'The Honourer, The Bestower', fa: 'عزت‌دهنده', ar: 'واهب العزة لمن يشاء', ur: 'عزت دینے والا' },
+    quranicReferences: ['3:26'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 25,
+    arabic: 'الْمُذِلُّ',
+    transliteration: 'AL-MUZIL',
+    meanings: { en: 'The Dishonourer, The Humiliator', fa: 'خوارکننده', ar: 'الذي يُذلّ من يشاء', ur: 'ذلت دینے والا' },
+    quranicReferences: ['3:26'],
+    alternateSpellings: { arabic: ['ٱلْمُذِلُّ'], transliteration: [] },
+  },
+  {
+    index: 26,
+    arabic: 'السَّمِيعُ',
+    transliteration: "AS-SAMEE'",
+    meanings: { en: 'The All-Hearing', fa: 'شنوا', ar: 'الذي يسمع كل شيء', ur: 'سب کچھ سننے والا' },
+    quranicReferences: ['2:127', '2:256', '17:1'],
+    alternateSpellings: { arabic: [], transliteration: ["AS-SAMI'"] },
+  },
+  {
+    index: 27,
+    arabic: 'الْبَصِيرُ',
+    transliteration: 'AL-BASEER',
+    meanings: { en: 'The All-Seeing', fa: 'بینا', ar: 'الذي يرى كل شيء', ur: 'سب کچھ دیکھنے والا' },
+    quranicReferences: ['17:1', '42:11'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-BASIR'] },
+  },
+  {
+    index: 28,
+    arabic: 'الْحَكَمُ',
+    transliteration: 'AL-HAKAM',
+    meanings: { en: 'The Impartial Judge', fa: 'داور', ar: 'الحاكم الذي يفصل بين عباده', ur: 'فیصلہ کرنے والا حاکم' },
+    quranicReferences: ['6:114'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 29,
+    arabic: 'الْعَدْلُ',
+    transliteration: "AL-'ADL",
+    meanings: { en: 'The Utterly Just', fa: 'دادگر', ar: 'العادل المنزّه عن الظلم', ur: 'سراپا انصاف' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 30,
+    arabic: 'اللَّطِيفُ',
+    transliteration: 'AL-LATEEF',
+    meanings: {
+      en: 'The Subtle One, The Most Gentle',
+      fa: 'باریک‌بین و مهربان',
+      ar: 'العالم بدقائق الأمور الرفيق بعباده',
+      ur: 'باریک بین، نہایت مہربان',
+    },
+    quranicReferences: ['6:103', '22:63', '67:14'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-LATIF'] },
+  },
+  {
+    index: 31,
+    arabic: 'الْخَبِيرُ',
+    transliteration: 'AL-KHABEER',
+    meanings: { en: 'The All-Aware', fa: 'آگاه', ar: 'العالم ببواطن الأمور', ur: 'ہر بات سے باخبر' },
+    quranicReferences: ['6:18', '6:103', '67:14'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-KHABIR'] },
+  },
+  {
+    index: 32,
+    arabic: 'الْحَلِيمُ',
+    transliteration: 'AL-HALEEM',
+    meanings: { en: 'The Most Forbearing', fa: 'بردبار', ar: 'الذي يُمهل ولا يعجل بالعقوبة', ur: 'نہایت بردبار' },
+    quranicReferences: ['2:225', '2:235'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-HALIM'] },
+  },
+  {
+    index: 33,
+    arabic: 'الْعَظِيمُ',
+    transliteration: "AL-'AZEEM",
+    meanings: { en: 'The Magnificent, The Supreme', fa: 'باعظمت', ar: 'ذو العظمة المطلقة', ur: 'عظمت والا' },
+    quranicReferences: ['2:255', '42:4'],
+    alternateSpellings: { arabic: [], transliteration: ["AL-'AZIM"] },
+  },
+  {
+    index: 34,
+    arabic: 'الْغَفُورُ',
+    transliteration: 'AL-GHAFOOR',
+    meanings: { en: 'The All-Forgiving', fa: 'آمرزنده', ar: 'الذي يغفر الذنوب جميعاً', ur: 'بخشنے والا' },
+    quranicReferences: ['2:173', '2:235'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-GHAFUR'] },
+  },
+  {
+    index: 35,
+    arabic: 'الشَّكُورُ',
+    transliteration: 'ASH-SHAKOOR',
+    meanings: { en: 'The Most Appreciative', fa: 'سپاس‌پذیر', ar: 'الذي يجزي على القليل بالكثير', ur: 'قدر دان' },
+    quranicReferences: ['35:30', '35:34', '64:17'],
+    alternateSpellings: { arabic: [], transliteration: ['ASH-SHAKUR'] },
+  },
+  {
+    index: 36,
+    arabic: 'الْعَلِيُّ',
+    transliteration: "AL-'ALEE",
+    meanings: { en: 'The Most High, The Exalted', fa: 'بلندمرتبه', ar: 'العالي فوق خلقه', ur: 'بلند مرتبہ' },
+    quranicReferences: ['2:255', '4:34'],
+    alternateSpellings: { arabic: [], transliteration: ["AL-'ALI"] },
+  },
+  {
+    index: 37,
+    arabic: 'الْكَبِيرُ',
+    transliteration: 'AL-KABEER',
+    meanings: {
+      en: 'The Most Great, The Incomparably Great',
+      fa: 'بزرگ',
+      ar: 'الكبير الذي لا أكبر منه',
+      ur: 'سب سے بڑا',
+    },
+    quranicReferences: ['13:9', '22:62'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-KABIR'] },
+  },
+  {
+    index: 38,
+    arabic: 'الْحَفِيظُ',
+    transliteration: 'AL-HAFEEDH',
+    meanings: { en: 'The Preserver', fa: 'نگه‌دارنده', ar: 'الحافظ لكل شيء', ur: 'حفاظت کرنے والا' },
+    quranicReferences: ['11:57', '34:21'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-HAFIDH'] },
+  },
+  {
+    index: 39,
+    arabic: 'الْمُقِيتُ',
+    transliteration: 'AL-MUQEET',
+    meanings: {
+      en: 'The Sustainer',
+      fa: 'روزی‌رسان و نگهبان',
+      ar: 'الذي يعطي كل مخلوق قوته',
+      ur: 'روزی پہنچانے والا، نگران',
+    },
+    quranicReferences: ['4:85'],
+    alternateSpellings: { arabic: ['المُقيِت'], transliteration: ['AL-MUQIT'] },
+  },
+  {
+    index: 40,
+    arabic: 'الْحَسِيبُ',
+    transliteration: 'AL-HASEEB',
+    meanings: {
+      en: 'The Reckoner',
+      fa: 'حسابرس و کفایت‌کننده',
+      ar: 'الكافي المحاسب لعباده',
+      ur: 'حساب لینے والا، کافی',
+    },
+    quranicReferences: ['4:6', '4:86', '33:39'],
+    alternateSpellings: { arabic: ['الْحسِيبُ'], transliteration: ['AL-HASIB'] },
+  },
+  {
+    index: 41,
+    arabic: 'الْجَلِيلُ',
+    transliteration: 'AL-JALEEL',
+    meanings: { en: 'The Majestic', fa: 'شکوهمند', ar: 'ذو الجلال والعظمة', ur: 'جلال والا' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: ['AL-JALIL'] },
+  },
+  {
+    index: 42,
+    arabic: 'الْكَرِيمُ',
+    transliteration: 'AL-KAREEM',
+    meanings: {
+      en: 'The Most Generous, The Most Esteemed',
+      fa: 'بزرگوار و بخشنده',
+      ar: 'كثير الخير والعطاء',
+      ur: 'کرم والا، سخی',
+    },
+    quranicReferences: ['27:40', '82:6'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-KARIM'] },
+  },
+  {
+    index: 43,
+    arabic: 'الرَّقِيبُ',
+    transliteration: 'AR-RAQEEB',
+    meanings: { en: 'The Watchful', fa: 'مراقب', ar: 'المطّلع على كل شيء', ur: 'نگرانی کرنے والا' },
+    quranicReferences: ['4:1', '5:117'],
+    alternateSpellings: { arabic: [], transliteration: ['AR-RAQIB'] },
+  },
+  {
+    index: 44,
+    arabic: 'الْمُجِيبُ',
+    transliteration: 'AL-MUJEEB',
+    meanings: { en: 'The Responsive One', fa: 'اجابت‌کننده', ar: 'الذي يجيب الدعاء', ur: 'دعا قبول کرنے والا' },
+    quranicReferences: ['11:61'],
+    alternateSpellings: { arabic: ['ٱلْمُجِيبُ'], transliteration: ['AL-MUJIB'] },
+  },
+  {
+    index: 45,
+    arabic: 'الْوَاسِعُ',
+    transliteration: 'AL-WAASI',
+    meanings: {
+      en: 'The All-Encompassing, The Boundless',
+      fa: 'گشایشگر و فراگیر',
+      ar: 'الواسع في علمه ورحمته وعطائه',
+      ur: 'وسعت والا',
+    },
+    quranicReferences: ['2:115', '2:247'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-WASI'] },
+  },
+  {
+    index: 46,
+    arabic: 'الْحَكِيمُ',
+    transliteration: 'AL-HAKEEM',
+    meanings: { en: 'The All-Wise', fa: 'فرزانه', ar: 'ذو الحكمة في أقواله وأفعاله', ur: 'حکمت والا' },
+    quranicReferences: ['2:32', '2:129'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-HAKIM'] },
+  },
+  {
+    index: 47,
+    arabic: 'الْوَدُودُ',
+    transliteration: 'AL-WADUD',
+    meanings: { en: 'The Most Loving', fa: 'دوستدار', ar: 'المحب لعباده الصالحين', ur: 'محبت کرنے والا' },
+    quranicReferences: ['11:90', '85:14'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 48,
+    arabic: 'الْمَجِيدُ',
+    transliteration: 'AL-MAJEED',
+    meanings: {
+      en: 'The Glorious, The Most Honorable',
+      fa: 'ستوده و بزرگوار',
+      ar: 'الكامل في المجد والشرف',
+      ur: 'بزرگی والا',
+    },
+    quranicReferences: ['11:73', '85:15'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 49,
+    arabic: 'الْبَاعِثُ',
+    transliteration: 'AL-BAAITH',
+    meanings: {
+      en: 'The Infuser of New Life',
+      fa: 'برانگیزاننده',
+      ar: 'الذي يبعث الخلق بعد الموت',
+      ur: 'مردوں کو اٹھانے والا',
+    },
+    quranicReferences: ['22:7'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-BAITH'] },
+  },
+  {
+    index: 50,
+    arabic: 'الشَّهِيدُ',
+    transliteration: 'ASH-SHAHEED',
+    meanings: { en: 'The All Observing Witnessing', fa: 'گواه', ar: 'الحاضر الشاهد على كل شيء', ur: 'گواہ' },
+    quranicReferences: ['4:79', '4:166', '22:17'],
+    alternateSpellings: { arabic: [], transliteration: ['ASH-SHAHID'] },
+  },
+  {
+    index: 51,
+    arabic: 'الْحَقُّ',
+    transliteration: 'AL-HAQQ',
+    meanings: { en: 'The Absolute Truth', fa: 'حق', ar: 'الثابت الذي لا شك فيه', ur: 'سراسر حق' },
+    quranicReferences: ['20:114', '22:6', '24:25'],
+    alternateSpellings: { arabic: ['الْحَقُ'], transliteration: [] },
+  },
+  {
+    index: 52,
+    arabic: 'الْوَكِيلُ',
+    transliteration: 'AL-WAKEEL',
+    meanings: { en: 'The Trustee, The Disposer of Affairs', fa: 'کارساز', ar: 'الكفيل بأمور عباده', ur: 'کارساز' },
+    quranicReferences: ['3:173', '4:81', '6:102'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-WAKIL'] },
+  },
+  {
+    index: 53,
+    arabic: 'الْقَوِيُّ',
+    transliteration: 'AL-QAWIYY',
+    meanings: { en: 'The All-Strong', fa: 'نیرومند', ar: 'صاحب القوة الكاملة', ur: 'طاقت والا' },
+    quranicReferences: ['22:40', '22:74', '42:19'],
+    alternateSpellings: { arabic: ['الْقَوِيُ'], transliteration: [] },
+  },
+  {
+    index: 54,
+    arabic: 'الْمَتِينُ',
+    transliteration: 'AL-MATEEN',
+    meanings: { en: 'The Firm, The Steadfast', fa: 'استوار', ar: 'الشديد القوة الذي لا يضعف', ur: 'مضبوط' },
+    quranicReferences: ['51:58'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-MATIN'] },
+  },
+  {
+    index: 55,
+    arabic: 'الْوَلِيُّ',
+    transliteration: 'AL-WALIYY',
+    meanings: {
+      en: 'The Protecting Associate',
+      fa: 'دوست و یاور',
+      ar: 'الناصر المتولّي أمور المؤمنين',
+      ur: 'دوست اور مددگار',
+    },
+    quranicReferences: ['2:257', '4:45', '42:28'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 56,
+    arabic: 'الْحَمِيدُ',
+    transliteration: 'AL-HAMEED',
+    meanings: { en: 'The Praiseworthy', fa: 'ستوده', ar: 'المستحق للحمد', ur: 'تعریف کے لائق' },
+    quranicReferences: ['2:267', '14:8', '22:64'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-HAMID'] },
+  },
+  {
+    index: 57,
+    arabic: 'الْمُحْصِي',
+    transliteration: 'AL-MUHSEE',
+    meanings: {
+      en: 'The All-Enumerating, The Counter',
+      fa: 'شمارنده',
+      ar: 'المحيط بعدد كل شيء',
+      ur: 'شمار رکھنے والا',
+    },
+    quranicReferences: ['72:28'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-MUHSI'] },
+  },
+  {
+    index: 58,
+    arabic: 'الْمُبْدِئُ',
+    transliteration: 'AL-MUBDI',
+    meanings: {
+      en: 'The Originator, The Initiator',
+      fa: 'آغازگر',
+      ar: 'الذي بدأ الخلق',
+      ur: 'پہلی بار پیدا کرنے والا',
+    },
+    quranicReferences: ['85:13'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 59,
+    arabic: 'الْمُعِيدُ',
+    transliteration: 'AL-MUEED',
+    meanings: {
+      en: 'The Restorer, The Reinstater',
+      fa: 'بازگرداننده',
+      ar: 'الذي يعيد الخلق بعد فنائهم',
+      ur: 'دوبارہ لوٹانے والا',
+    },
+    quranicReferences: ['85:13'],
+    alternateSpellings: { arabic: ['ٱلْمُعِيدُ'], transliteration: ['AL-MUID'] },
+  },
+  {
+    index: 60,
+    arabic: 'الْمُحْيِي',
+    transliteration: 'AL-MUHYI',
+    meanings: { en: 'The Giver of Life', fa: 'زنده‌کننده', ar: 'واهب الحياة', ur: 'زندگی دینے والا' },
+    quranicReferences: ['30:50', '41:39'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 61,
+    arabic: 'الْمُمِيتُ',
+    transliteration: 'AL-MUMEET',
+    meanings: { en: 'The Inflicter of Death', fa: 'میراننده', ar: 'الذي يقضي بالموت', ur: 'موت دینے والا' },
+    quranicReferences: ['57:2'],
+    alternateSpellings: { arabic: ['اَلْمُمِيتُ'], transliteration: ['AL-MUMIT'] },
+  },
+  {
+    index: 62,
+    arabic: 'الْحَيُّ',
+    transliteration: 'AL-HAYY',
+    meanings: { en: 'The Ever-Living', fa: 'زنده', ar: 'الدائم الحياة', ur: 'ہمیشہ زندہ' },
+    quranicReferences: ['2:255', '3:2', '20:111'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 63,
+    arabic: 'الْقَيُّومُ',
+    transliteration: 'AL-QAYYOOM',
+    meanings: {
+      en: 'The Sustainer, The Self-Subsisting',
+      fa: 'پاینده و برپادارنده',
+      ar: 'القائم بنفسه المقيم لغيره',
+      ur: 'سب کو قائم رکھنے والا',
+    },
+    quranicReferences: ['2:255', '3:2', '20:111'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-QAYYUM'] },
+  },
+  {
+    index: 64,
+    arabic: 'الْوَاجِدُ',
+    transliteration: 'AL-WAAJID',
+    meanings: { en: 'The Perceiver', fa: 'یابنده', ar: 'الذي لا يعوزه شيء', ur: 'پانے والا' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: ['AL-WAJID'] },
+  },
+  {
+    index: 65,
+    arabic: 'الْمَاجِدُ',
+    transliteration: 'AL-MAAJID',
+    meanings: { en: 'The Illustrious, The Magnificent', fa: 'باشکوه', ar: 'العظيم المجد', ur: 'بزرگ و برتر' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 66,
+    arabic: 'الْوَاحِدُ',
+    transliteration: 'AL-WAAHID',
+    meanings: { en: 'The One', fa: 'یگانه', ar: 'الفرد الذي لا شريك له', ur: 'ایک' },
+    quranicReferences: ['13:16', '14:48'],
+    alternateSpellings: { arabic: ['الْواحِدُ'], transliteration: ['AL-WAHID'] },
+  },
+  {
+    index: 67,
+    arabic: 'الْأَحَدُ',
+    transliteration: 'AL-AHAD',
+    meanings: { en: 'The Unique, The Only One', fa: 'یکتا', ar: 'الذي لا مثيل له', ur: 'یکتا' },
+    quranicReferences: ['112:1'],
+    alternateSpellings: { arabic: ['اَلاَحَدُ'], transliteration: [] },
+  },
+  {
+    index: 68,
+    arabic: 'الصَّمَدُ',
+    transliteration: 'AS-SAMAD',
+    meanings: {
+      en: 'The Eternal, Satisfier of Needs',
+      fa: 'بی‌نیازی که همه به او نیازمندند',
+      ar: 'المقصود في الحوائج',
+      ur: 'بے نیاز، سب کا سہارا',
+    },
+    quranicReferences: ['112:2'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 69,
+    arabic: 'الْقَادِرُ',
+    transliteration: 'AL-QADEER',
+    meanings: { en: 'The Omnipotent One', fa: 'توانا', ar: 'القادر على كل شيء', ur: 'قدرت والا' },
+    quranicReferences: ['6:65', '17:99'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-QADIR', 'AL-QAADIR'] },
+  },
+  {
+    index: 70,
+    arabic: 'الْمُقْتَدِرُ',
+    transliteration: 'AL-MUQTADIR',
+    meanings: { en: 'The Powerful', fa: 'مقتدر', ar: 'التام القدرة', ur: 'پوری قدرت رکھنے والا' },
+    quranicReferences: ['54:42', '54:55'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 71,
+    arabic: 'الْمُقَدِّمُ',
+    transliteration: 'AL-MUQADDIM',
+    meanings: { en: 'The Expediter, The Promoter', fa: 'پیش‌اندازنده', ar: 'الذي يقدّم من يشاء', ur: 'آگے کرنے والا' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 72,
+    arabic: 'الْمُؤَخِّرُ',
+    transliteration: "AL-MU'AKHKHIR",
+    meanings: { en: 'The Delayer', fa: 'واپس‌اندازنده', ar: 'الذي يؤخّر من يشاء', ur: 'پیچھے کرنے والا' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 73,
+    arabic: 'الْأَوَّلُ',
+    transliteration: 'AL-AWWAL',
+    meanings: { en: 'The First', fa: 'نخستین', ar: 'الذي ليس قبله شيء', ur: 'سب سے پہلا' },
+    quranicReferences: ['57:3'],
+    alternateSpellings: { arabic: ['الأوَّلُ'], transliteration: [] },
+  },
+  {
+    index: 74,
+    arabic: 'الْآخِرُ',
+    transliteration: 'AL-AAKHIR',
+    meanings: { en: 'The Last', fa: 'واپسین', ar: 'الذي ليس بعده شيء', ur: 'سب سے آخری' },
+    quranicReferences: ['57:3'],
+    alternateSpellings: { arabic: ['الآخِرُ'], transliteration: ['AL-AKHIR'] },
+  },
+  {
+    index: 75,
+    arabic: 'الظَّاهِرُ',
+    transliteration: 'AZ-ZAAHIR',
+    meanings: { en: 'The Manifest', fa: 'آشکار', ar: 'الظاهر بآياته', ur: 'ظاہر' },
+    quranicReferences: ['57:3'],
+    alternateSpellings: { arabic: [], transliteration: ['AZ-ZAHIR'] },
+  },
+  {
+    index: 76,
+    arabic: 'الْبَاطِنُ',
+    transliteration: 'AL-BAATIN',
+    meanings: { en: 'The Hidden One, Knower of the Hidden', fa: 'نهان', ar: 'العالم بالخفايا', ur: 'پوشیدہ' },
+    quranicReferences: ['57:3'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-BATIN'] },
+  },
+  {
+    index: 77,
+    arabic: 'الْوَالِي',
+    transliteration: 'AL-WAALI',
+    meanings: {
+      en: 'The Governor, The Patron',
+      fa: 'سرپرست و فرمانروا',
+      ar: 'المتولّي أمور الخلق',
+      ur: 'سرپرست اور کارفرما',
+    },
+    quranicReferences: ['13:11'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-WALI'] },
+  },
+  {
+    index: 78,
+    arabic: 'الْمُتَعَالِي',
+    transliteration: 'AL-MUTAALI',
+    meanings: { en: 'The Self Exalted', fa: 'برتر از همه', ar: 'المتعالي عن صفات الخلق', ur: 'سب سے برتر' },
+    quranicReferences: ['13:9'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-MUTALI'] },
+  },
+  {
+    index: 79,
+    arabic: 'الْبَرُّ',
+    transliteration: 'AL-BARR',
+    meanings: { en: 'The Source of All Goodness', fa: 'نیکوکار', ar: 'المحسن إلى عباده', ur: 'نیکی کرنے والا' },
+    quranicReferences: ['52:28'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 80,
+    arabic: 'التَّوَّابُ',
+    transliteration: 'AT-TAWWAB',
+    meanings: {
+      en: 'The Ever-Pardoning, The Relenting',
+      fa: 'توبه‌پذیر',
+      ar: 'الذي يقبل توبة عباده',
+      ur: 'توبہ قبول کرنے والا',
+    },
+    quranicReferences: ['2:37', '2:128', '4:16'],
+    alternateSpellings: { arabic: ['التَّوَابُ'], transliteration: [] },
+  },
+  {
+    index: 81,
+    arabic: 'الْمُنْتَقِمُ',
+    transliteration: 'AL-MUNTAQIM',
+    meanings: { en: 'The Avenger', fa: 'کیفردهنده', ar: 'المعاقب للظالمين', ur: 'بدلہ لینے والا' },
+    quranicReferences: ['32:22', '43:41'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 82,
+    arabic: 'الْعَفُوُّ',
+    transliteration: "AL-'AFUWW",
+    meanings: { en: 'The Pardoner', fa: 'درگذرنده', ar: 'الذي يمحو الذنوب', ur: 'معاف کرنے والا' },
+    quranicReferences: ['4:43', '4:99', '22:60'],
+    alternateSpellings: { arabic: ['الْعَفُوُ', 'العَفُوُ'], transliteration: [] },
+  },
+  {
+    index: 83,
+    arabic: 'الرَّؤُوفُ',
+    transliteration: "AR-RA'OOF",
+    meanings: { en: 'The Most Kind', fa: 'رئوف و دلسوز', ar: 'الشديد الرأفة بعباده', ur: 'نہایت شفیق' },
+    quranicReferences: ['2:143', '9:117', '57:9'],
+    alternateSpellings: { arabic: [], transliteration: ["AR-RA'UF"] },
+  },
+  {
+    index: 84,
+    arabic: 'مَالِكُ الْمُلْكِ',
+    transliteration: 'MAALIK-UL-MULK',
+    meanings: {
+      en: 'Master of the Kingdom, Owner of the Dominion',
+      fa: 'دارنده‌ی فرمانروایی',
+      ar: 'المتصرف في ملكه كيف يشاء',
+      ur: 'سلطنت کا مالک',
+    },
+    quranicReferences: ['3:26'],
+    alternateSpellings: { arabic: ['َمَالِكُ ٱلْمُلْكُ'], transliteration: ['MALIK-UL-MULK'] },
+  },
+  {
+    index: 85,
+    arabic: 'ذُو الْجَلَالِ وَالْإِكْرَامِ',
+    transliteration: 'DHUL-JALAALI WAL-IKRAAM',
+    meanings: {
+      en: 'Possessor of Glory and Honour, Lord of Majesty and Generosity',
+      fa: 'صاحب شکوه و بزرگواری',
+      ar: 'صاحب العظمة والإكرام',
+      ur: 'جلال اور اکرام والا',
+    },
+    quranicReferences: ['55:27', '55:78'],
+    alternateSpellings: { arabic: ['ذُوالْجَلاَلِ وَالإكْرَامِ'], transliteration: ['DHUL-JALALI WAL-IKRAM'] },
+  },
+  {
+    index: 86,
+    arabic: 'الْمُقْسِطُ',
+    transliteration: 'AL-MUQSIT',
+    meanings: { en: 'The Just One', fa: 'دادگستر', ar: 'العادل في حكمه', ur: 'انصاف کرنے والا' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 87,
+    arabic: 'الْجَامِعُ',
+    transliteration: 'AL-JAAMI',
+    meanings: {
+      en: 'The Gatherer, The Uniter',
+      fa: 'گردآورنده',
+      ar: 'الذي يجمع الخلائق ليوم الحساب',
+      ur: 'جمع کرنے والا',
+    },
+    quranicReferences: ['3:9', '4:140'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-JAMI'] },
+  },
+  {
+    index: 88,
+    arabic: 'الْغَنِيُّ',
+    transliteration: 'AL-GHANIYY',
+    meanings: { en: 'The Self-Sufficient, The Wealthy', fa: 'بی‌نیاز', ar: 'المستغني عن كل شيء', ur: 'بے نیاز' },
+    quranicReferences: ['2:263', '39:7', '57:24'],
+    alternateSpellings: { arabic: ['ٱلْغَنيُّ'], transliteration: [] },
+  },
+  {
+    index: 89,
+    arabic: 'الْمُغْنِي',
+    transliteration: 'AL-MUGHNI',
+    meanings: { en: 'The Enricher', fa: 'بی‌نیازکننده', ar: 'الذي يغني من يشاء', ur: 'غنی کرنے والا' },
+    quranicReferences: ['9:28'],
+    alternateSpellings: { arabic: ['الْمُغْنِيُّ', 'ٱلْمُغْنِيُّ'], transliteration: [] },
+  },
+  {
+    index: 90,
+    arabic: 'الْمَانِعُ',
+    transliteration: 'AL-MANI',
+    meanings: { en: 'The Preventer of Harm', fa: 'بازدارنده', ar: 'الذي يمنع ما يشاء بحكمته', ur: 'روکنے والا' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: ['اَلْمَانِعُ'], transliteration: [] },
+  },
+  {
+    index: 91,
+    arabic: 'الضَّارُّ',
+    transliteration: 'AD-DHARR',
+    meanings: { en: 'The Distresser', fa: 'زیان‌رسان', ar: 'المقدّر للضر بحكمته', ur: 'نقصان پہنچانے والا' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: ['الضَّارَ'], transliteration: [] },
+  },
+  {
+    index: 92,
+    arabic: 'النَّافِعُ',
+    transliteration: "AN-NAFI'",
+    meanings: { en: 'The Propitious, The Benefactor', fa: 'سودرسان', ar: 'المقدّر للنفع', ur: 'نفع پہنچانے والا' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 93,
+    arabic: 'النُّورُ',
+    transliteration: 'AN-NUR',
+    meanings: { en: 'The Light, The Illuminator', fa: 'نور', ar: 'منوّر السماوات والأرض', ur: 'نور، روشن کرنے والا' },
+    quranicReferences: ['24:35'],
+    alternateSpellings: { arabic: [], transliteration: [] },
+  },
+  {
+    index: 94,
+    arabic: 'الْهَادِي',
+    transliteration: 'AL-HAADI',
+    meanings: { en: 'The Guide', fa: 'راهنما', ar: 'الذي يهدي من يشاء', ur: 'ہدایت دینے والا' },
+    quranicReferences: ['22:54', '25:31'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-HADI'] },
+  },
+  {
+    index: 95,
+    arabic: 'الْبَدِيعُ',
+    transliteration: 'AL-BADEE',
+    meanings: {
+      en: 'The Incomparable Originator',
+      fa: 'نوآفرین',
+      ar: 'المبدع الذي لا نظير لخلقه',
+      ur: 'بے مثال پیدا کرنے والا',
+    },
+    quranicReferences: ['2:117', '6:101'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-BADI'] },
+  },
+  {
+    index: 96,
+    arabic: 'الْبَاقِي',
+    transliteration: 'AL-BAAQI',
+    meanings: { en: 'The Everlasting', fa: 'پاینده', ar: 'الدائم الذي لا يفنى', ur: 'ہمیشہ باقی رہنے والا' },
+    quranicReferences: ['55:27'],
+    alternateSpellings: { arabic: ['اَلْبَاقِي'], transliteration: ['AL-BAQI'] },
+  },
+  {
+    index: 97,
+    arabic: 'الْوَارِثُ',
+    transliteration: 'AL-WAARITH',
+    meanings: { en: 'The Inheritor, The Heir', fa: 'وارث', ar: 'الباقي بعد فناء الخلق', ur: 'سب کا وارث' },
+    quranicReferences: ['15:23', '21:89', '28:58'],
+    alternateSpellings: { arabic: [], transliteration: ['AL-WARITH'] },
+  },
+  {
+    index: 98,
+    arabic: 'الرَّشِيدُ',
+    transliteration: 'AR-RASHEED',
+    meanings: {
+      en: 'The Guide, Infallible Teacher',
+      fa: 'راهنمای رشد',
+      ar: 'المرشد إلى سبيل الرشاد',
+      ur: 'سیدھی راہ دکھانے والا',
+    },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: ['AR-RASHID'] },
+  },
+  {
+    index: 99,
+    arabic: 'الصَّبُورُ',
+    transliteration: 'AS-SABOOR',
+    meanings: { en: 'The Forbearing, The Patient', fa: 'شکیبا', ar: 'عظيم الصبر', ur: 'بہت صبر کرنے والا' },
+    quranicReferences: [],
+    alternateSpellings: { arabic: [], transliteration: ['AS-SABUR'] },
+  },
+];
+
+export const findDivineName = (index) => divineNames.find((entry) => entry.index === index) ?? null;
+
+const ARABIC_DIACRITICS = /[\u064B-\u065F\u0670\u06D6-\u06ED\u0640]/g;
+
+/**
+ * Reduce Arabic text to its consonant skeleton: no harakat, shadda or tatweel,
+ * hamza-carrying alefs folded to a plain alef, and no spaces. Two spellings of
+ * the same name share a skeleton.
+ */
+export const normalizeArabic = (text) =>
+  text
+    .replace(ARABIC_DIACRITICS, '')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/\s+/g, '');
+
+const normalizeTransliteration = (text) => text.trim().toUpperCase();
+
+/** Look a name up by its canonical or any alternate spelling, in either script. */
+export const findDivineNameBySpelling = (spelling) => {
+  const arabic = normalizeArabic(spelling);
+  const latin = normalizeTransliteration(spelling);
+
+  return (
+    divineNames.find(
+      (entry) =>
+        normalizeArabic(entry.arabic) === arabic ||
+        [entry.transliteration, ...entry.alternateSpellings.transliteration].includes(latin),
+    ) ?? null
+  );
+};
+
+/** Meaning in the given locale, falling back to English where the dataset has no translation. */
+export const getMeaning = (entry, locale) => entry.meanings[locale] ?? entry.meanings.en;
@@ -0,0 +1,120 @@
+/**
+ * Building blocks for the bot's hot reload: a debounced watcher and a sanity
+ * check for media files. Directories are watched rather than single files,
+ * because the scripts replace files by renaming a temporary file over them and
+ * a per-file watch loses track of the file after the first rename.
+ */
+
+import { watch } from 'node:fs';
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+export const DEFAULT_DEBOUNCE_MS = 500;
+
+/**
+ * Watch directories and call `onChange(filePath)` once writes to a matching
+ * file have settled. Temporary `.tmp` files are ignored; a missing directory
+ * is skipped with a warning.
+ *
+ * @param {{ dir: string, recursive?: boolean, filter: (filePath: string) => boolean,
+ *   onChange: (filePath: string) => Promise<void> | void }[]} targets
+ * @param {object} [options]
+ * @param {number} [options.debounceMs]
+ * @param {(error: Error) => void} [options.onError]
+ * @returns {{ close: () => void }}
+ */
+export const watchFiles = (targets, { debounceMs = DEFAULT_DEBOUNCE_MS, onError = console.error } = {}) => {
+  const watchers = [];
+  const timers = new Map();
+
+  targets.forEach((target, targetIndex) => {
+    let watcher;
+
+    try {
+      watcher = watch(target.dir, { recursive: target.recursive ?? false, persistent: false }, (_event, filename) => {
+        if (!filename) {
+          return;
+        }
+
+        const filePath = path.join(target.dir, filename.toString());
+
+        if (filePath.endsWith('.tmp') || !target.filter(filePath)) {
+          return;
+        }
+
+        // Two targets may share a directory (lessons and videos both live in the project root).
+        const key = `${targetIndex}:${filePath}`;
+        clearTimeout(timers.get(key));
+        timers.set(
+          key,
+          setTimeout(() => {
+            timers.delete(key);
+            Promise.resolve()
+              .then(() => target.onChange(filePath))
+              .catch(onError);
+          }, debounceMs),
+        );
+      });
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn(`Not watching ${target.dir}: the directory does not exist.`);
+        return;
+      }
+
+      throw error;
+    }
+
+    watcher.on('error', onError);
+    watchers.push(watcher);
+  });
+
+  return {
+    close: () => {
+      watchers.forEach((watcher) => watcher.close());
+      timers.forEach((timer) => clearTimeout(timer));
+      timers.clear();
+    },
+  };
+};
+
+const startsWith = (bytes, signature, offset = 0) =>
+  signature.every((byte, position) => bytes[offset + position] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+const MEDIA_CHECKS = {
+  '.jpg': (bytes) => startsWith(bytes, [0xff, 0xd8, 0xff]),
+  '.jpeg': (bytes) => startsWith(bytes, [0xff, 0xd8, 0xff]),
+  '.png': (bytes) => startsWith(bytes, [0x89, 0x50, 0x4e, 0x47]),
+  '.wav': (bytes) => startsWith(bytes, ascii('RIFF')) && startsWith(bytes, ascii('WAVE'), 8),
+  '.ogg': (bytes) => startsWith(bytes, ascii('OggS')),
+  '.oga': (bytes) => startsWith(bytes, ascii('OggS')),
+  '.opus': (bytes) => startsWith(bytes, ascii('OggS')),
+  '.mp3': (bytes) => startsWith(bytes, ascii('ID3')) || (bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0),
+};
+
+/**
+ * Why a media file cannot be sent, or `null` when it looks fine: empty files
+ * and files whose header does not match their extension (e.g. a half-copied
+ * upload) are rejected. Throws ENOENT when the file is gone.
+ */
+export const checkMediaFile = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+
+  try {
+    const { size } = await handle.stat();
+
+    if (size === 0) {
+      return 'the file is empty';
+    }
+
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+    const check = MEDIA_CHECKS[path.extname(filePath).toLowerCase()];
+
+    return !check || check(buffer.subarray(0, bytesRead))
+      ? null
+      : `the contents are not a valid ${path.extname(filePath)} file`;
+  } finally {
+    await handle.close();
+  }
+};
@@ -0,0 +1,136 @@
+/**
+ * Minimal HTTP server for the bot: Telegram webhook updates plus health and
+ * readiness probes. Works without the bot itself, so it can be exercised
+ * locally by POSTing sample update JSON.
+ *
+ *   POST <webhookPath>  — Telegram update; requires the secret-token header
+ *   GET  /healthz       — 200 while the process is up
+ *   GET  /readyz        — 200 once `isReady()` is true, 503 otherwise
+ */
+
+import { timingSafeEqual } from 'node:crypto';
+import http from 'node:http';
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+const httpError = (statusCode, message) => Object.assign(new Error(message), { statusCode });
+
+const sendJson = (res, statusCode, payload) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+};
+
+const secretMatches = (expected, received) => {
+  if (typeof received !== 'string') {
+    return false;
+  }
+
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+
+  return (
+    expectedBuffer.length === receivedBuffer.length &&
+    timingSafeEqual(expectedBuffer, receivedBuffer)
+  );
+};
+
+const readJsonBody = (req) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let tooLarge = false;
+
+    // Past the limit the rest of the body is read and dropped rather than the socket destroyed,
+    // so the client gets the 413 response instead of a connection reset.
+    req.on('data', (chunk) => {
+      if (tooLarge) {
+        return;
+      }
+
+      size += chunk.length;
+
+      if (size > MAX_BODY_BYTES) {
+        tooLarge = true;
+        chunks.length = 0;
+        reject(httpError(413, 'Payload too large'));
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (tooLarge) {
+        return;
+      }
+
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(httpError(400, 'Body must be JSON'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+
+/**
+ * @param {object} options
+ * @param {string | null} options.webhookPath Path that accepts updates; null disables the webhook route.
+ * @param {string | null} options.secretToken Expected `X-Telegram-Bot-Api-Secret-Token` value.
+ * @param {(update: object) => void} options.onUpdate
+ * @param {() => boolean} options.isReady
+ * @returns {http.Server}
+ */
+export const createBotHttpServer = ({ webhookPath, secretToken, onUpdate, isReady }) =>
+  http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url ?? '/', 'http://localhost');
+
+    try {
+      if (req.method === 'GET' && pathname === '/healthz') {
+        sendJson(res, 200, { status: 'ok', uptime: Math.round(process.uptime()) });
+        return;
+      }
+
+      if (req.method === 'GET' && pathname === '/readyz') {
+        const ready = isReady();
+        sendJson(res, ready ? 200 : 503, { status: ready ? 'ready' : 'starting' });
+        return;
+      }
+
+      if (webhookPath && pathname === webhookPath) {
+        if (req.method !== 'POST') {
+          throw httpError(405, 'Method not allowed');
+        }
+
+        if (secretToken && !secretMatches(secretToken, req.headers[SECRET_HEADER])) {
+          throw httpError(401, 'Invalid secret token');
+        }
+
+        const update = await readJsonBody(req);
+
+        if (!update || typeof update !== 'object' || typeof update.update_id !== 'number') {
+          throw httpError(400, 'Expected a Telegram update with an update_id');
+        }
+
+        onUpdate(update);
+        sendJson(res, 200, { ok: true });
+        return;
+      }
+
+      throw httpError(404, 'Not found');
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error(`HTTP ${req.method} ${pathname} failed:`, error);
+      }
+
+      if (!res.headersSent) {
+        if (error.statusCode === 413) {
+          res.setHeader('Connection', 'close');
+        }
+
+        sendJson(res, error.statusCode ?? 500, { ok: false, error: error.message });
+      }
+    }
+  });
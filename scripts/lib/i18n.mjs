@@ -0,0 +1,88 @@
+/**
+ * Languages the curriculum and the bot are offered in. Persian is the
+ * original language: its lesson file and audio directory keep their
+ * unsuffixed names, every other locale gets a sibling path (see
+ * `localizedPath`).
+ *
+ * Bot UI text lives in per-locale catalogs under `./messages/`. Templates use
+ * `{name}` placeholders; numeric values are rendered in the locale's digits.
+ * A key missing from a catalog falls back to the Persian catalog.
+ */
+
+import path from 'node:path';
+import ar from './messages/ar.mjs';
+import en from './messages/en.mjs';
+import fa from './messages/fa.mjs';
+import ur from './messages/ur.mjs';
+
+export const DEFAULT_LOCALE = 'fa';
+
+/** `name` is shown to subscribers; `language` is used in generator prompts. */
+export const LANGUAGES = {
+  fa: { name: 'فارسی', language: 'Persian', intl: 'fa-IR', direction: 'rtl' },
+  en: { name: 'English', language: 'English', intl: 'en-GB', direction: 'ltr' },
+  ar: { name: 'العربية', language: 'Arabic', intl: 'ar-EG', direction: 'rtl' },
+  ur: { name: 'اردو', language: 'Urdu', intl: 'ur-PK', direction: 'rtl' },
+};
+
+export const SUPPORTED_LOCALES = Object.keys(LANGUAGES);
+
+const CATALOGS = { fa, en, ar, ur };
+
+/** Map a locale or language tag (`en`, `en-US`, `ur_PK`) to a supported locale, or null. */
+export const resolveLocale = (value) => {
+  const code = String(value ?? '').trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(code) ? code : null;
+};
+
+/**
+ * Per-locale sibling of a file or directory path: `daily_lessons.json` becomes
+ * `daily_lessons.en.json` and `tts_audio` becomes `tts_audio/en`. The default
+ * locale keeps the path unchanged.
+ */
+export const localizedPath = (basePath, locale) => {
+  if (locale === DEFAULT_LOCALE) {
+    return basePath;
+  }
+
+  const extension = path.extname(basePath);
+
+  return extension
+    ? `${basePath.slice(0, -extension.length)}.${locale}${extension}`
+    : path.join(basePath, locale);
+};
+
+export const createTranslator = (locale) => {
+  const code = resolveLocale(locale) ?? DEFAULT_LOCALE;
+  const catalog = CATALOGS[code];
+  const { intl } = LANGUAGES[code];
+
+  const formatDigits = (value) =>
+    String(value).replace(/\d/g, (digit) => Number(digit).toLocaleString(intl));
+
+  const t = (key, params = {}) => {
+    const template = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key];
+
+    if (template === undefined) {
+      throw new Error(`Missing message "${key}"`);
+    }
+
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) {
+        return placeholder;
+      }
+
+      const value = params[name];
+      return typeof value === 'number' ? formatDigits(value) : String(value);
+    });
+  };
+
+  return {
+    locale: code,
+    intl,
+    t,
+    formatDigits,
+    formatDate: (date, options = {}) => new Date(date).toLocaleDateString(intl, options),
+    formatDateTime: (date, options = {}) => new Date(date).toLocaleString(intl, options),
+  };
+};
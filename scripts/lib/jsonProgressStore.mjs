@@ -0,0 +1,97 @@
+/**
+ * Progress store that keeps every subscriber in a single JSON document
+ * (`{ "users": { "<chatId>": { ... } } }`). The whole file is rewritten on
+ * each save, so it suits a single bot process with a modest subscriber list.
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const readProgressFile = async (filePath) => {
+  try {
+    const contents = await fs.readFile(filePath, 'utf8');
+    return JSON.parse(contents);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { users: {} };
+    }
+
+    throw error;
+  }
+};
+
+export const readProgressDocument = async (filePath) => {
+  const progress = await readProgressFile(filePath);
+
+  if (typeof progress !== 'object' || progress === null || Array.isArray(progress)) {
+    throw new Error(`Corrupted progress file at ${filePath}`);
+  }
+
+  if (!progress.users || typeof progress.users !== 'object') {
+    progress.users = {};
+  }
+
+  if (!progress.meta || typeof progress.meta !== 'object') {
+    progress.meta = {};
+  }
+
+  return progress;
+};
+
+/**
+ * @param {{ filePath: string }} options
+ * @returns {Promise<import('./progressStore.mjs').ProgressStore>}
+ */
+export const createJsonProgressStore = async ({ filePath }) => {
+  const progress = await readProgressDocument(filePath);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  // Serialise writes so overlapping saves never race on the temporary file.
+  let pendingWrite = Promise.resolve();
+
+  const persist = () => {
+    pendingWrite = pendingWrite
+      .catch(() => {})
+      .then(async () => {
+        const tmpPath = `${filePath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(progress, null, 2), 'utf8');
+        await fs.rename(tmpPath, filePath);
+      });
+
+    return pendingWrite;
+  };
+
+  return {
+    kind: 'json',
+    location: filePath,
+    getUser: async (chatId) => progress.users[String(chatId)] ?? null,
+    listUsers: async () => Object.entries(progress.users),
+    saveUser: async (chatId, state) => {
+      progress.users[String(chatId)] = state;
+      await persist();
+    },
+    updateUser: async (chatId, update) => {
+      const state = progress.users[String(chatId)];
+
+      if (!state) {
+        return null;
+      }
+
+      update(state);
+      await persist();
+      return state;
+    },
+    deleteUser: async (chatId) => {
+      delete progress.users[String(chatId)];
+      await persist();
+    },
+    getMeta: async (key) => progress.meta[key] ?? null,
+    setMeta: async (key, value) => {
+      progress.meta[key] = value;
+      await persist();
+    },
+    close: async () => {
+      await pendingWrite;
+    },
+  };
+};
@@ -0,0 +1,208 @@
+/**
+ * Where the bot finds each lesson's media, and a check of every lesson day
+ * against it, shared by `checkAssets.mjs` and the bot's startup preflight.
+ *
+ * What a day needs follows from the lessons themselves: a day with a focus name
+ * (`nameIndex`) has that name's artwork and pronunciation clip, every day of
+ * every language has lesson audio, and every day has a video from the
+ * per-name mapping or the generic list. Day 100 has no focus name, so it needs
+ * no image or clip.
+ *
+ * Each cell of the resulting matrix is `ok`, `missing`, `broken` (empty, or
+ * not the format its extension says; see `checkMediaFile`) or `none` when the
+ * day does not need that asset.
+ */
+
+import path from 'node:path';
+import { checkMediaFile } from './hotReload.mjs';
+import { localizedPath } from './i18n.mjs';
+import { planLessonVideos } from './nameVideos.mjs';
+import { nameClipFilename } from './ttsAudio.mjs';
+
+// OGG/Opus voice notes from `tts_lessons.mjs`; WAV files from older runs are still sent as audio.
+export const LESSON_AUDIO_VARIANTS = [
+  { extension: '.ogg', contentType: 'audio/ogg', voice: true },
+  { extension: '.wav', contentType: 'audio/wav', voice: false },
+];
+
+export const ASSET_KINDS = ['image', 'audio', 'nameAudio', 'video'];
+
+const MATRIX_SYMBOLS = { ok: '✓', missing: '✗', broken: '!', none: '·' };
+
+/** The artwork of a lesson's focus name, or null on days without one. */
+export const lessonImagePath = (imagesDir, lesson) =>
+  lesson.nameIndex === null ? null : path.join(imagesDir, `devine-name-${lesson.nameIndex}.jpg`);
+
+/** Candidate audio files of a lesson, in the order the bot prefers them. */
+export const lessonAudioPaths = (audioDir, locale, day) =>
+  LESSON_AUDIO_VARIANTS.map((variant) => ({
+    ...variant,
+    path: path.join(localizedPath(audioDir, locale), `lesson_${String(day).padStart(3, '0')}${variant.extension}`),
+  }));
+
+export const nameAudioPath = (nameAudioDir, nameIndex) => path.join(nameAudioDir, nameClipFilename(nameIndex));
+
+const inspectFile = async (filePath) => {
+  try {
+    const problem = await checkMediaFile(filePath);
+    return problem ? { status: 'broken', path: filePath, problem } : { status: 'ok', path: filePath };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { status: 'missing', path: filePath };
+    }
+
+    throw error;
+  }
+};
+
+// The first usable variant wins, as in the bot; otherwise a broken file is worth more than "missing".
+const inspectAudio = async (candidates, inspect) => {
+  const results = [];
+
+  for (const candidate of candidates) {
+    const result = await inspect(candidate.path);
+
+    if (result.status === 'ok') {
+      return result;
+    }
+
+    results.push(result);
+  }
+
+  return results.find((result) => result.status === 'broken') ?? results[0];
+};
+
+/**
+ * Check every lesson day against its media.
+ *
+ * @param {object} options
+ * @param {Map<string, object[]>} options.lessonSets Lessons per locale; the default locale's decide the days.
+ * @param {string} options.defaultLocale
+ * @param {string} options.imagesDir
+ * @param {string} options.audioDir
+ * @param {string} options.nameAudioDir
+ * @param {object[]} options.videos Generic video list.
+ * @param {object} options.nameVideos Per-name mapping (`lib/nameVideos.mjs`).
+ * @returns {Promise<{ columns: object[], rows: object[], totals: object, brokenFiles: object[] }>}
+ *   `brokenFiles` lists every broken file seen, with the column it belongs to,
+ *   including a broken `.ogg` whose day is still covered by a `.wav`.
+ */
+export const checkLessonAssets = async ({
+  lessonSets,
+  defaultLocale,
+  imagesDir,
+  audioDir,
+  nameAudioDir,
+  videos,
+  nameVideos,
+}) => {
+  const lessons = lessonSets.get(defaultLocale) ?? [];
+  const locales = [defaultLocale, ...[...lessonSets.keys()].filter((locale) => locale !== defaultLocale)];
+  const columns = [
+    { key: 'image', kind: 'image', label: 'image' },
+    ...locales.map((locale) => ({ key: `audio:${locale}`, kind: 'audio', label: `audio:${locale}` })),
+    { key: 'nameAudio', kind: 'nameAudio', label: 'name clip' },
+    { key: 'video', kind: 'video', label: 'video' },
+  ];
+  const none = { status: 'none' };
+  const rows = [];
+  const brokenFiles = [];
+  const lessonVideos = planLessonVideos({ nameVideos, videos }, lessons);
+  let day = null;
+
+  const inspect = async (filePath, key) => {
+    const result = await inspectFile(filePath);
+
+    if (result.status === 'broken') {
+      brokenFiles.push({ day, key, path: filePath, problem: result.problem });
+    }
+
+    return result;
+  };
+
+  for (const [lessonIndex, lesson] of lessons.entries()) {
+    day = lesson.day;
+    const imagePath = lessonImagePath(imagesDir, lesson);
+    const cells = {
+      image: imagePath ? await inspect(imagePath, 'image') : none,
+      nameAudio: lesson.nameIndex === null ? none : await inspect(nameAudioPath(nameAudioDir, lesson.nameIndex), 'nameAudio'),
+    };
+
+    for (const locale of locales) {
+      const hasLesson = (lessonSets.get(locale) ?? []).some((localeLesson) => localeLesson.day === lesson.day);
+      cells[`audio:${locale}`] = hasLesson
+        ? await inspectAudio(lessonAudioPaths(audioDir, locale, lesson.day), (filePath) => inspect(filePath, `audio:${locale}`))
+        : none;
+    }
+
+    const video = lessonVideos[lessonIndex];
+    cells.video = video ? { status: 'ok', url: video.url } : { status: 'missing' };
+    rows.push({ day: lesson.day, cells });
+  }
+
+  const totals = Object.fromEntries(
+    columns.map(({ key }) => {
+      const counts = { expected: 0, ok: 0, missing: 0, broken: 0 };
+
+      for (const { cells } of rows) {
+        if (cells[key].status !== 'none') {
+          counts.expected += 1;
+          counts[cells[key].status] += 1;
+        }
+      }
+
+      return [key, counts];
+    }),
+  );
+
+  return { columns, rows, totals, brokenFiles };
+};
+
+const hasProblem = (cell) => cell.status === 'missing' || cell.status === 'broken';
+
+const isIgnored = ({ key, kind }, ignore) => ignore.includes(kind) || ignore.includes(key);
+
+const checkedColumns = (report, ignore) => report.columns.filter((column) => !isIgnored(column, ignore));
+
+/** Columns with a missing or broken asset, leaving out the given kinds (e.g. `['nameAudio']`). */
+export const failingColumns = (report, { ignore = [] } = {}) =>
+  checkedColumns(report, ignore).filter(({ key }) => report.rows.some(({ cells }) => hasProblem(cells[key])));
+
+/** One line per column: "audio:fa 97/100 ok, 3 missing"; columns in `ignore` are marked "(ignored)". */
+export const summarizeAssets = (report, { ignore = [] } = {}) =>
+  report.columns.map((column) => {
+    const { expected, ok, missing, broken } = report.totals[column.key];
+    const problems = [missing ? `${missing} missing` : null, broken ? `${broken} broken` : null].filter(Boolean);
+    const ignored = isIgnored(column, ignore) ? ' (ignored)' : '';
+    return `${column.label} ${ok}/${expected} ok${problems.length > 0 ? `, ${problems.join(', ')}` : ''}${ignored}`;
+  });
+
+/**
+ * The per-day matrix as text, one row per day with a problem (every day with
+ * `all`), followed by the reason for each broken file. Columns in `ignore` are
+ * left out, as are their broken files. Empty when there is nothing to show.
+ */
+export const formatAssetMatrix = (report, { all = false, ignore = [] } = {}) => {
+  const columns = checkedColumns(report, ignore);
+  const rows = all ? report.rows : report.rows.filter(({ cells }) => columns.some(({ key }) => hasProblem(cells[key])));
+  const brokenFiles = report.brokenFiles.filter(({ key }) => columns.some((column) => column.key === key));
+
+  if (rows.length === 0 && brokenFiles.length === 0) {
+    return '';
+  }
+
+  const widths = columns.map(({ label }) => Math.max(label.length, 1));
+  const header = ['day', ...columns.map(({ label }, index) => label.padEnd(widths[index]))].join('  ');
+  const lines = rows.map(({ day, cells }) =>
+    [
+      String(day).padStart(3),
+      ...columns.map(({ key }, index) => MATRIX_SYMBOLS[cells[key].status].padEnd(widths[index])),
+    ].join('  '),
+  );
+  const legend = `${MATRIX_SYMBOLS.ok} ok  ${MATRIX_SYMBOLS.missing} missing  ${MATRIX_SYMBOLS.broken} broken  ${MATRIX_SYMBOLS.none} not needed`;
+  const broken = brokenFiles.map(({ day, path: filePath, problem }) => `Day ${day}: ${filePath}: ${problem}`);
+
+  const matrix = rows.length > 0 ? [header.trimEnd(), ...lines.map((line) => line.trimEnd()), legend] : [];
+
+  return [...matrix, ...broken].join('\n');
+};
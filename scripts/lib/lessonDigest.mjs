@@ -0,0 +1,139 @@
+/**
+ * Prompt context for the lesson generator. Pasting every earlier lesson into
+ * the prompt grows without bound, so each lesson keeps a short summary
+ *
+ *   "summary": { "story": "...", "habit": "...", "themes": ["...", "..."] }
+ *
+ * and the prompt is built from a token-budgeted digest of those summaries,
+ * with full text only for the most recent days. Lessons generated before
+ * summaries existed get one derived from their sections.
+ */
+
+import { findDivineName } from './divineNames.mjs';
+import { renderLessonBody } from './lessonModel.mjs';
+
+export const DEFAULT_TOKEN_BUDGET = 6000;
+export const DEFAULT_FULL_TEXT_DAYS = 3;
+
+const MAX_DERIVED_LENGTH = 160;
+
+/**
+ * Rough token count without a tokenizer: about four ASCII characters per
+ * token, and far fewer for Persian, Arabic and Urdu script.
+ */
+export const estimateTokens = (text) => {
+  const value = String(text ?? '');
+  const ascii = value.replace(/[^\x00-\x7F]/g, '').length;
+  return Math.ceil(ascii / 4 + (value.length - ascii) / 2);
+};
+
+const firstSentence = (text) => {
+  const sentence = String(text ?? '').trim().split(/(?<=[.!?؟۔])\s+|\n+/)[0] ?? '';
+  return sentence.length > MAX_DERIVED_LENGTH ? `${sentence.slice(0, MAX_DERIVED_LENGTH - 1)}…` : sentence;
+};
+
+const sectionText = (lesson, kind) => lesson.sections.find((section) => section.kind === kind)?.text;
+
+/** The stored summary, or one derived from the lesson's own sections. */
+export const getLessonSummary = (lesson) => {
+  if (lesson.summary) {
+    return lesson.summary;
+  }
+
+  return {
+    story: firstSentence(sectionText(lesson, 'example') ?? sectionText(lesson, 'review')),
+    habit: firstSentence(sectionText(lesson, 'habit')),
+    themes: [],
+  };
+};
+
+const focusLabel = (lesson) => findDivineName(lesson.nameIndex)?.transliteration ?? 'full review';
+
+const renderDigestLine = (lesson) => {
+  const { story, habit, themes } = getLessonSummary(lesson);
+  const parts = [
+    story && `story: ${story}`,
+    habit && `habit: ${habit}`,
+    themes?.length && `themes: ${themes.join(', ')}`,
+  ].filter(Boolean);
+
+  return `Day ${lesson.day} – ${focusLabel(lesson)}: ${parts.join('; ') || 'no summary'}`;
+};
+
+const renderFullLesson = (lesson) => `Day ${lesson.day}\n${lesson.heading}\n${renderLessonBody(lesson)}`;
+
+const renderCollapsed = (lessons) =>
+  `Days ${lessons[0].day}–${lessons[lessons.length - 1].day} covered: ${lessons.map(focusLabel).join(', ')}`;
+
+/**
+ * Context about earlier lessons that fits in `tokenBudget`. The newest
+ * `fullTextDays` lessons go in verbatim (at least the latest one, even over
+ * budget), older ones as one-line summaries newest first, and whatever still
+ * does not fit collapses into a list of the names covered.
+ *
+ * @returns {{ text: string, tokens: number, fullText: number, digest: number, collapsed: number }}
+ */
+export const buildPriorContext = (
+  priorLessons,
+  { tokenBudget = DEFAULT_TOKEN_BUDGET, fullTextDays = DEFAULT_FULL_TEXT_DAYS } = {},
+) => {
+  if (priorLessons.length === 0) {
+    return { text: 'None yet.', tokens: 0, fullText: 0, digest: 0, collapsed: 0 };
+  }
+
+  let remaining = tokenBudget;
+  let cutoff = priorLessons.length;
+  const fullBlocks = [];
+
+  while (cutoff > 0 && fullBlocks.length < fullTextDays) {
+    const block = renderFullLesson(priorLessons[cutoff - 1]);
+    const cost = estimateTokens(block);
+
+    if (fullBlocks.length > 0 && cost > remaining) {
+      break;
+    }
+
+    fullBlocks.unshift(block);
+    remaining -= cost;
+    cutoff -= 1;
+  }
+
+  const digestLines = [];
+
+  while (cutoff > 0) {
+    const line = renderDigestLine(priorLessons[cutoff - 1]);
+    const cost = estimateTokens(line);
+    // Keep room for the collapsed line that will cover everything older.
+    const reserve = cutoff > 1 ? estimateTokens(renderCollapsed(priorLessons.slice(0, cutoff - 1))) : 0;
+
+    if (cost + reserve > remaining) {
+      break;
+    }
+
+    digestLines.unshift(line);
+    remaining -= cost;
+    cutoff -= 1;
+  }
+
+  const collapsed = priorLessons.slice(0, cutoff);
+  const parts = [];
+
+  if (collapsed.length > 0) {
+    parts.push(renderCollapsed(collapsed));
+  }
+
+  if (digestLines.length > 0) {
+    parts.push(`Summaries of earlier lessons:\n${digestLines.join('\n')}`);
+  }
+
+  parts.push(`Most recent lessons in full:\n\n${fullBlocks.join('\n\n---\n\n')}`);
+
+  const text = parts.join('\n\n');
+  return {
+    text,
+    tokens: estimateTokens(text),
+    fullText: fullBlocks.length,
+    digest: digestLines.length,
+    collapsed: collapsed.length,
+  };
+};
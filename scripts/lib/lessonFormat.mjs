@@ -0,0 +1,148 @@
+/**
+ * Telegram HTML rendering of structured lessons: a bold heading and section
+ * titles, and the remembrance roll in an expandable blockquote. Right-to-left
+ * lessons get a right-to-left mark at the start of every line and each run of
+ * Latin text (transliterations, English meanings) wrapped in a left-to-right
+ * isolate, so "روز ۱۷ – AR-RAZZAAQ: The Provider" keeps its reading order.
+ *
+ * Messages are chunked so that every chunk is valid HTML on its own: a part
+ * too long for one message is split at a line break (or a space) and its tag
+ * is closed and reopened around each piece; in right-to-left lessons every
+ * piece also starts with its own right-to-left mark. Each chunk carries the
+ * same text without markup for resending when Telegram rejects the HTML.
+ */
+
+import { LANGUAGES } from './i18n.mjs';
+import { renderRollNames } from './lessonModel.mjs';
+
+export const MAX_MESSAGE_LENGTH = 4096;
+
+export const RLM = '\u200F';
+const LRI = '\u2066';
+const PDI = '\u2069';
+
+const TAGS = {
+  bold: { open: '<b>', close: '</b>' },
+  roll: { open: '<blockquote expandable>', close: '</blockquote>' },
+  plain: { open: '', close: '' },
+};
+
+// A Latin run starts and ends with a letter or digit and may contain spaces and light punctuation.
+const LATIN_RUN = /[A-Za-zÀ-ɏḀ-ỿ](?:[A-Za-zÀ-ɏḀ-ỿ0-9'’:,.\- ]*[A-Za-zÀ-ɏḀ-ỿ0-9])?/g;
+
+export const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const applyDirection = (text, direction) =>
+  direction === 'rtl'
+    ? text
+        .split('\n')
+        .map((line) => (line ? `${RLM}${line.replace(LATIN_RUN, (run) => `${LRI}${run}${PDI}`)}` : line))
+        .join('\n')
+    : text;
+
+// Each part of the lesson, with the separator that precedes it in the message.
+const lessonParts = (lesson) => [
+  { tag: TAGS.bold, text: lesson.heading, separator: '\n\n' },
+  ...lesson.sections.flatMap((section) => [
+    { tag: TAGS.bold, text: section.title, separator: '\n\n' },
+    { tag: TAGS.plain, text: section.text, separator: section.title ? '\n' : '\n\n' },
+  ]),
+  { tag: TAGS.bold, text: lesson.roll.title, separator: '\n\n' },
+  { tag: TAGS.roll, text: renderRollNames(lesson.roll), separator: '\n' },
+].filter((part) => part.text?.trim());
+
+const renderPart = (tag, text) => `${tag.open}${escapeHtml(text)}${tag.close}`;
+
+// Greedy split into pieces that satisfy `fits`: at line breaks first, then at spaces, then anywhere.
+const splitToFit = (text, fits) => {
+  if (fits(text)) {
+    return [text];
+  }
+
+  for (const separator of ['\n', ' ']) {
+    const tokens = text.split(separator);
+
+    if (tokens.length === 1) {
+      continue;
+    }
+
+    const pieces = [];
+    let current = null;
+
+    for (const token of tokens) {
+      const candidate = current === null ? token : `${current}${separator}${token}`;
+
+      if (current === null || fits(candidate)) {
+        current = candidate;
+        continue;
+      }
+
+      pieces.push(current);
+      current = token;
+    }
+
+    pieces.push(current);
+    return pieces.flatMap((piece) => splitToFit(piece, fits));
+  }
+
+  const pieces = [];
+  let current = '';
+
+  for (const char of text) {
+    if (current && !fits(`${current}${char}`)) {
+      pieces.push(current);
+      current = '';
+    }
+
+    current += char;
+  }
+
+  return [...pieces, current];
+};
+
+/**
+ * The lesson as Telegram messages: `[{ html, text }]`, where `html` is sent
+ * with `parse_mode: 'HTML'` and `text` is the plain fallback. Neither exceeds
+ * `maxLength` characters.
+ */
+export const formatLessonMessages = (lesson, locale, { maxLength = MAX_MESSAGE_LENGTH } = {}) => {
+  const direction = LANGUAGES[locale]?.direction ?? 'ltr';
+  const messages = [];
+  let html = '';
+  let text = '';
+
+  for (const part of lessonParts(lesson)) {
+    // Split before adding direction marks, so every piece starts with its own mark and no split
+    // lands inside a left-to-right isolate. A split at a blank line leaves the piece starting with
+    // a line break, which would push the mark off the first line; those are trimmed.
+    const fits = (piece) => renderPart(part.tag, applyDirection(piece, direction)).length <= maxLength;
+    const pieces = splitToFit(part.text.trim(), fits)
+      .map((piece) => piece.replace(/^\n+|\n+$/g, ''))
+      .filter(Boolean)
+      .map((piece) => applyDirection(piece, direction));
+
+    pieces.forEach((piece, index) => {
+      const separator = index === 0 ? part.separator : '\n';
+      const pieceHtml = renderPart(part.tag, piece);
+
+      if (html && `${html}${separator}${pieceHtml}`.length <= maxLength) {
+        html = `${html}${separator}${pieceHtml}`;
+        text = `${text}${separator}${piece}`;
+        return;
+      }
+
+      if (html) {
+        messages.push({ html, text });
+      }
+
+      html = pieceHtml;
+      text = piece;
+    });
+  }
+
+  if (html) {
+    messages.push({ html, text });
+  }
+
+  return messages;
+};
@@ -0,0 +1,220 @@
+/**
+ * One-lesson generation shared by `generateLessons.mjs` (whole curriculum) and
+ * `validateLessons.mjs --fix` (single failing days): prompt construction, the
+ * response schema, retries and assembly of the final structured lesson.
+ */
+
+import process from 'node:process';
+import { divineNames, getMeaning } from './divineNames.mjs';
+import { LANGUAGES } from './i18n.mjs';
+import { buildPriorContext, DEFAULT_FULL_TEXT_DAYS, DEFAULT_TOKEN_BUDGET, estimateTokens } from './lessonDigest.mjs';
+import { buildLessonHeading, buildRoll, DAILY_SECTION_KINDS, SECTION_KINDS } from './lessonModel.mjs';
+
+const systemDirective = [
+  'You are designing a 100-day memorisation journey for the Asma ul Husna.',
+  'Blend spiritual reflection, practical habits, and relatable real-life parallels.',
+  'Each lesson must feel connected to the previous ones and highlight a single divine name (Day 1-99) or the full review (Day 100).',
+  'Keep the tone warm, encouraging, and rooted in daily life.',
+  'Return responses as JSON matching the provided schema, with no extra wrapping or commentary.',
+].join(' ');
+
+const lessonSchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['sections', 'summary'],
+  properties: {
+    sections: {
+      type: 'array',
+      description:
+        'The lesson for the requested day, one entry per outline item in order. Do not include the remembrance recap; the script appends that automatically.',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['kind', 'title', 'text'],
+        properties: {
+          kind: { type: 'string', enum: SECTION_KINDS },
+          title: {
+            type: 'string',
+            description: 'Short sub-heading for the section; empty string for the opening.',
+          },
+          text: {
+            type: 'string',
+            description: 'Section text without leading/trailing whitespace.',
+          },
+        },
+      },
+    },
+    summary: {
+      type: 'object',
+      description:
+        'A compact English summary of this lesson, used to keep later lessons from repeating it.',
+      additionalProperties: false,
+      required: ['story', 'habit', 'themes'],
+      properties: {
+        story: { type: 'string', description: 'The example story in one short sentence.' },
+        habit: { type: 'string', description: 'The suggested habit or dhikr plan in one short sentence.' },
+        themes: {
+          type: 'array',
+          description: 'Two to four key themes, a few words each.',
+          items: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const buildUserPrompt = (dayNumber, context, locale, notes) => {
+  const { language } = LANGUAGES[locale];
+  // Feedback from a failed quality check, when a day is being regenerated.
+  const corrections = notes.length
+    ? ['A previous version of this lesson was rejected; avoid these problems:', ...notes.map((note) => `  • ${note}`)]
+    : [];
+
+  if (dayNumber <= divineNames.length) {
+    const nameEntry = divineNames[dayNumber - 1];
+    return [
+      `We are preparing lesson ${dayNumber} in a 100-day journey.`,
+      'Use the earlier lessons below to maintain continuity and avoid repeating their stories and habits.',
+      `Focus name: ${nameEntry.transliteration} (${nameEntry.arabic}) – ${nameEntry.meanings.en}${
+        locale === 'en' ? '' : ` (${language}: ${getMeaning(nameEntry, locale)})`
+      }.`,
+      'Design a flowing lesson with:',
+      '  • an inviting opening that anchors the day’s intention,',
+      '  • a vivid, contemporary example illustrating the divine attribute,',
+      '  • a short reflection exercise (questions or journaling prompts),',
+      '  • a practical habit or dhikr plan for the next 24 hours,',
+      '  • and 1–2 lines that reinforce how today links to prior discoveries.',
+      `Return these as sections of kind ${DAILY_SECTION_KINDS.join(', ')} (in that order), each with a short ${language} sub-heading.`,
+      'Do not include the remembrance recap line; it will be appended later.',
+      'Also return a compact English summary of the lesson (story, habit, themes).',
+      ...corrections,
+      `The lessons language is ${language}.`,
+      'Prior lessons (for reference):',
+      context.text,
+    ].join('\n');
+  }
+
+  return [
+    'Create the final Day 100 lesson that celebrates the whole journey.',
+    'Key elements to include:',
+    '  • A heartfelt reflection on the transformation across all 99 names.',
+    '  • Guidance for reviewing and weaving the names into daily worship beyond the 100 days.',
+    '  • Suggestions for teaching or sharing the Asma ul Husna with family/community.',
+    '  • A unifying dua or affirmation that encapsulates the full experience.',
+    'Return the whole lesson as a single section of kind review with an empty title.',
+    'Do not include the remembrance recap line; it will be appended later.',
+    'Also return a compact English summary of the lesson (story, habit, themes).',
+    ...corrections,
+    `The lessons language is ${language}.`,
+    'Prior lessons (for reference):',
+    context.text,
+  ].join('\n');
+};
+
+const normaliseSummary = (summary) => ({
+  story: String(summary?.story ?? '').trim(),
+  habit: String(summary?.habit ?? '').trim(),
+  themes: Array.isArray(summary?.themes)
+    ? summary.themes.map((theme) => String(theme).trim()).filter(Boolean)
+    : [],
+});
+
+// Section kinds the prompt asks for, in order: the daily outline, or the single review section of Day 100.
+const outlineFor = (dayNumber) => (dayNumber <= divineNames.length ? DAILY_SECTION_KINDS : ['review']);
+
+// Schema-constrained output can still drop, repeat or reorder sections; treat that as a failed attempt.
+const checkOutline = (sections, outline) => {
+  const kinds = sections.map((section) => section.kind);
+
+  if (kinds.join() !== outline.join()) {
+    throw new Error(`Model returned sections ${kinds.join(', ') || '(none)'}; expected ${outline.join(', ')}`);
+  }
+
+  const empty = sections.find((section) => !section.text);
+
+  if (empty) {
+    throw new Error(`Model returned an empty ${empty.kind} section.`);
+  }
+};
+
+const composeLesson = (dayNumber, { sections, summary }, locale) => {
+  const nameEntry = divineNames[dayNumber - 1];
+  return {
+    day: dayNumber,
+    nameIndex: nameEntry?.index ?? null,
+    heading: buildLessonHeading(dayNumber, locale),
+    sections,
+    roll: buildRoll(dayNumber, 'transliteration', locale),
+    summary,
+  };
+};
+
+/**
+ * @param {object} options
+ * @param {{ name: string, model: string, generateJson: Function }} options.provider From `createLlmProvider`.
+ * @param {NodeJS.ProcessEnv} [options.env] Reads LLM_MAX_RETRIES, LLM_RETRY_DELAY_MS,
+ *   PROMPT_TOKEN_BUDGET and PROMPT_FULL_TEXT_DAYS (OPENAI_* retry names still work).
+ */
+export const createLessonGenerator = ({ provider, env = process.env }) => {
+  const maxRetries = Number.parseInt(env.LLM_MAX_RETRIES ?? env.OPENAI_MAX_RETRIES ?? '3', 10);
+  const baseDelayMs = Number.parseInt(env.LLM_RETRY_DELAY_MS ?? env.OPENAI_RETRY_DELAY_MS ?? '1000', 10);
+  const tokenBudget = Number.parseInt(env.PROMPT_TOKEN_BUDGET ?? String(DEFAULT_TOKEN_BUDGET), 10);
+  const fullTextDays = Number.parseInt(env.PROMPT_FULL_TEXT_DAYS ?? String(DEFAULT_FULL_TEXT_DAYS), 10);
+
+  const generateLessonContent = async (prompt, outline) => {
+    for (let attempt = 0; attempt <= maxRetries; attempt += 1) {
+      try {
+        const parsed = await provider.generateJson({
+          system: systemDirective,
+          prompt,
+          schema: lessonSchema,
+          schemaName: 'lesson_response',
+        });
+
+        if (!Array.isArray(parsed?.sections) || parsed.sections.length === 0) {
+          throw new Error('Model response missing lesson sections.');
+        }
+
+        const sections = parsed.sections.map((section) => ({
+          kind: section.kind,
+          title: section.title?.trim() || null,
+          text: String(section.text ?? '').trim(),
+        }));
+        checkOutline(sections, outline);
+
+        return { sections, summary: normaliseSummary(parsed.summary) };
+      } catch (error) {
+        if (attempt === maxRetries) {
+          throw error;
+        }
+
+        const delay = baseDelayMs * 2 ** attempt;
+        console.warn(`Attempt ${attempt + 1} failed: ${error.message}. Retrying in ${delay}ms.`);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+      }
+    }
+
+    throw new Error(`Failed to generate a lesson with ${provider.name}.`);
+  };
+
+  /**
+   * Generate one lesson. `priorLessons` are the lessons before `dayNumber`;
+   * `notes` lists problems the new version must avoid.
+   */
+  const generateLesson = async (dayNumber, priorLessons, locale, { notes = [] } = {}) => {
+    const context = buildPriorContext(priorLessons, { tokenBudget, fullTextDays });
+    const prompt = buildUserPrompt(dayNumber, context, locale, notes);
+
+    console.log(`[${locale}] Generating lesson ${dayNumber} of 100 using ${provider.name}/${provider.model}...`);
+    console.log(
+      `[${locale}] Prompt ≈ ${estimateTokens(systemDirective) + estimateTokens(prompt)} tokens ` +
+        `(context ≈ ${context.tokens}: ${context.fullText} full, ${context.digest} summarised, ${context.collapsed} listed).`,
+    );
+
+    const content = await generateLessonContent(prompt, outlineFor(dayNumber));
+    console.log(`[${locale}] Response ≈ ${estimateTokens(JSON.stringify(content))} tokens.`);
+    return composeLesson(dayNumber, content, locale);
+  };
+
+  return { provider, generateLesson };
+};
@@ -0,0 +1,299 @@
+/**
+ * Structured lesson format shared by the generator, the bot and the
+ * post-processing scripts. `daily_lessons.json` holds:
+ *
+ *   {
+ *     "version": 1,
+ *     "locale": "fa",
+ *     "lessons": [
+ *       {
+ *         "day": 1,
+ *         "nameIndex": 1,                 // null for the Day 100 review
+ *         "heading": "روز ۱ – AR-RAHMAAN: The Beneficent",
+ *         "sections": [
+ *           { "kind": "intention", "title": null, "text": "..." },
+ *           { "kind": "example", "title": "یک مثال روزمره و روشن", "text": "..." },
+ *           ...
+ *         ],
+ *         "roll": { "title": "یادآوری اسما الحسنی تا روز ۱:", "script": "arabic", "nameIndexes": [1] },
+ *         "summary": { "story": "...", "habit": "...", "themes": ["..."] }   // optional
+ *       }
+ *     ]
+ *   }
+ *
+ * Section kinds follow the lesson outline in `buildUserPrompt`; the Day 100
+ * review is a single `review` section. The remembrance roll stores name
+ * indexes, and `script` picks whether it renders in Arabic or transliteration.
+ * The optional `summary` is what the generator feeds into later prompts (see
+ * `lessonDigest.mjs`); learners never see it.
+ *
+ * Each locale has its own document (see `localizedPath` in `i18n.mjs`);
+ * documents written before locales existed have no `locale` and are Persian.
+ */
+
+import fs from 'node:fs/promises';
+import { divineNames, findDivineName, findDivineNameBySpelling, getMeaning } from './divineNames.mjs';
+import { DEFAULT_LOCALE, resolveLocale } from './i18n.mjs';
+
+export const LESSON_DOCUMENT_VERSION = 1;
+export const TOTAL_DAYS = divineNames.length + 1;
+export const SECTION_KINDS = ['intention', 'example', 'reflection', 'habit', 'link', 'review'];
+export const DAILY_SECTION_KINDS = ['intention', 'example', 'reflection', 'habit', 'link'];
+export const ROLL_SCRIPTS = ['transliteration', 'arabic'];
+
+const ROLL_TITLE_PATTERN = /^یادآوری اسما الحسنی تا روز/;
+
+const persianDigits = (number) => String(number).replace(/\d/g, (digit) => '۰۱۲۳۴۵۶۷۸۹'[digit]);
+
+// Fixed lesson text that the generator writes around the model's sections. Headings give the
+// meaning in `headingMeaning` (default: the lesson's own language); the Persian lessons have
+// always used the English one, with Persian digits.
+const CURRICULUM_TEXT = {
+  fa: {
+    day: (dayNumber) => `روز ${persianDigits(dayNumber)}`,
+    headingMeaning: 'en',
+    finalHeading: 'روز ۱۰۰ – بازبینی کامل: سفر ۱۰۰ روزه اسما الحسنی',
+    rollTitle: (dayNumber) => `یادآوری اسما الحسنی تا روز ${persianDigits(dayNumber)}:`,
+  },
+  en: {
+    day: (dayNumber) => `Day ${dayNumber}`,
+    finalHeading: 'Day 100 – Full review: the 100-day journey through the Asma ul Husna',
+    rollTitle: (dayNumber) => `Remembering the Asma ul Husna up to day ${dayNumber}:`,
+  },
+  ar: {
+    day: (dayNumber) => `اليوم ${dayNumber}`,
+    finalHeading: 'اليوم 100 – مراجعة شاملة: رحلة المئة يوم مع الأسماء الحسنى',
+    rollTitle: (dayNumber) => `تذكّر الأسماء الحسنى حتى اليوم ${dayNumber}:`,
+  },
+  ur: {
+    day: (dayNumber) => `دن ${dayNumber}`,
+    finalHeading: 'دن 100 – مکمل جائزہ: اسماء الحسنیٰ کے ساتھ سو دن کا سفر',
+    rollTitle: (dayNumber) => `اسماء الحسنیٰ کی یاد دہانی، دن ${dayNumber} تک:`,
+  },
+};
+
+const curriculumText = (locale) => CURRICULUM_TEXT[locale] ?? CURRICULUM_TEXT[DEFAULT_LOCALE];
+
+export const buildLessonHeading = (dayNumber, locale = DEFAULT_LOCALE) => {
+  const text = curriculumText(locale);
+  const nameEntry = findDivineName(dayNumber);
+
+  if (!nameEntry) {
+    return text.finalHeading;
+  }
+
+  return `${text.day(dayNumber)} – ${nameEntry.transliteration}: ${getMeaning(nameEntry, text.headingMeaning ?? locale)}`;
+};
+
+export const buildRoll = (dayNumber, script = 'transliteration', locale = DEFAULT_LOCALE) => ({
+  title: curriculumText(locale).rollTitle(dayNumber),
+  script,
+  nameIndexes: divineNames
+    .slice(0, Math.min(dayNumber, divineNames.length))
+    .map((entry) => entry.index),
+});
+
+export const renderRollNames = (roll) =>
+  roll.nameIndexes
+    .map((nameIndex) => findDivineName(nameIndex)?.[roll.script] ?? String(nameIndex))
+    .join(' • ');
+
+export const renderRoll = (roll) => `${roll.title}\n\n${renderRollNames(roll)}`;
+
+export const renderSection = (section) =>
+  [section.title, section.text].filter(Boolean).join('\n').trim();
+
+export const renderLessonBody = (lesson) =>
+  lesson.sections.map(renderSection).filter(Boolean).join('\n\n');
+
+/** Plain-text rendering: heading, sections, then the remembrance roll. */
+export const renderLessonText = (lesson) =>
+  [lesson.heading, renderLessonBody(lesson), renderRoll(lesson.roll)].filter(Boolean).join('\n\n');
+
+// Sub-heading cues seen in the generated Persian lessons, tried in outline order.
+const SECTION_HEADING_CUES = {
+  example: /مثال|تصویر/,
+  reflection: /تمرین|تأمل|تأمّل|تامل/,
+  habit: /برنامه|ذکر|عادت/,
+  link: /پیوست|پیوند|ارتباط|می‌پیوندد|متصل|اتصال/,
+};
+
+const MAX_SECTION_HEADING_LENGTH = 80;
+
+const isHeadingCandidate = (line) => {
+  const text = line.trim();
+  return (
+    text.length > 0 &&
+    text.length <= MAX_SECTION_HEADING_LENGTH &&
+    !/^[-•*\d۰-۹]/.test(text) &&
+    !/[.!؟?]$/.test(text)
+  );
+};
+
+const splitSections = (bodyLines) => {
+  const kinds = DAILY_SECTION_KINDS;
+  const sections = [{ kind: kinds[0], title: null, lines: [] }];
+  let position = 0;
+
+  for (const line of bodyLines) {
+    // Only the next kind in the outline can start a section, so a cue word inside the opening
+    // line (e.g. «پیوسته») cannot jump ahead to the closing link.
+    const nextKind = kinds[position + 1];
+
+    if (nextKind && isHeadingCandidate(line) && SECTION_HEADING_CUES[nextKind].test(line)) {
+      position += 1;
+      sections.push({ kind: nextKind, title: line.trim(), lines: [] });
+      continue;
+    }
+
+    sections[sections.length - 1].lines.push(line);
+  }
+
+  return sections.map(({ kind, title, lines }) => ({
+    kind,
+    title,
+    text: lines.join('\n').trim(),
+  }));
+};
+
+const parseRollLine = (line, dayNumber) => {
+  const tokens = line.split('•').map((token) => token.trim()).filter(Boolean);
+  const expected = buildRoll(dayNumber);
+
+  // Rolls were always generated as names 1..N, whatever script or spelling they were later converted to.
+  if (tokens.length === expected.nameIndexes.length) {
+    const script = tokens.some((token) => /[A-Z]/.test(token)) ? 'transliteration' : 'arabic';
+    return { ...expected, script };
+  }
+
+  const nameIndexes = tokens.map((token) => {
+    const entry = findDivineNameBySpelling(token);
+
+    if (!entry) {
+      throw new Error(`Day ${dayNumber}: cannot map remembrance roll entry "${token}" to a name`);
+    }
+
+    return entry.index;
+  });
+
+  return { ...expected, nameIndexes };
+};
+
+/**
+ * Parse one legacy lesson string (heading, body, remembrance roll) into the
+ * structured format. Text that cannot be attributed to a later section stays
+ * in the preceding one, so nothing is dropped.
+ */
+export const parseLessonString = (text, dayNumber) => {
+  const lines = text.split('\n');
+  const heading = lines[0].trim();
+  const rollTitleIndex = lines.findIndex((line) => ROLL_TITLE_PATTERN.test(line.trim()));
+
+  if (rollTitleIndex === -1) {
+    throw new Error(`Day ${dayNumber}: remembrance roll not found`);
+  }
+
+  const rollLine = lines
+    .slice(rollTitleIndex + 1)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join(' • ');
+  const bodyLines = lines.slice(1, rollTitleIndex);
+  const isReview = dayNumber > divineNames.length;
+
+  const sections = isReview
+    ? [{ kind: 'review', title: null, text: bodyLines.join('\n').trim() }]
+    : splitSections(bodyLines);
+
+  return {
+    day: dayNumber,
+    nameIndex: isReview ? null : dayNumber,
+    heading,
+    sections,
+    roll: { ...parseRollLine(rollLine, dayNumber), title: lines[rollTitleIndex].trim() },
+  };
+};
+
+export const validateLesson = (lesson, position) => {
+  const label = `Lesson #${position + 1}`;
+
+  if (!lesson || typeof lesson !== 'object') {
+    throw new Error(`${label}: expected an object`);
+  }
+
+  if (!Number.isInteger(lesson.day) || lesson.day < 1) {
+    throw new Error(`${label}: "day" must be a positive integer`);
+  }
+
+  if (lesson.nameIndex !== null && !findDivineName(lesson.nameIndex)) {
+    throw new Error(`${label}: unknown nameIndex ${lesson.nameIndex}`);
+  }
+
+  if (typeof lesson.heading !== 'string' || !lesson.heading.trim()) {
+    throw new Error(`${label}: missing heading`);
+  }
+
+  if (!Array.isArray(lesson.sections) || lesson.sections.length === 0) {
+    throw new Error(`${label}: "sections" must be a non-empty array`);
+  }
+
+  for (const section of lesson.sections) {
+    if (!SECTION_KINDS.includes(section?.kind) || typeof section.text !== 'string') {
+      throw new Error(`${label}: invalid section ${JSON.stringify(section?.kind)}`);
+    }
+  }
+
+  const { roll } = lesson;
+
+  if (!roll || !ROLL_SCRIPTS.includes(roll.script) || !Array.isArray(roll.nameIndexes)) {
+    throw new Error(`${label}: invalid remembrance roll`);
+  }
+
+  const { summary } = lesson;
+
+  if (summary !== undefined && (typeof summary?.story !== 'string' || !Array.isArray(summary.themes))) {
+    throw new Error(`${label}: invalid summary`);
+  }
+
+  return lesson;
+};
+
+export const readLessonsDocument = async (filePath, { allowMissing = false } = {}) => {
+  let contents;
+
+  try {
+    contents = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (allowMissing && error.code === 'ENOENT') {
+      return { version: LESSON_DOCUMENT_VERSION, locale: DEFAULT_LOCALE, lessons: [] };
+    }
+
+    throw error;
+  }
+
+  const data = JSON.parse(contents);
+
+  if (Array.isArray(data)) {
+    throw new Error(
+      `${filePath} uses the legacy array-of-strings format; convert it with scripts/convertLessonsToStructured.mjs`,
+    );
+  }
+
+  if (data?.version !== LESSON_DOCUMENT_VERSION || !Array.isArray(data.lessons)) {
+    throw new Error(`${filePath} is not a version ${LESSON_DOCUMENT_VERSION} lessons document`);
+  }
+
+  if (data.locale !== undefined && !resolveLocale(data.locale)) {
+    throw new Error(`${filePath} has unsupported locale "${data.locale}"`);
+  }
+
+  data.lessons.forEach(validateLesson);
+  return { ...data, locale: resolveLocale(data.locale) ?? DEFAULT_LOCALE };
+};
+
+export const writeLessonsDocument = async (filePath, lessons, { locale = DEFAULT_LOCALE } = {}) => {
+  const tmpPath = `${filePath}.tmp`;
+  const payload = JSON.stringify({ version: LESSON_DOCUMENT_VERSION, locale, lessons }, null, 2);
+  await fs.writeFile(tmpPath, payload, 'utf8');
+  await fs.rename(tmpPath, filePath);
+};
@@ -0,0 +1,207 @@
+/**
+ * Quality checks for generated lessons. Each check returns plain-English
+ * issue strings, which `validateLessons.mjs` prints and, with `--fix`, hands
+ * back to the model as things the regenerated lesson must avoid.
+ */
+
+import { findDivineName, normalizeArabic } from './divineNames.mjs';
+import { LANGUAGES } from './i18n.mjs';
+import { formatLessonMessages, RLM } from './lessonFormat.mjs';
+import { DAILY_SECTION_KINDS, renderLessonBody } from './lessonModel.mjs';
+
+export const DEFAULT_QUALITY_OPTIONS = {
+  minLength: 1200,
+  maxLength: 4000,
+  reviewMaxLength: 8000,
+  minScriptRatio: 0.9,
+  duplicateThreshold: 0.15,
+};
+
+const ARABIC_SCRIPT = /[؀-ۿݐ-ݿﭐ-﷿ﹰ-﻿]/gu;
+const LATIN_SCRIPT = /[A-Za-z]/g;
+const ARABIC_DIACRITICS = /[ً-ٰٟ]/g;
+const ZERO_WIDTH_NON_JOINER = /‌/g;
+
+// Letters the other Arabic-script languages lack; a lesson without them is probably in the wrong language.
+const SCRIPT_RULES = {
+  fa: { label: 'Persian', script: ARABIC_SCRIPT, marker: /[پچژگکی]/g, minMarkerRatio: 0.05 },
+  ar: { label: 'Arabic', script: ARABIC_SCRIPT },
+  ur: { label: 'Urdu', script: ARABIC_SCRIPT, marker: /[ٹڈڑںےھ]/g, minMarkerRatio: 0.03 },
+  en: { label: 'English', script: LATIN_SCRIPT },
+};
+
+const countMatches = (text, pattern) => text.match(pattern)?.length ?? 0;
+
+const checkScript = (text, locale, { minScriptRatio }) => {
+  const rule = SCRIPT_RULES[locale];
+
+  if (!rule) {
+    return [];
+  }
+
+  const scriptLetters = countMatches(text, rule.script);
+  const otherLetters =
+    rule.script === LATIN_SCRIPT ? countMatches(text, ARABIC_SCRIPT) : countMatches(text, LATIN_SCRIPT);
+  const ratio = scriptLetters / Math.max(scriptLetters + otherLetters, 1);
+
+  if (ratio < minScriptRatio) {
+    return [`only ${Math.round(ratio * 100)}% of the letters are in ${rule.label} script`];
+  }
+
+  if (rule.marker && countMatches(text, rule.marker) / Math.max(scriptLetters, 1) < rule.minMarkerRatio) {
+    return [`the text does not read as ${rule.label}`];
+  }
+
+  return [];
+};
+
+const mentionsName = (text, entry) => {
+  const upper = text.toUpperCase();
+  const arabic = normalizeArabic(text);
+
+  return (
+    [entry.transliteration, ...entry.alternateSpellings.transliteration].some((spelling) => upper.includes(spelling)) ||
+    [entry.arabic, ...entry.alternateSpellings.arabic].some((spelling) => arabic.includes(normalizeArabic(spelling)))
+  );
+};
+
+const checkSections = (lesson) => {
+  const expected = lesson.nameIndex === null ? ['review'] : DAILY_SECTION_KINDS;
+  const kinds = lesson.sections.map((section) => section.kind);
+  const issues = [];
+  const missing = expected.filter((kind) => !kinds.includes(kind));
+
+  if (missing.length > 0) {
+    issues.push(`missing section(s): ${missing.join(', ')}`);
+  } else if (kinds.join() !== expected.join()) {
+    issues.push(`sections should be exactly ${expected.join(', ')} in that order (found ${kinds.join(', ')})`);
+  }
+
+  for (const section of lesson.sections) {
+    if (!section.text.trim()) {
+      issues.push(`the ${section.kind} section is empty`);
+    }
+  }
+
+  return issues;
+};
+
+// Telegram shows a right-to-left message left-aligned unless it opens with a right-to-left mark.
+const checkMessages = (lesson, locale) => {
+  if (LANGUAGES[locale]?.direction !== 'rtl') {
+    return [];
+  }
+
+  const unmarked = formatLessonMessages(lesson, locale).findIndex(({ text }) => !text.startsWith(RLM));
+  return unmarked === -1 ? [] : [`message ${unmarked + 1} does not start with a right-to-left mark`];
+};
+
+/**
+ * Issues with one lesson on its own: sections, length, focus name, script and
+ * the Telegram messages it renders to.
+ *
+ * @returns {string[]}
+ */
+export const checkLesson = (lesson, locale, options = {}) => {
+  const { minLength, maxLength, reviewMaxLength, minScriptRatio } = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const body = renderLessonBody(lesson);
+  const isReview = lesson.nameIndex === null;
+  const upperBound = isReview ? reviewMaxLength : maxLength;
+  const issues = checkSections(lesson);
+
+  if (body.length < minLength) {
+    issues.push(`too short: ${body.length} characters (minimum ${minLength})`);
+  } else if (body.length > upperBound) {
+    issues.push(`too long: ${body.length} characters (maximum ${upperBound})`);
+  }
+
+  if (!isReview) {
+    const entry = findDivineName(lesson.nameIndex);
+
+    if (lesson.nameIndex !== lesson.day) {
+      issues.push(`focus name #${lesson.nameIndex} does not belong on day ${lesson.day}`);
+    }
+
+    if (entry && !mentionsName(body, entry)) {
+      issues.push(`never mentions the focus name ${entry.transliteration} (${entry.arabic})`);
+    }
+  }
+
+  return [...issues, ...checkScript(body, locale, { minScriptRatio }), ...checkMessages(lesson, locale)];
+};
+
+const contentWords = (text) =>
+  new Set(
+    text
+      .toLowerCase()
+      .replace(ARABIC_DIACRITICS, '')
+      .replace(ZERO_WIDTH_NON_JOINER, '')
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter((word) => word.length > 2),
+  );
+
+const storyText = (lesson) => lesson.sections.find((section) => section.kind === 'example')?.text ?? '';
+
+/**
+ * Pairs of days whose example stories share too much vocabulary. Words used
+ * by more than a fifth of all stories are ignored, so the score reflects the
+ * setting and characters rather than the shared lesson language. The later
+ * day of each pair is the one reported.
+ *
+ * @returns {{ day: number, otherDay: number, similarity: number }[]}
+ */
+export const findDuplicateStories = (lessons, { duplicateThreshold } = DEFAULT_QUALITY_OPTIONS) => {
+  const stories = lessons
+    .filter((lesson) => lesson.nameIndex !== null)
+    .map((lesson) => ({ day: lesson.day, words: contentWords(storyText(lesson)) }));
+  const documentFrequency = new Map();
+
+  for (const { words } of stories) {
+    for (const word of words) {
+      documentFrequency.set(word, (documentFrequency.get(word) ?? 0) + 1);
+    }
+  }
+
+  const commonLimit = stories.length / 5;
+  const distinctive = stories.map(({ day, words }) => ({
+    day,
+    words: new Set([...words].filter((word) => documentFrequency.get(word) <= commonLimit)),
+  }));
+  const duplicates = [];
+
+  distinctive.forEach((story, position) => {
+    for (const earlier of distinctive.slice(0, position)) {
+      const shared = [...story.words].filter((word) => earlier.words.has(word)).length;
+      const union = story.words.size + earlier.words.size - shared;
+      const similarity = union > 0 ? shared / union : 0;
+
+      if (similarity >= duplicateThreshold) {
+        duplicates.push({ day: story.day, otherDay: earlier.day, similarity });
+      }
+    }
+  });
+
+  return duplicates;
+};
+
+/**
+ * Every issue in a lessons document, keyed by day; days without issues are
+ * left out.
+ *
+ * @returns {Map<number, string[]>}
+ */
+export const validateLessons = (lessons, locale, options = {}) => {
+  const settings = { ...DEFAULT_QUALITY_OPTIONS, ...options };
+  const report = new Map();
+  const add = (day, issue) => report.set(day, [...(report.get(day) ?? []), issue]);
+
+  for (const lesson of lessons) {
+    checkLesson(lesson, locale, settings).forEach((issue) => add(lesson.day, issue));
+  }
+
+  for (const { day, otherDay, similarity } of findDuplicateStories(lessons, settings)) {
+    add(day, `the example story is too close to day ${otherDay}'s (${Math.round(similarity * 100)}% shared words)`);
+  }
+
+  return report;
+};
@@ -0,0 +1,84 @@
+/**
+ * History of lessons replaced in place, by `generateLessons.mjs --days`,
+ * `validateLessons.mjs --fix` or a rollback. It sits next to the lessons file
+ * (`daily_lessons.json` → `daily_lessons.revisions.json`) and keeps each
+ * lesson as it was just before being replaced:
+ *
+ *   {
+ *     "version": 1,
+ *     "revisions": [
+ *       { "id": 1, "day": 37, "replacedAt": "2025-01-01T00:00:00.000Z", "reason": "regenerate", "lesson": { ... } }
+ *     ]
+ *   }
+ *
+ * `scripts/lessonRevisions.mjs` lists, diffs and rolls back these entries.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const REVISIONS_VERSION = 1;
+
+export const revisionsPath = (lessonsPath) => {
+  const extension = path.extname(lessonsPath);
+  return `${lessonsPath.slice(0, lessonsPath.length - extension.length)}.revisions${extension || '.json'}`;
+};
+
+export const readRevisions = async (lessonsPath) => {
+  const filePath = revisionsPath(lessonsPath);
+  let contents;
+
+  try {
+    contents = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+
+    throw error;
+  }
+
+  const data = JSON.parse(contents);
+
+  if (data?.version !== REVISIONS_VERSION || !Array.isArray(data.revisions)) {
+    throw new Error(`${filePath} is not a version ${REVISIONS_VERSION} revisions file`);
+  }
+
+  return data.revisions;
+};
+
+const writeRevisions = async (lessonsPath, revisions) => {
+  const filePath = revisionsPath(lessonsPath);
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify({ version: REVISIONS_VERSION, revisions }, null, 2), 'utf8');
+  await fs.rename(tmpPath, filePath);
+};
+
+/**
+ * Append the outgoing version of a lesson. Call it before writing the
+ * replacement, so a crash in between never loses the old text.
+ *
+ * @returns {Promise<object>} The stored revision.
+ */
+export const recordRevision = async (lessonsPath, lesson, { reason }) => {
+  const revisions = await readRevisions(lessonsPath);
+  const revision = {
+    id: revisions.reduce((highest, entry) => Math.max(highest, entry.id), 0) + 1,
+    day: lesson.day,
+    replacedAt: new Date().toISOString(),
+    reason,
+    lesson,
+  };
+
+  await writeRevisions(lessonsPath, [...revisions, revision]);
+  return revision;
+};
+
+/** The revision with `id`, or the latest one for `day` when no id is given. */
+export const findRevision = (revisions, { day, id } = {}) => {
+  if (id !== undefined) {
+    return revisions.find((entry) => entry.id === id && (day === undefined || entry.day === day)) ?? null;
+  }
+
+  return revisions.filter((entry) => entry.day === day).at(-1) ?? null;
+};
@@ -0,0 +1,216 @@
+/**
+ * Text-generation backends for the lesson generator. Every provider exposes
+ * the same shape, so the generator only deals in a system directive, a user
+ * prompt and a JSON schema, and always gets parsed JSON back:
+ *
+ *   provider.generateJson({ system, prompt, schema, schemaName }) -> Promise<object>
+ *
+ * Providers:
+ *   openai             OpenAI chat completions with `response_format: json_schema`
+ *   gemini             Google Gemini via `@google/genai` (JSON response schema)
+ *   openai-compatible  Any server speaking the chat-completions API (Ollama, vLLM, LM Studio, …)
+ *   fake               Deterministic offline lessons; no network, no key
+ *
+ * `scripts/fakeLlmServer.mjs` serves the same fake lessons over HTTP so the
+ * `openai-compatible` path can be exercised end to end without a real model.
+ */
+
+import process from 'node:process';
+
+export const LLM_PROVIDERS = ['openai', 'gemini', 'openai-compatible', 'fake'];
+
+const DEFAULT_OPENAI_URL = 'https://api.openai.com/v1/chat/completions';
+const RESPONSE_FORMATS = ['json_schema', 'json_object', 'none'];
+
+const providerError = (message, details = {}) => Object.assign(new Error(message), details);
+
+// Local models often wrap JSON in a Markdown fence even when asked not to.
+const parseJsonContent = (content) => {
+  const text = String(content ?? '').trim();
+
+  if (!text) {
+    throw providerError('No content returned from the model.');
+  }
+
+  const fenced = /^```(?:json)?\s*([\s\S]*?)\s*```$/.exec(text);
+  return JSON.parse(fenced ? fenced[1] : text);
+};
+
+const chatCompletionsUrl = (baseUrl) =>
+  /\/chat\/completions\/?$/.test(baseUrl) ? baseUrl : `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+const createChatCompletionsProvider = ({ name, url, apiKey, model, responseFormat }) => {
+  if (!RESPONSE_FORMATS.includes(responseFormat)) {
+    throw providerError(`Unsupported response format "${responseFormat}"; use ${RESPONSE_FORMATS.join(', ')}.`);
+  }
+
+  return {
+    name,
+    model,
+    generateJson: async ({ system, prompt, schema, schemaName = 'response' }) => {
+      // Without native schema support the schema travels in the system message instead.
+      const systemContent =
+        responseFormat === 'json_schema'
+          ? system
+          : `${system}\nRespond with a single JSON object matching this JSON schema:\n${JSON.stringify(schema)}`;
+      const body = {
+        model,
+        messages: [
+          { role: 'system', content: systemContent },
+          { role: 'user', content: prompt },
+        ],
+      };
+
+      if (responseFormat === 'json_schema') {
+        body.response_format = {
+          type: 'json_schema',
+          json_schema: { name: schemaName, schema, strict: true },
+        };
+      } else if (responseFormat === 'json_object') {
+        body.response_format = { type: 'json_object' };
+      }
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw providerError(`${name} API error (${response.status}): ${errorText}`, {
+          status: response.status,
+        });
+      }
+
+      const data = await response.json();
+      return parseJsonContent(data?.choices?.[0]?.message?.content);
+    },
+  };
+};
+
+const createGeminiProvider = ({ apiKey, model }) => {
+  let clientPromise = null;
+
+  // Imported lazily so the other providers work without the SDK installed.
+  const getClient = () => {
+    clientPromise ??= import('@google/genai').then(({ GoogleGenAI }) => new GoogleGenAI({ apiKey }));
+    return clientPromise;
+  };
+
+  return {
+    name: 'gemini',
+    model,
+    generateJson: async ({ system, prompt, schema }) => {
+      const ai = await getClient();
+      const response = await ai.models.generateContent({
+        model,
+        contents: prompt,
+        config: {
+          systemInstruction: system,
+          responseMimeType: 'application/json',
+          responseJsonSchema: schema,
+        },
+      });
+
+      return parseJsonContent(response.text);
+    },
+  };
+};
+
+const FAKE_SECTION_TITLES = {
+  intention: '',
+  example: 'Example',
+  reflection: 'Reflection',
+  habit: 'Habit',
+  link: 'Link',
+  review: '',
+};
+
+/**
+ * Deterministic lesson for a generator prompt: the same prompt always yields
+ * the same sections. Reads the day, language and requested section kinds back
+ * out of the prompt text, so it also works behind the HTTP stub.
+ */
+export const buildFakeLessonResponse = (prompt) => {
+  const day = /lesson (\d+) in a 100-day journey/.exec(prompt)?.[1] ?? '100';
+  const language = /The lessons language is (\w+)/.exec(prompt)?.[1] ?? 'Persian';
+  const focus = /Focus name: ([^(]+?) \(/.exec(prompt)?.[1] ?? 'all 99 names';
+  const kindList = /sections of kind ([a-z, ]+) \(in that order\)/.exec(prompt)?.[1];
+  const kinds = kindList ? kindList.split(',').map((kind) => kind.trim()) : ['review'];
+
+  return {
+    sections: kinds.map((kind) => ({
+      kind,
+      title: FAKE_SECTION_TITLES[kind] ?? kind,
+      text: `[fake ${language}] Day ${day}, ${kind}: ${focus}.`,
+    })),
+    summary: {
+      story: `Fake story for day ${day} about ${focus}.`,
+      habit: `Fake habit for day ${day}.`,
+      themes: [focus],
+    },
+  };
+};
+
+const createFakeProvider = () => ({
+  name: 'fake',
+  model: 'fake-lessons',
+  generateJson: async ({ prompt }) => buildFakeLessonResponse(prompt),
+});
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.provider] One of LLM_PROVIDERS; defaults to LLM_PROVIDER or `openai`.
+ * @param {NodeJS.ProcessEnv} [options.env]
+ */
+export const createLlmProvider = ({ provider, env = process.env } = {}) => {
+  const name = provider ?? env.LLM_PROVIDER ?? 'openai';
+
+  switch (name) {
+    case 'openai':
+      if (!env.OPENAI_API_KEY) {
+        throw providerError('Missing OPENAI_API_KEY environment variable.');
+      }
+
+      return createChatCompletionsProvider({
+        name,
+        url: env.OPENAI_API_URL ?? DEFAULT_OPENAI_URL,
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL ?? 'gpt-5-mini',
+        responseFormat: 'json_schema',
+      });
+
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw providerError('Missing LLM_BASE_URL environment variable (e.g. http://localhost:11434/v1).');
+      }
+
+      return createChatCompletionsProvider({
+        name,
+        url: chatCompletionsUrl(env.LLM_BASE_URL),
+        apiKey: env.LLM_API_KEY ?? null,
+        model: env.LLM_MODEL ?? 'local-model',
+        responseFormat: env.LLM_RESPONSE_FORMAT ?? 'json_schema',
+      });
+
+    case 'gemini':
+      if (!env.GEMINI_API_KEY) {
+        throw providerError('Missing GEMINI_API_KEY environment variable.');
+      }
+
+      return createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        model: env.GEMINI_MODEL ?? 'gemini-2.5-flash',
+      });
+
+    case 'fake':
+      return createFakeProvider();
+
+    default:
+      throw providerError(`Unknown LLM provider "${name}"; choose from ${LLM_PROVIDERS.join(', ')}.`);
+  }
+};
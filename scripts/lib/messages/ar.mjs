@@ -0,0 +1,102 @@
+/** Arabic bot messages. */
+
+export default {
+  help: [
+    'الأوامر المتاحة:',
+    '• /start — بدء الرحلة أو متابعتها واستلام الدرس الأول',
+    '• /progress — عرض تقدّمك وموعد الدرس التالي',
+    '• /lesson <رقم> — استلام درس معيّن الآن (مثال: /lesson 5)',
+    '• /name <رقم> — الاستماع إلى النطق الصحيح لاسم من الأسماء (مثال: /name 17)',
+    '• /settime <ساعة:دقيقة> — ضبط موعد الدرس اليومي (مثال: /settime 07:30)',
+    '• /timezone <المنطقة الزمنية> — ضبط منطقتك الزمنية (مثال: /timezone Europe/Berlin)',
+    '• /pause [عدد الأيام] — إيقاف الدروس مؤقتًا (مثال: /pause 7)',
+    '• /resume — استئناف الدروس',
+    '• /stop — إلغاء الاشتراك وإيقاف جميع الرسائل',
+    '• /review — مراجعة الأسماء المستحقة للتكرار اليوم',
+    '• /quiz — اختبار متعدد الخيارات في الأسماء التي تعلّمتها حتى الآن',
+    '• /language — اختيار لغة الدروس والرسائل',
+    '• /help — عرض هذه المساعدة مرة أخرى',
+  ].join('\n'),
+  startFirst: 'أرسل الأمر /start أولًا لإتمام تسجيلك.',
+  schedule: 'الساعة {time} {timezone}',
+
+  welcome: 'السلام عليكم! أهلًا بك في رحلة «الأسماء الحسنى». سيصلك الدرس الأول الآن.',
+  welcomeBack:
+    'مرحبًا بعودتك! استلمت حتى الآن {received} من أصل {total} درسًا. سيصلك الدرس التالي {schedule}.',
+  courseFinished: '🎉 لقد أتممت جميع الدروس. نسأل الله أن تبقى هذه الأسماء المنيرة معك.',
+
+  lessonUnavailable: 'الدرس رقم {number} غير متاح. يرجى التواصل مع مشرف البوت.',
+  lessonImageCaption: 'الاسم الحسن رقم {number}',
+  lessonVideoTitle: '• العنوان: {title}',
+  lessonOutOfRange: 'يرجى إدخال رقم درس بين {min} و{max}؛ مثال: /lesson 5',
+  nameOutOfRange: 'يرجى إدخال رقم اسم بين {min} و{max}؛ مثال: /name 17',
+  lessonOnTheWay: 'جارٍ إرسال الدرس {number} كما طلبت.',
+
+  progressMissing: 'لم أجد أي تقدّم مسجّل لك. أرسل الأمر /start أولًا لإتمام تسجيلك.',
+  progressReceived: 'استلمت حتى الآن {received} من أصل {total} درسًا.',
+  progressComplete: '🎉 أتممت الدورة. بارك الله فيك!',
+  progressNext: 'الدرس التالي: رقم {number} (موعده {schedule}).',
+  progressQuizScore: 'نتيجة الاختبارات: {correct} إجابة صحيحة من {answered}',
+  progressLastSent: 'آخر إرسال: {date}',
+  progressLanguage: 'اللغة: {language}',
+
+  settimeInvalid: 'يرجى إدخال الوقت بصيغة ساعة:دقيقة؛ مثال: /settime 07:30\nالموعد الحالي: {schedule}',
+  settimeUpdated: 'تم تحديث موعد الدروس. سيُرسل الدرس التالي {schedule}.',
+  timezoneInvalid:
+    'يرجى إدخال اسم منطقة زمنية بصيغة IANA؛ مثال: /timezone Europe/Berlin\nالمنطقة الحالية: {timezone}',
+  timezoneUpdated: 'تم تغيير المنطقة الزمنية إلى {timezone}. سيُرسل الدرس التالي {schedule}.',
+
+  pauseInvalid: 'يرجى إدخال عدد أيام بين {min} و{max}؛ مثال: /pause 7',
+  resumed: '{status} سيصلك الدرس التالي {schedule}.',
+  stopNotSubscribed: 'لم أجد اشتراكًا فعّالًا لك.',
+  subscriptionStopped: '⏹ تم إلغاء اشتراكك. أرسل الأمر /start لاستلام الدروس من جديد.',
+  subscriptionPaused: '⏸ الدروس متوقفة مؤقتًا. أرسل الأمر /resume للمتابعة.',
+  subscriptionPausedUntil: '⏸ الدروس متوقفة حتى {date}. أرسل الأمر /resume للمتابعة قبل ذلك.',
+  subscriptionActive: '▶️ إرسال الدروس مفعّل.',
+
+  languagePrompt: 'اختر لغة الدروس والرسائل:',
+  languageUnavailable: 'هذه اللغة غير متاحة. اللغات المتاحة: {languages}',
+  languageChanged: 'تم ضبط اللغة على {language}. ستصلك الدروس والتسجيلات الصوتية والرسائل القادمة بهذه اللغة.',
+
+  quizArabicToMeaning: 'ما معنى «{arabic}»؟',
+  quizTransliterationToArabic: 'ما الكتابة العربية لـ«{transliteration}»؟',
+  quizImageToName: 'أيّ اسم تعرضه هذه الصورة؟',
+  quizAudioToName: 'أيّ اسم تسمع؟',
+  quizProgress: 'السؤال {current} من {total}',
+  quizNothingLearned: 'لم تستلم أي اسم بعد. حاول مرة أخرى بعد الدرس الأول.',
+  quizExpired: 'هذا السؤال لم يعد فعّالًا. أرسل /quiz لاختبار جديد.',
+  quizCorrectToast: '✅ صحيح!',
+  quizWrongToast: '❌ خطأ',
+  quizCorrect: '✅ أحسنت، إجابة صحيحة!',
+  quizWrong: '❌ الإجابة الصحيحة:',
+  quizNameAccuracy: 'دقتك في هذا الاسم: {correct} من {attempts}',
+  quizFinished: '🏁 انتهى الاختبار: {correct} إجابة صحيحة من {total} أسئلة.\nالنتيجة الكلية: {scoreCorrect} من {scoreAnswered}.',
+
+  reviewIntro: '🔁 مراجعة اليوم: {count} أسماء. تذكّر معنى كل اسم ثم اضغط الزر المناسب.',
+  reviewRemembered: '✅ تذكّرته',
+  reviewForgot: '❌ نسيته',
+  reviewNothingDue: 'لا توجد أسماء للمراجعة اليوم. عد غدًا! 🌱',
+  reviewAlreadyGraded: 'تم تسجيل إجابة هذا الاسم من قبل.',
+  reviewRecorded: '{mark} تم التسجيل',
+  reviewNext: '{mark} المراجعة التالية: {date}',
+
+  adminCommandFailed: '⚠️ فشل تنفيذ الأمر: {message}',
+  adminUserNotFound: 'لم يُعثر على مستخدم بالمعرّف {chatId}.',
+  statsTitle: '📊 إحصاءات المشتركين',
+  statsTotals: 'الإجمالي: {total} | فعّال: {active} | متوقف مؤقتًا: {paused} | ملغى: {stopped}',
+  statsProgressHeading: 'توزيع التقدّم:',
+  statsLanguagesHeading: 'اللغات:',
+  statsCompleted: 'مكتمل',
+  statsLessonCount: '{count} دروس',
+  statsLessonRange: '{from}–{to} دروس',
+  statsLastRun:
+    'آخر إرسال يومي: {date} — المستلمون: {recipients}، الدروس: {lessons}، الإخفاقات: {failures}',
+  statsNoRun: 'لم يُنفَّذ الإرسال اليومي بعد.',
+  broadcastStarted: '📣 بدأ إرسال الرسالة إلى {count} مشتركًا…',
+  broadcastFinished: '✅ انتهى الإرسال: {sent} ناجحة، {failed} فاشلة.',
+  setlessonOutOfRange: 'يجب أن يكون رقم الدرس بين {min} و{max}.',
+  setlessonUpdated: 'تم ضبط الدرس التالي لـ{chatId} على رقم {number} (كان {previous}).',
+  resetuserDone: 'تمت إعادة ضبط تقدّم {chatId}؛ الدرس التالي رقم {number}.',
+  reloadRejected: '⚠️ لم يُعَد تحميل الملف {file}: {error}\nتبقى النسخة السابقة قيد الاستخدام.',
+  mediaRejected: '⚠️ يبدو أن الملف {file} تالف ({error})، ولن يُرسل حتى يُستبدل.',
+};
@@ -0,0 +1,102 @@
+/** English bot messages. */
+
+export default {
+  help: [
+    'Available commands:',
+    '• /start — begin or continue the journey and receive the first lesson',
+    '• /progress — see your progress and when the next lesson arrives',
+    '• /lesson <number> — get a specific lesson now (e.g. /lesson 5)',
+    '• /name <number> — hear how a divine name is pronounced (e.g. /name 17)',
+    '• /settime <HH:MM> — set your daily delivery time (e.g. /settime 07:30)',
+    '• /timezone <zone> — set your time zone (e.g. /timezone Europe/Berlin)',
+    '• /pause [days] — pause lessons for a while (e.g. /pause 7)',
+    '• /resume — resume lessons',
+    '• /stop — unsubscribe and stop all deliveries',
+    '• /review — review the names due for repetition today',
+    '• /quiz — a multiple-choice quiz on the names you have learned so far',
+    '• /language — choose the language of lessons and messages',
+    '• /help — show this help again',
+  ].join('\n'),
+  startFirst: 'Please send /start first to complete your registration.',
+  schedule: 'at {time} {timezone}',
+
+  welcome: 'Peace be upon you! Welcome to the Asma ul Husna journey. Your first lesson is on its way.',
+  welcomeBack:
+    'Welcome back! So far you have received {received} of {total} lessons. The next lesson will be sent {schedule}.',
+  courseFinished: '🎉 You have completed every lesson. May these luminous names stay with you.',
+
+  lessonUnavailable: 'Lesson {number} is not available. Please contact the bot administrator.',
+  lessonImageCaption: 'Divine name no. {number}',
+  lessonVideoTitle: '• Title: {title}',
+  lessonOutOfRange: 'Please enter a lesson number between {min} and {max}, e.g. /lesson 5',
+  nameOutOfRange: 'Please enter a name number between {min} and {max}, e.g. /name 17',
+  lessonOnTheWay: 'Sending lesson {number} as requested.',
+
+  progressMissing: 'I could not find any progress for you. Send /start first to complete your registration.',
+  progressReceived: 'So far you have received {received} of {total} lessons.',
+  progressComplete: '🎉 You have completed the course. Well done!',
+  progressNext: 'Next lesson: no. {number} (scheduled {schedule}).',
+  progressQuizScore: 'Quiz score: {correct} correct out of {answered}',
+  progressLastSent: 'Last delivery: {date}',
+  progressLanguage: 'Language: {language}',
+
+  settimeInvalid: 'Please enter the time as HH:MM, e.g. /settime 07:30\nCurrent time: {schedule}',
+  settimeUpdated: 'Delivery time updated. The next lesson will be sent {schedule}.',
+  timezoneInvalid:
+    'Please enter an IANA time zone name, e.g. /timezone Europe/Berlin\nCurrent zone: {timezone}',
+  timezoneUpdated: 'Time zone changed to {timezone}. The next lesson will be sent {schedule}.',
+
+  pauseInvalid: 'Please enter a number of days between {min} and {max}, e.g. /pause 7',
+  resumed: '{status} The next lesson will be sent {schedule}.',
+  stopNotSubscribed: 'I could not find an active subscription for you.',
+  subscriptionStopped: '⏹ Your subscription is cancelled. Send /start to receive lessons again.',
+  subscriptionPaused: '⏸ Lessons are paused. Send /resume to continue.',
+  subscriptionPausedUntil: '⏸ Lessons are paused until {date}. Send /resume to continue sooner.',
+  subscriptionActive: '▶️ Lessons are active.',
+
+  languagePrompt: 'Choose the language for lessons and messages:',
+  languageUnavailable: 'That language is not available. Available languages: {languages}',
+  languageChanged: 'Language set to {language}. Upcoming lessons, audio and messages will be in this language.',
+
+  quizArabicToMeaning: 'What does «{arabic}» mean?',
+  quizTransliterationToArabic: 'Which is the Arabic spelling of «{transliteration}»?',
+  quizImageToName: 'Which name does this image show?',
+  quizAudioToName: 'Which name do you hear?',
+  quizProgress: 'Question {current} of {total}',
+  quizNothingLearned: 'You have not received any names yet. Try again after your first lesson.',
+  quizExpired: 'This question is no longer active. Send /quiz for a new quiz.',
+  quizCorrectToast: '✅ Correct!',
+  quizWrongToast: '❌ Incorrect',
+  quizCorrect: '✅ Well done, that is right!',
+  quizWrong: '❌ The correct answer:',
+  quizNameAccuracy: 'Your accuracy on this name: {correct} of {attempts}',
+  quizFinished: '🏁 Quiz finished: {correct} correct out of {total} questions.\nOverall score: {scoreCorrect} of {scoreAnswered}.',
+
+  reviewIntro: '🔁 Today’s review: {count} names. Recall the meaning of each name, then tap the matching button.',
+  reviewRemembered: '✅ I remembered',
+  reviewForgot: '❌ I forgot',
+  reviewNothingDue: 'Nothing to review today. Come back tomorrow! 🌱',
+  reviewAlreadyGraded: 'This name has already been graded.',
+  reviewRecorded: '{mark} Saved',
+  reviewNext: '{mark} Next review: {date}',
+
+  adminCommandFailed: '⚠️ The command failed: {message}',
+  adminUserNotFound: 'No user found with id {chatId}.',
+  statsTitle: '📊 Subscriber statistics',
+  statsTotals: 'Total: {total} | Active: {active} | Paused: {paused} | Cancelled: {stopped}',
+  statsProgressHeading: 'Progress distribution:',
+  statsLanguagesHeading: 'Languages:',
+  statsCompleted: 'completed',
+  statsLessonCount: '{count} lessons',
+  statsLessonRange: '{from}–{to} lessons',
+  statsLastRun:
+    'Last daily delivery: {date} — recipients: {recipients}, lessons: {lessons}, failures: {failures}',
+  statsNoRun: 'The daily delivery has not run yet.',
+  broadcastStarted: '📣 Sending the message to {count} subscribers…',
+  broadcastFinished: '✅ Broadcast finished: {sent} sent, {failed} failed.',
+  setlessonOutOfRange: 'The lesson number must be between {min} and {max}.',
+  setlessonUpdated: 'Next lesson for {chatId} set to no. {number} (was {previous}).',
+  resetuserDone: 'Progress for {chatId} was reset; the next lesson is no. {number}.',
+  reloadRejected: '⚠️ {file} was not reloaded: {error}\nThe previous version stays in use.',
+  mediaRejected: '⚠️ {file} looks broken ({error}) and will not be sent until it is replaced.',
+};
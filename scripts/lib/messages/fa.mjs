@@ -0,0 +1,102 @@
+/** Persian bot messages — the reference catalog every other locale falls back to. */
+
+export default {
+  help: [
+    'دستورات در دسترس:',
+    '• /start — آغاز یا ادامه سفر و دریافت درس اول',
+    '• /progress — مشاهده پیشرفت و زمان درس بعدی',
+    '• /lesson <شماره> — دریافت دستی یک درس مشخص (مثال: /lesson 5)',
+    '• /name <شماره> — شنیدن تلفظ درست یک نام (مثال: /name 17)',
+    '• /settime <ساعت:دقیقه> — تنظیم ساعت دریافت درس روزانه (مثال: /settime 07:30)',
+    '• /timezone <منطقه زمانی> — تنظیم منطقه زمانی (مثال: /timezone Europe/Berlin)',
+    '• /pause [تعداد روز] — توقف موقت ارسال درس‌ها (مثال: /pause 7)',
+    '• /resume — ادامه‌ی ارسال درس‌ها',
+    '• /stop — لغو اشتراک و توقف کامل ارسال‌ها',
+    '• /review — مرورِ نام‌هایی که امروز نوبت تکرارشان است',
+    '• /quiz — آزمونِ چندگزینه‌ای از نام‌هایی که تا امروز آموخته‌ای',
+    '• /language — انتخاب زبان درس‌ها و پیام‌ها',
+    '• /help — نمایش دوباره‌ی این راهنما',
+  ].join('\n'),
+  startFirst: 'ابتدا دستور /start را بفرست تا ثبت نامت کامل شود.',
+  schedule: 'ساعت {time} {timezone}',
+
+  welcome: 'سلام! به سفر «اسماءالحسنی» خوش آمدی. درس اول همین حالا برایت ارسال می‌شود.',
+  welcomeBack:
+    'خوش برگشتی! تا این لحظه {received} درس از مجموع {total} درس را دریافت کرده‌ای. درس بعدی {schedule} برایت ارسال می‌شود.',
+  courseFinished: '🎉 همه‌ی درس‌ها را گذرانده‌ای. امیدواریم این نام‌های نورانی همراهت بمانند.',
+
+  lessonUnavailable: 'درس شماره {number} در دسترس نیست. لطفاً با مسئول سامانه تماس بگیر.',
+  lessonImageCaption: 'نام الهی شماره {number}',
+  lessonVideoTitle: '• عنوان: {title}',
+  lessonOutOfRange: 'لطفاً شماره درسی بین {min} و {max} وارد کن؛ مثال: /lesson 5',
+  nameOutOfRange: 'لطفاً شماره نامی بین {min} و {max} وارد کن؛ مثال: /name 17',
+  lessonOnTheWay: 'درس {number} به درخواستت ارسال می‌شود.',
+
+  progressMissing: 'هیچ پیشرفتی برایت پیدا نکردم. ابتدا دستور /start را بفرست تا ثبت نامت کامل شود.',
+  progressReceived: 'تا این لحظه {received} درس از مجموع {total} درس را دریافت کرده‌ای.',
+  progressComplete: '🎉 دوره را کامل کرده‌ای. آفرین!',
+  progressNext: 'درس بعدی: شماره {number} (برنامه‌ریزی شده برای {schedule}).',
+  progressQuizScore: 'امتیاز آزمون‌ها: {correct} پاسخ درست از {answered}',
+  progressLastSent: 'آخرین ارسال: {date}',
+  progressLanguage: 'زبان: {language}',
+
+  settimeInvalid: 'لطفاً ساعت را به شکل ساعت:دقیقه وارد کن؛ مثال: /settime 07:30\nزمان فعلی: {schedule}',
+  settimeUpdated: 'ساعت دریافت درس‌ها به‌روزرسانی شد. درس بعدی {schedule} ارسال می‌شود.',
+  timezoneInvalid:
+    'لطفاً نام منطقه زمانی را به شکل استاندارد IANA وارد کن؛ مثال: /timezone Europe/Berlin\nمنطقه فعلی: {timezone}',
+  timezoneUpdated: 'منطقه زمانی به {timezone} تغییر کرد. درس بعدی {schedule} ارسال می‌شود.',
+
+  pauseInvalid: 'لطفاً تعداد روز را بین {min} و {max} وارد کن؛ مثال: /pause 7',
+  resumed: '{status} درس بعدی {schedule} برایت ارسال می‌شود.',
+  stopNotSubscribed: 'اشتراک فعالی برایت پیدا نکردم.',
+  subscriptionStopped: '⏹ اشتراکت لغو شده است. برای دریافت دوباره‌ی درس‌ها دستور /start را بفرست.',
+  subscriptionPaused: '⏸ ارسال درس‌ها متوقف شده است. برای ادامه دستور /resume را بفرست.',
+  subscriptionPausedUntil: '⏸ ارسال درس‌ها تا {date} متوقف است. برای ادامه‌ی زودتر دستور /resume را بفرست.',
+  subscriptionActive: '▶️ ارسال درس‌ها فعال است.',
+
+  languagePrompt: 'زبان درس‌ها و پیام‌ها را انتخاب کن:',
+  languageUnavailable: 'این زبان در دسترس نیست. زبان‌های موجود: {languages}',
+  languageChanged: 'زبان به {language} تغییر کرد. درس‌ها، صوت‌ها و پیام‌های بعدی به این زبان ارسال می‌شوند.',
+
+  quizArabicToMeaning: 'معنای «{arabic}» کدام است؟',
+  quizTransliterationToArabic: 'نگارش عربیِ «{transliteration}» کدام است؟',
+  quizImageToName: 'این تصویر کدام نام را نشان می‌دهد؟',
+  quizAudioToName: 'کدام نام را می‌شنوی؟',
+  quizProgress: 'پرسش {current} از {total}',
+  quizNothingLearned: 'هنوز نامی دریافت نکرده‌ای. پس از نخستین درس دوباره امتحان کن.',
+  quizExpired: 'این پرسش دیگر فعال نیست. برای آزمون تازه /quiz را بفرست.',
+  quizCorrectToast: '✅ درست است!',
+  quizWrongToast: '❌ نادرست',
+  quizCorrect: '✅ آفرین، درست بود!',
+  quizWrong: '❌ پاسخ درست:',
+  quizNameAccuracy: 'دقت تو در این نام: {correct} از {attempts}',
+  quizFinished: '🏁 پایان آزمون: {correct} پاسخ درست از {total} پرسش.\nامتیاز کل: {scoreCorrect} از {scoreAnswered}.',
+
+  reviewIntro: '🔁 مرور امروز: {count} نام. معنای هر نام را به یاد بیاور و سپس دکمه‌ی مناسب را بزن.',
+  reviewRemembered: '✅ یادم بود',
+  reviewForgot: '❌ یادم رفت',
+  reviewNothingDue: 'امروز نامی برای مرور نداری. فردا دوباره سر بزن! 🌱',
+  reviewAlreadyGraded: 'پاسخ این نام قبلاً ثبت شده است.',
+  reviewRecorded: '{mark} ثبت شد',
+  reviewNext: '{mark} مرور بعدی: {date}',
+
+  adminCommandFailed: '⚠️ اجرای دستور با خطا روبه‌رو شد: {message}',
+  adminUserNotFound: 'کاربری با شناسه {chatId} پیدا نشد.',
+  statsTitle: '📊 آمار مشترکان',
+  statsTotals: 'کل: {total} | فعال: {active} | متوقف موقت: {paused} | لغو شده: {stopped}',
+  statsProgressHeading: 'توزیع پیشرفت:',
+  statsLanguagesHeading: 'زبان‌ها:',
+  statsCompleted: 'کامل شده',
+  statsLessonCount: '{count} درس',
+  statsLessonRange: '{from}–{to} درس',
+  statsLastRun:
+    'آخرین اجرای ارسال روزانه: {date} — گیرندگان: {recipients}، درس‌ها: {lessons}، خطاها: {failures}',
+  statsNoRun: 'ارسال روزانه هنوز اجرا نشده است.',
+  broadcastStarted: '📣 ارسال پیام به {count} مشترک آغاز شد…',
+  broadcastFinished: '✅ ارسال تمام شد: {sent} موفق، {failed} ناموفق.',
+  setlessonOutOfRange: 'شماره درس باید بین {min} و {max} باشد.',
+  setlessonUpdated: 'درس بعدیِ {chatId} روی شماره {number} تنظیم شد (قبلاً {previous}).',
+  resetuserDone: 'پیشرفت {chatId} بازنشانی شد؛ درس بعدی شماره {number} است.',
+  reloadRejected: '⚠️ فایل {file} بارگذاری دوباره نشد: {error}\nنسخه‌ی قبلی همچنان استفاده می‌شود.',
+  mediaRejected: '⚠️ فایل {file} خراب به نظر می‌رسد ({error}) و تا جایگزینی ارسال نمی‌شود.',
+};
@@ -0,0 +1,102 @@
+/** Urdu bot messages. */
+
+export default {
+  help: [
+    'دستیاب کمانڈز:',
+    '• /start — سفر شروع کریں یا جاری رکھیں اور پہلا سبق حاصل کریں',
+    '• /progress — اپنی پیش رفت اور اگلے سبق کا وقت دیکھیں',
+    '• /lesson <نمبر> — کوئی خاص سبق ابھی حاصل کریں (مثال: /lesson 5)',
+    '• /name <نمبر> — کسی اسم کا درست تلفظ سنیں (مثال: /name 17)',
+    '• /settime <گھنٹے:منٹ> — روزانہ سبق کا وقت مقرر کریں (مثال: /settime 07:30)',
+    '• /timezone <ٹائم زون> — اپنا ٹائم زون مقرر کریں (مثال: /timezone Europe/Berlin)',
+    '• /pause [دن] — اسباق عارضی طور پر روکیں (مثال: /pause 7)',
+    '• /resume — اسباق دوبارہ شروع کریں',
+    '• /stop — رکنیت ختم کریں اور تمام پیغامات بند کریں',
+    '• /review — آج دہرائے جانے والے ناموں کا جائزہ',
+    '• /quiz — اب تک سیکھے گئے ناموں پر کثیر انتخابی کوئز',
+    '• /language — اسباق اور پیغامات کی زبان منتخب کریں',
+    '• /help — یہ رہنمائی دوبارہ دکھائیں',
+  ].join('\n'),
+  startFirst: 'براہِ کرم پہلے /start بھیجیں تاکہ آپ کا اندراج مکمل ہو جائے۔',
+  schedule: '{time} بجے {timezone}',
+
+  welcome: 'السلام علیکم! «اسماء الحسنیٰ» کے سفر میں خوش آمدید۔ آپ کا پہلا سبق ابھی بھیجا جا رہا ہے۔',
+  welcomeBack:
+    'خوش آمدید! اب تک آپ {total} میں سے {received} اسباق حاصل کر چکے ہیں۔ اگلا سبق {schedule} بھیجا جائے گا۔',
+  courseFinished: '🎉 آپ نے تمام اسباق مکمل کر لیے۔ اللہ کرے یہ روشن نام ہمیشہ آپ کے ساتھ رہیں۔',
+
+  lessonUnavailable: 'سبق نمبر {number} دستیاب نہیں۔ براہِ کرم بوٹ کے منتظم سے رابطہ کریں۔',
+  lessonImageCaption: 'اسمِ الٰہی نمبر {number}',
+  lessonVideoTitle: '• عنوان: {title}',
+  lessonOutOfRange: 'براہِ کرم {min} اور {max} کے درمیان سبق نمبر درج کریں؛ مثال: /lesson 5',
+  nameOutOfRange: 'براہِ کرم {min} اور {max} کے درمیان اسم کا نمبر درج کریں؛ مثال: /name 17',
+  lessonOnTheWay: 'آپ کی درخواست پر سبق {number} بھیجا جا رہا ہے۔',
+
+  progressMissing: 'آپ کی کوئی پیش رفت نہیں ملی۔ اندراج مکمل کرنے کے لیے پہلے /start بھیجیں۔',
+  progressReceived: 'اب تک آپ {total} میں سے {received} اسباق حاصل کر چکے ہیں۔',
+  progressComplete: '🎉 آپ نے کورس مکمل کر لیا۔ شاباش!',
+  progressNext: 'اگلا سبق: نمبر {number} ({schedule} کے لیے طے شدہ)۔',
+  progressQuizScore: 'کوئز اسکور: {answered} میں سے {correct} درست جوابات',
+  progressLastSent: 'آخری ترسیل: {date}',
+  progressLanguage: 'زبان: {language}',
+
+  settimeInvalid: 'براہِ کرم وقت گھنٹے:منٹ کی صورت میں درج کریں؛ مثال: /settime 07:30\nموجودہ وقت: {schedule}',
+  settimeUpdated: 'اسباق کا وقت تبدیل ہو گیا۔ اگلا سبق {schedule} بھیجا جائے گا۔',
+  timezoneInvalid:
+    'براہِ کرم IANA ٹائم زون کا نام درج کریں؛ مثال: /timezone Europe/Berlin\nموجودہ زون: {timezone}',
+  timezoneUpdated: 'ٹائم زون {timezone} میں تبدیل ہو گیا۔ اگلا سبق {schedule} بھیجا جائے گا۔',
+
+  pauseInvalid: 'براہِ کرم {min} اور {max} کے درمیان دنوں کی تعداد درج کریں؛ مثال: /pause 7',
+  resumed: '{status} اگلا سبق {schedule} بھیجا جائے گا۔',
+  stopNotSubscribed: 'آپ کی کوئی فعال رکنیت نہیں ملی۔',
+  subscriptionStopped: '⏹ آپ کی رکنیت ختم ہو چکی ہے۔ اسباق دوبارہ حاصل کرنے کے لیے /start بھیجیں۔',
+  subscriptionPaused: '⏸ اسباق عارضی طور پر رکے ہوئے ہیں۔ جاری رکھنے کے لیے /resume بھیجیں۔',
+  subscriptionPausedUntil: '⏸ اسباق {date} تک رکے ہوئے ہیں۔ جلد جاری رکھنے کے لیے /resume بھیجیں۔',
+  subscriptionActive: '▶️ اسباق کی ترسیل فعال ہے۔',
+
+  languagePrompt: 'اسباق اور پیغامات کی زبان منتخب کریں:',
+  languageUnavailable: 'یہ زبان دستیاب نہیں۔ دستیاب زبانیں: {languages}',
+  languageChanged: 'زبان {language} مقرر ہو گئی۔ آئندہ اسباق، آڈیو اور پیغامات اسی زبان میں ہوں گے۔',
+
+  quizArabicToMeaning: '«{arabic}» کا مطلب کیا ہے؟',
+  quizTransliterationToArabic: '«{transliteration}» کی عربی املا کون سی ہے؟',
+  quizImageToName: 'اس تصویر میں کون سا نام ہے؟',
+  quizAudioToName: 'آپ کون سا نام سن رہے ہیں؟',
+  quizProgress: 'سوال {total} میں سے {current}',
+  quizNothingLearned: 'آپ کو ابھی کوئی نام نہیں ملا۔ پہلے سبق کے بعد دوبارہ کوشش کریں۔',
+  quizExpired: 'یہ سوال اب فعال نہیں۔ نئے کوئز کے لیے /quiz بھیجیں۔',
+  quizCorrectToast: '✅ درست!',
+  quizWrongToast: '❌ غلط',
+  quizCorrect: '✅ شاباش، جواب درست ہے!',
+  quizWrong: '❌ درست جواب:',
+  quizNameAccuracy: 'اس نام میں آپ کی درستی: {attempts} میں سے {correct}',
+  quizFinished: '🏁 کوئز مکمل: {total} سوالات میں سے {correct} درست جوابات۔\nکل اسکور: {scoreAnswered} میں سے {scoreCorrect}۔',
+
+  reviewIntro: '🔁 آج کا جائزہ: {count} نام۔ ہر نام کا مطلب یاد کریں، پھر مناسب بٹن دبائیں۔',
+  reviewRemembered: '✅ یاد تھا',
+  reviewForgot: '❌ بھول گیا',
+  reviewNothingDue: 'آج جائزے کے لیے کوئی نام نہیں۔ کل دوبارہ آئیں! 🌱',
+  reviewAlreadyGraded: 'اس نام کا جواب پہلے ہی درج ہو چکا ہے۔',
+  reviewRecorded: '{mark} درج ہو گیا',
+  reviewNext: '{mark} اگلا جائزہ: {date}',
+
+  adminCommandFailed: '⚠️ کمانڈ ناکام رہی: {message}',
+  adminUserNotFound: 'شناخت {chatId} والا کوئی صارف نہیں ملا۔',
+  statsTitle: '📊 اراکین کے اعداد و شمار',
+  statsTotals: 'کل: {total} | فعال: {active} | عارضی طور پر رکے: {paused} | منسوخ: {stopped}',
+  statsProgressHeading: 'پیش رفت کی تقسیم:',
+  statsLanguagesHeading: 'زبانیں:',
+  statsCompleted: 'مکمل',
+  statsLessonCount: '{count} اسباق',
+  statsLessonRange: '{from}–{to} اسباق',
+  statsLastRun:
+    'آخری روزانہ ترسیل: {date} — وصول کنندگان: {recipients}، اسباق: {lessons}، ناکامیاں: {failures}',
+  statsNoRun: 'روزانہ ترسیل ابھی تک نہیں چلی۔',
+  broadcastStarted: '📣 {count} اراکین کو پیغام بھیجنا شروع ہو گیا…',
+  broadcastFinished: '✅ ترسیل مکمل: {sent} کامیاب، {failed} ناکام۔',
+  setlessonOutOfRange: 'سبق نمبر {min} اور {max} کے درمیان ہونا چاہیے۔',
+  setlessonUpdated: '{chatId} کا اگلا سبق نمبر {number} مقرر ہو گیا (پہلے {previous} تھا)۔',
+  resetuserDone: '{chatId} کی پیش رفت دوبارہ ترتیب دی گئی؛ اگلا سبق نمبر {number} ہے۔',
+  reloadRejected: '⚠️ فائل {file} دوبارہ لوڈ نہیں ہوئی: {error}\nپچھلا نسخہ بدستور استعمال میں ہے۔',
+  mediaRejected: '⚠️ فائل {file} خراب لگتی ہے ({error}) اور تبدیل ہونے تک نہیں بھیجی جائے گی۔',
+};
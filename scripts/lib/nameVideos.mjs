@@ -0,0 +1,163 @@
+/**
+ * Per-name video curation: a mapping from each divine name to a few ranked
+ * YouTube candidates that are about that name specifically, written by
+ * `fetchAsmaVideoList.mjs --per-name` and read by the bot:
+ *
+ *   {
+ *     "version": 1,
+ *     "names": {
+ *       "17": {
+ *         "transliteration": "AR-RAZZAAQ",
+ *         "arabic": "الرَّزَّاقُ",
+ *         "fetchedAt": "2025-01-01T00:00:00.000Z",
+ *         "candidates": [
+ *           { "rank": 1, "videoId": "...", "url": "https://www.youtube.com/watch?v=...", "title": "...", "score": 7.4, ... }
+ *         ]
+ *       }
+ *     }
+ *   }
+ *
+ * Keys are name indexes; a name without an entry falls back to the generic
+ * `asma_ul_husna_videos.json` list in the bot. `checkVideoLinks.mjs` adds
+ * `"unavailable": true` (with `unavailableReason`) to candidates and generic
+ * entries that were deleted or made private.
+ */
+
+import fs from 'node:fs/promises';
+import { findDivineName, normalizeArabic } from './divineNames.mjs';
+
+export const NAME_VIDEOS_VERSION = 1;
+
+export const emptyNameVideos = () => ({ version: NAME_VIDEOS_VERSION, names: {} });
+
+export const validateNameVideos = (data, filePath) => {
+  if (data?.version !== NAME_VIDEOS_VERSION || !data.names || typeof data.names !== 'object') {
+    throw new Error(`${filePath} is not a version ${NAME_VIDEOS_VERSION} name video mapping`);
+  }
+
+  for (const [key, entry] of Object.entries(data.names)) {
+    if (!findDivineName(Number(key))) {
+      throw new Error(`${filePath}: "${key}" is not a divine name index`);
+    }
+
+    if (!Array.isArray(entry?.candidates)) {
+      throw new Error(`${filePath}: name ${key} has no candidates array`);
+    }
+
+    const invalid = entry.candidates.findIndex((candidate) => typeof candidate?.url !== 'string');
+
+    if (invalid !== -1) {
+      throw new Error(`${filePath}: candidate ${invalid + 1} of name ${key} has no url`);
+    }
+  }
+
+  return data;
+};
+
+export const readNameVideos = async (filePath, { allowMissing = false } = {}) => {
+  let contents;
+
+  try {
+    contents = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (allowMissing && error.code === 'ENOENT') {
+      return emptyNameVideos();
+    }
+
+    throw error;
+  }
+
+  return validateNameVideos(JSON.parse(contents), filePath);
+};
+
+export const writeNameVideos = async (filePath, data) => {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  await fs.rename(tmpPath, filePath);
+};
+
+/**
+ * Entries flagged by `checkVideoLinks.mjs` as deleted or private are never
+ * sent, and neither is an empty (`null`) slot of the generic list.
+ */
+export const isVideoAvailable = (video) => Boolean(video) && video.unavailable !== true;
+
+/** The best-ranked available candidate for a name, or null when the name has none. */
+export const pickNameVideo = (data, nameIndex) =>
+  data.names[String(nameIndex)]?.candidates.find(isVideoAvailable) ?? null;
+
+/**
+ * The video linked to each lesson, by lesson index: the curated pick for its
+ * name, else entry `lessonIndex` of the generic list (which also covers the
+ * Day 100 review). A day whose generic entry is unavailable or `null` takes
+ * the first available entry no other day links to (entries past the last
+ * lesson, or the slot of a day that has a curated pick), so no two days share
+ * a video; when none is left the day has no video.
+ */
+export const planLessonVideos = ({ nameVideos, videos }, lessons) => {
+  const ownEntry = (lessonIndex) => (isVideoAvailable(videos[lessonIndex]) ? videos[lessonIndex] : null);
+  const picks = lessons.map(
+    (lesson, lessonIndex) =>
+      (lesson.nameIndex !== null ? pickNameVideo(nameVideos, lesson.nameIndex) : null) ?? ownEntry(lessonIndex),
+  );
+  const linkedUrls = new Set(picks.filter(Boolean).map((video) => video.url));
+  const spares = videos.filter((video) => isVideoAvailable(video) && !linkedUrls.has(video.url));
+
+  return picks.map((video) => video ?? spares.shift() ?? null);
+};
+
+/** The video linked to `lessons[lessonIndex]`; see `planLessonVideos`. */
+export const resolveLessonVideo = (sources, lessons, lessonIndex) =>
+  planLessonVideos(sources, lessons)[lessonIndex] ?? null;
+
+// "AR-RAZZAAQ", "Ar Razzaq" and "ar-razzāq" all become ["ar", "razaq"]: lower-case ASCII words without doubled letters.
+const latinTokens = (text) =>
+  text
+    .normalize('NFKD')
+    .replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean)
+    .map((token) => token.replace(/(.)\1+/g, '$1'));
+
+const stripArticle = (transliteration) => transliteration.replace(/^(A[LRSTDNZ]|UL|ASH|ADH)[- ]/i, '');
+
+// A spelling as words ("malik ul mulk") and run together ("malikulmulk", "arazaq" for "ArRazzaq").
+const latinForms = (transliteration) => {
+  const words = latinTokens(stripArticle(transliteration));
+  const joined = (tokens) => latinTokens(tokens.join(''));
+
+  return [words, joined(words), joined(latinTokens(transliteration))];
+};
+
+const uniqueBy = (items, key) => [...new Map(items.map((item) => [key(item), item])).values()];
+
+/**
+ * Latin and Arabic spellings of a name to look for in video titles and
+ * descriptions; each Latin spelling is a sequence of words.
+ */
+export const nameSpellings = (entry) => ({
+  latin: uniqueBy(
+    [entry.transliteration, ...entry.alternateSpellings.transliteration].flatMap(latinForms),
+    (words) => words.join(' '),
+  ),
+  arabic: [...new Set([entry.arabic, ...entry.alternateSpellings.arabic].map(normalizeArabic))],
+});
+
+const containsSequence = (tokens, words) =>
+  tokens.some((_, start) => words.every((word, offset) => tokens[start + offset] === word));
+
+/**
+ * Whether `text` mentions the name in any known spelling. Latin spellings
+ * match whole words only, so short names such as "ali" or "haq" are not
+ * found inside "quality" or "haqiqa".
+ */
+export const mentionsName = (text, spellings) => {
+  const tokens = latinTokens(text ?? '');
+  const arabic = normalizeArabic(text ?? '');
+
+  return (
+    spellings.latin.some((words) => containsSequence(tokens, words)) ||
+    spellings.arabic.some((key) => arabic.includes(key))
+  );
+};
@@ -0,0 +1,49 @@
+/**
+ * Storage layer for subscriber progress. Pick a backend with `PROGRESS_STORE`:
+ *   - `json`   (default) — `USER_PROGRESS_PATH`, defaults to data/user_progress.json
+ *   - `sqlite`            — `PROGRESS_SQLITE_PATH`, defaults to data/user_progress.sqlite
+ *
+ * @typedef {object} ProgressStore
+ * @property {'json' | 'sqlite'} kind
+ * @property {string} location Absolute path of the backing file.
+ * @property {(chatId: string | number) => Promise<object | null>} getUser
+ * @property {() => Promise<Array<[string, object]>>} listUsers
+ * @property {(chatId: string | number, state: object) => Promise<void>} saveUser
+ * @property {(chatId: string | number, update: (state: object) => void) => Promise<object | null>} updateUser
+ *   Re-reads the stored record, lets `update` change it in place and saves it in one step,
+ *   so edits made elsewhere since the caller last read the user are kept. Resolves to the
+ *   saved record, or null (and saves nothing) when the user does not exist.
+ * @property {(chatId: string | number) => Promise<void>} deleteUser
+ * @property {(key: string) => Promise<any>} getMeta Bot-wide values such as the last delivery run.
+ * @property {(key: string, value: any) => Promise<void>} setMeta
+ * @property {() => Promise<void>} close
+ */
+
+import path from 'node:path';
+import process from 'node:process';
+import { createJsonProgressStore } from './jsonProgressStore.mjs';
+import { createSqliteProgressStore } from './sqliteProgressStore.mjs';
+
+const resolveFromRoot = (relativePath) => path.resolve(process.cwd(), relativePath);
+
+export const DEFAULT_JSON_PROGRESS_PATH = path.join('data', 'user_progress.json');
+export const DEFAULT_SQLITE_PROGRESS_PATH = path.join('data', 'user_progress.sqlite');
+
+/**
+ * @param {{ backend?: string, jsonPath?: string, sqlitePath?: string }} [options]
+ * @returns {Promise<ProgressStore>}
+ */
+export const createProgressStore = async ({
+  backend = process.env.PROGRESS_STORE ?? 'json',
+  jsonPath = process.env.USER_PROGRESS_PATH ?? DEFAULT_JSON_PROGRESS_PATH,
+  sqlitePath = process.env.PROGRESS_SQLITE_PATH ?? DEFAULT_SQLITE_PROGRESS_PATH,
+} = {}) => {
+  switch (backend) {
+    case 'json':
+      return createJsonProgressStore({ filePath: resolveFromRoot(jsonPath) });
+    case 'sqlite':
+      return createSqliteProgressStore({ filePath: resolveFromRoot(sqlitePath) });
+    default:
+      throw new Error(`Unknown PROGRESS_STORE "${backend}", expected "json" or "sqlite"`);
+  }
+};
@@ -0,0 +1,151 @@
+/**
+ * Multiple-choice quiz over the divine names a subscriber has already been
+ * sent. Question building and scoring live here; the bot only renders the
+ * question and feeds the chosen option back through `recordQuizAnswer`.
+ */
+
+import { divineNames, findDivineName, getMeaning } from './divineNames.mjs';
+import { DEFAULT_LOCALE } from './i18n.mjs';
+
+export const QUIZ_QUESTION_TYPES = ['arabic-to-meaning', 'transliteration-to-arabic', 'image-to-name', 'audio-to-name'];
+
+const OPTIONS_PER_QUESTION = 4;
+
+const ANSWER_LABEL_BY_TYPE = {
+  'arabic-to-meaning': (entry, locale) => getMeaning(entry, locale),
+  'transliteration-to-arabic': (entry) => entry.arabic,
+  'image-to-name': (entry) => entry.transliteration,
+  'audio-to-name': (entry) => entry.transliteration,
+};
+
+const shuffle = (items, random) => {
+  const result = [...items];
+
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+
+  return result;
+};
+
+// Names answered wrongly more often are proportionally more likely to come up again.
+const pickWeightedName = (candidates, history, random) => {
+  const weights = candidates.map((entry) => {
+    const record = history[entry.index];
+    return 1 + (record ? record.attempts - record.correct : 0);
+  });
+  let remaining = random() * weights.reduce((sum, weight) => sum + weight, 0);
+
+  for (let i = 0; i < candidates.length; i += 1) {
+    remaining -= weights[i];
+
+    if (remaining < 0) {
+      return candidates[i];
+    }
+  }
+
+  return candidates[candidates.length - 1];
+};
+
+export const createQuizState = () => ({
+  active: null,
+  session: null,
+  score: { answered: 0, correct: 0 },
+  history: {},
+});
+
+export const ensureQuizState = (userState) => {
+  if (!userState.quiz || typeof userState.quiz !== 'object') {
+    userState.quiz = createQuizState();
+  }
+
+  return userState.quiz;
+};
+
+export const getOptionLabel = (question, nameIndex, locale = DEFAULT_LOCALE) => {
+  const entry = findDivineName(nameIndex);
+  return entry ? ANSWER_LABEL_BY_TYPE[question.type](entry, locale) : String(nameIndex);
+};
+
+/**
+ * @param {object} options
+ * @param {number[]} options.learnedNames Indexes of the names the subscriber has been sent, i.e. the
+ *   `nameIndex` of each delivered lesson.
+ * @param {Record<string, { attempts: number, correct: number }>} [options.history]
+ * @param {string[]} [options.types] Question types to choose from.
+ * @param {() => number} [options.random]
+ * @param {string} [options.locale] Language of meaning labels, used to skip duplicate options.
+ */
+export const buildQuizQuestion = ({
+  learnedNames,
+  history = {},
+  types = QUIZ_QUESTION_TYPES,
+  random = Math.random,
+  locale = DEFAULT_LOCALE,
+}) => {
+  const learned = [...new Set(learnedNames)].map(findDivineName).filter(Boolean);
+
+  if (learned.length === 0 || types.length === 0) {
+    return null;
+  }
+
+  const type = types[Math.floor(random() * types.length)];
+  const answerLabel = (entry) => ANSWER_LABEL_BY_TYPE[type](entry, locale);
+  const target = pickWeightedName(learned, history, random);
+
+  // Distractors come from all 99 names, skipping any whose label would duplicate the answer's.
+  const seenLabels = new Set([answerLabel(target)]);
+  const distractors = [];
+
+  for (const entry of shuffle(divineNames, random)) {
+    if (distractors.length === OPTIONS_PER_QUESTION - 1) {
+      break;
+    }
+
+    if (!seenLabels.has(answerLabel(entry))) {
+      seenLabels.add(answerLabel(entry));
+      distractors.push(entry.index);
+    }
+  }
+
+  return {
+    id: `${Date.now().toString(36)}${Math.floor(random() * 1296).toString(36)}`,
+    type,
+    nameIndex: target.index,
+    options: shuffle([target.index, ...distractors], random),
+    askedAt: new Date().toISOString(),
+  };
+};
+
+/**
+ * Score an answer against the active question and update the per-name history.
+ * Returns null when the answer does not belong to the active question.
+ */
+export const recordQuizAnswer = (quizState, questionId, chosenIndex) => {
+  const question = quizState.active;
+
+  if (!question || question.id !== questionId || !question.options.includes(chosenIndex)) {
+    return null;
+  }
+
+  const correct = chosenIndex === question.nameIndex;
+  const record = quizState.history[question.nameIndex] ?? { attempts: 0, correct: 0 };
+
+  quizState.history[question.nameIndex] = {
+    attempts: record.attempts + 1,
+    correct: record.correct + (correct ? 1 : 0),
+    lastResult: correct,
+    lastAnsweredAt: new Date().toISOString(),
+  };
+  quizState.score.answered += 1;
+  quizState.score.correct += correct ? 1 : 0;
+
+  if (quizState.session) {
+    quizState.session.answered += 1;
+    quizState.session.correct += correct ? 1 : 0;
+  }
+
+  quizState.active = null;
+  return { correct, question };
+};
@@ -0,0 +1,81 @@
+/**
+ * Leitner-box review schedule for the names a subscriber has learned. Each
+ * name starts in box 1 the day after its lesson; "remembered" moves it up a
+ * box (longer gap before the next review), "forgot" sends it back to box 1.
+ *
+ * Dates are the subscriber's local calendar dates (`YYYY-MM-DD`), so reviews
+ * line up with their delivery time rather than UTC midnight.
+ */
+
+export const BOX_INTERVAL_DAYS = [1, 2, 4, 8, 16, 32];
+
+export const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+export const ensureReviewState = (userState) => {
+  if (!userState.review || typeof userState.review !== 'object') {
+    userState.review = { items: {}, lastSentOn: null };
+  }
+
+  return userState.review;
+};
+
+/**
+ * Enrol every learned name (indexes of the names sent so far) that has no
+ * schedule yet; the first review is the next local day. Returns the number of
+ * names added.
+ */
+export const syncReviewItems = (reviewState, learnedNames, today) => {
+  let added = 0;
+
+  for (const nameIndex of learnedNames) {
+    if (!reviewState.items[nameIndex]) {
+      reviewState.items[nameIndex] = {
+        box: 1,
+        dueOn: addDays(today, BOX_INTERVAL_DAYS[0]),
+        reviews: 0,
+        lapses: 0,
+        lastReviewedAt: null,
+      };
+      added += 1;
+    }
+  }
+
+  return added;
+};
+
+/** Names due on or before `today`, most overdue and lowest box first. */
+export const getDueNames = (reviewState, today, limit = Infinity) =>
+  Object.entries(reviewState.items)
+    .filter(([, item]) => item.dueOn <= today)
+    .sort(([aIndex, a], [bIndex, b]) =>
+      a.dueOn.localeCompare(b.dueOn) || a.box - b.box || Number(aIndex) - Number(bIndex))
+    .slice(0, limit)
+    .map(([nameIndex]) => Number(nameIndex));
+
+/**
+ * Apply a "remembered" / "forgot" answer. Returns the updated item, or null if
+ * the name is unknown or not due yet (e.g. a button pressed twice).
+ */
+export const gradeReview = (reviewState, nameIndex, remembered, today) => {
+  const item = reviewState.items[nameIndex];
+
+  if (!item || item.dueOn > today) {
+    return null;
+  }
+
+  const box = remembered ? Math.min(item.box + 1, BOX_INTERVAL_DAYS.length) : 1;
+
+  reviewState.items[nameIndex] = {
+    box,
+    dueOn: addDays(today, BOX_INTERVAL_DAYS[box - 1]),
+    reviews: item.reviews + 1,
+    lapses: item.lapses + (remembered ? 0 : 1),
+    lastReviewedAt: new Date().toISOString(),
+  };
+
+  return reviewState.items[nameIndex];
+};
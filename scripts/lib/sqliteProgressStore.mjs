@@ -0,0 +1,94 @@
+/**
+ * Progress store backed by an embedded SQLite database. Each subscriber is a
+ * row holding the JSON-encoded user record, so saves touch a single row and
+ * several processes can share the file (WAL mode + busy timeout).
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+
+const BUSY_TIMEOUT_MS = 5000;
+
+/**
+ * @param {{ filePath: string }} options
+ * @returns {Promise<import('./progressStore.mjs').ProgressStore>}
+ */
+export const createSqliteProgressStore = async ({ filePath }) => {
+  // Loaded lazily so the JSON backend keeps working where the native module is unavailable.
+  const { default: Database } = await import('better-sqlite3');
+
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma(`busy_timeout = ${BUSY_TIMEOUT_MS}`);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      chat_id TEXT PRIMARY KEY,
+      state TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  const selectUser = db.prepare('SELECT state FROM users WHERE chat_id = ?');
+  const selectAllUsers = db.prepare('SELECT chat_id, state FROM users ORDER BY rowid');
+  const upsertUser = db.prepare(`
+    INSERT INTO users (chat_id, state, updated_at) VALUES (@chatId, @state, @updatedAt)
+    ON CONFLICT (chat_id) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+  `);
+  // IMMEDIATE takes the write lock before the read, so another process cannot save in between.
+  const updateUser = db.transaction((chatId, update) => {
+    const row = selectUser.get(chatId);
+
+    if (!row) {
+      return null;
+    }
+
+    const state = JSON.parse(row.state);
+    update(state);
+    upsertUser.run({ chatId, state: JSON.stringify(state), updatedAt: new Date().toISOString() });
+    return state;
+  });
+  const removeUser = db.prepare('DELETE FROM users WHERE chat_id = ?');
+  const selectMeta = db.prepare('SELECT value FROM meta WHERE key = ?');
+  const upsertMeta = db.prepare(`
+    INSERT INTO meta (key, value) VALUES (?, ?)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value
+  `);
+
+  return {
+    kind: 'sqlite',
+    location: filePath,
+    getUser: async (chatId) => {
+      const row = selectUser.get(String(chatId));
+      return row ? JSON.parse(row.state) : null;
+    },
+    listUsers: async () =>
+      selectAllUsers.all().map((row) => [row.chat_id, JSON.parse(row.state)]),
+    saveUser: async (chatId, state) => {
+      upsertUser.run({
+        chatId: String(chatId),
+        state: JSON.stringify(state),
+        updatedAt: new Date().toISOString(),
+      });
+    },
+    updateUser: async (chatId, update) => updateUser.immediate(String(chatId), update),
+    deleteUser: async (chatId) => {
+      removeUser.run(String(chatId));
+    },
+    getMeta: async (key) => {
+      const row = selectMeta.get(key);
+      return row ? JSON.parse(row.value) : null;
+    },
+    setMeta: async (key, value) => {
+      upsertMeta.run(key, JSON.stringify(value));
+    },
+    close: async () => {
+      db.close();
+    },
+  };
+};
@@ -0,0 +1,228 @@
+/**
+ * Audio helpers for `tts_lessons.mjs`: splitting a lesson into chunks the TTS
+ * model accepts, the prompts of the per-name pronunciation clips, joining the
+ * returned PCM, encoding it to OGG/Opus with ffmpeg, and the manifest written
+ * beside the audio files (name clips have `nameIndex` instead of `day`):
+ *
+ *   {
+ *     "version": 1,
+ *     "files": {
+ *       "lesson_017.ogg": {
+ *         "day": 17, "format": "ogg", "durationSeconds": 312.4, "bytes": 1250000,
+ *         "sha256": "…", "chunks": 3, "voice": "Kore", "model": "…",
+ *         "inputHash": "…", "createdAt": "…"
+ *       }
+ *     }
+ *   }
+ *
+ * `inputHash` covers everything the audio is rendered from (the spoken text,
+ * voice, model and encoding settings), so a later run re-renders exactly the
+ * files whose inputs changed.
+ */
+
+import { spawn } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+// What the Gemini TTS models return: raw 24 kHz, 16-bit, mono PCM.
+export const PCM_FORMAT = { sampleRate: 24000, channels: 1, bytesPerSample: 2 };
+
+export const DEFAULT_MAX_CHUNK_CHARS = 2500;
+export const DEFAULT_OPUS_BITRATE = '32k';
+export const CHUNK_PAUSE_MS = 400;
+export const NAME_CLIP_PAUSE_MS = 700;
+export const MANIFEST_FILENAME = 'manifest.json';
+export const MANIFEST_VERSION = 1;
+
+// Paragraphs first, then sentences (Latin, Arabic and Urdu full stops), then words.
+const SPLIT_LEVELS = [
+  { pattern: /\n{2,}/, joiner: '\n\n' },
+  { pattern: /(?<=[.!?؟۔])\s+/, joiner: ' ' },
+  { pattern: /\s+/, joiner: ' ' },
+];
+
+/**
+ * Split text into chunks of at most `maxChars`, breaking at paragraph
+ * boundaries where possible and packing short paragraphs together so a
+ * typical lesson needs only a few requests.
+ */
+export const splitForSpeech = (text, maxChars = DEFAULT_MAX_CHUNK_CHARS, level = 0) => {
+  const trimmed = text.trim();
+
+  if (trimmed.length <= maxChars) {
+    return trimmed ? [trimmed] : [];
+  }
+
+  if (level >= SPLIT_LEVELS.length) {
+    const chars = [...trimmed];
+    const pieces = [];
+
+    for (let start = 0; start < chars.length; start += maxChars) {
+      pieces.push(chars.slice(start, start + maxChars).join(''));
+    }
+
+    return pieces;
+  }
+
+  const { pattern, joiner } = SPLIT_LEVELS[level];
+  const pieces = trimmed.split(pattern).flatMap((piece) => splitForSpeech(piece, maxChars, level + 1));
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    const candidate = current ? `${current}${joiner}${piece}` : piece;
+
+    if (candidate.length <= maxChars) {
+      current = candidate;
+      continue;
+    }
+
+    chunks.push(current);
+    current = piece;
+  }
+
+  return current ? [...chunks, current] : chunks;
+};
+
+const bytesPerSecond = ({ sampleRate, channels, bytesPerSample } = PCM_FORMAT) =>
+  sampleRate * channels * bytesPerSample;
+
+/**
+ * The two requests of a name's pronunciation clip: the name said slowly, then
+ * at a natural pace. The leading instruction steers the delivery and is not read out.
+ */
+export const pronunciationPrompts = (entry) => [
+  `Say slowly and clearly, syllable by syllable, in classical Arabic: ${entry.arabic}`,
+  `Say at a natural pace, in classical Arabic: ${entry.arabic}`,
+];
+
+export const nameClipFilename = (nameIndex, extension = 'ogg') =>
+  `name_${String(nameIndex).padStart(3, '0')}.${extension}`;
+
+/** Concatenate PCM buffers with a short silence between them, so chunk joins sound like paragraph breaks. */
+export const joinPcm = (buffers, { pauseMs = CHUNK_PAUSE_MS, format = PCM_FORMAT } = {}) => {
+  const frameBytes = format.channels * format.bytesPerSample;
+  const silence = Buffer.alloc(Math.round((bytesPerSecond(format) * pauseMs) / 1000 / frameBytes) * frameBytes);
+
+  return Buffer.concat(buffers.flatMap((buffer, index) => (index === 0 ? [buffer] : [silence, buffer])));
+};
+
+export const pcmDurationSeconds = (pcm, format = PCM_FORMAT) =>
+  Number((pcm.length / bytesPerSecond(format)).toFixed(2));
+
+/**
+ * Encode raw PCM to OGG/Opus by piping it through ffmpeg (`FFMPEG_PATH`, or
+ * `ffmpeg` on the PATH). The file is written under a temporary name and
+ * renamed into place, so the bot never picks up a half-written voice note.
+ */
+export const encodeOpus = async (
+  pcm,
+  outPath,
+  { ffmpegPath = process.env.FFMPEG_PATH ?? 'ffmpeg', bitrate = DEFAULT_OPUS_BITRATE, format = PCM_FORMAT } = {},
+) => {
+  const tmpPath = `${outPath}.tmp`;
+  const ffmpegArgs = [
+    '-hide_banner', '-loglevel', 'error', '-y',
+    '-f', `s${format.bytesPerSample * 8}le`, '-ar', String(format.sampleRate), '-ac', String(format.channels),
+    '-i', 'pipe:0',
+    '-c:a', 'libopus', '-b:a', bitrate, '-application', 'voip',
+    '-f', 'ogg', tmpPath,
+  ];
+
+  await new Promise((resolve, reject) => {
+    const child = spawn(ffmpegPath, ffmpegArgs, { stdio: ['pipe', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    child.stderr.on('data', (data) => {
+      stderr += data;
+    });
+    child.on('error', (error) => {
+      reject(
+        error.code === 'ENOENT'
+          ? Object.assign(new Error(`ffmpeg not found at "${ffmpegPath}"; install it or set FFMPEG_PATH.`), { code: 'ENOENT' })
+          : error,
+      );
+    });
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve();
+      } else {
+        reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim()}`));
+      }
+    });
+    // ffmpeg may exit before reading everything (e.g. a bad argument); its exit code reports that.
+    child.stdin.on('error', () => {});
+    child.stdin.end(pcm);
+  });
+
+  await fs.rename(tmpPath, outPath);
+};
+
+/** SHA-256 over the inputs of one audio file; any change to them changes the hash. */
+export const renderInputHash = ({ texts, voice, model, format, bitrate, pauseMs }) =>
+  createHash('sha256')
+    .update(JSON.stringify({ texts, voice, model, format, bitrate: format === 'ogg' ? bitrate : null, pauseMs }))
+    .digest('hex');
+
+/**
+ * Why a file has to be (re-)rendered, or null when it is up to date: the file
+ * is missing, the manifest has no hash for it (written before hashes were
+ * recorded, or by hand), or its inputs changed since it was rendered.
+ */
+export const staleReason = (entry, inputs, { fileExists }) => {
+  if (!fileExists) {
+    return 'missing';
+  }
+
+  if (!entry?.inputHash) {
+    return 'no recorded inputs';
+  }
+
+  if (entry.inputHash === renderInputHash(inputs)) {
+    return null;
+  }
+
+  if (entry.voice !== inputs.voice) {
+    return `voice changed (${entry.voice} → ${inputs.voice})`;
+  }
+
+  if (entry.model !== inputs.model) {
+    return `model changed (${entry.model} → ${inputs.model})`;
+  }
+
+  return 'text or settings changed';
+};
+
+/** Size and SHA-256 of a finished audio file, for its manifest entry. */
+export const describeAudioFile = async (filePath) => {
+  const contents = await fs.readFile(filePath);
+
+  return { bytes: contents.length, sha256: createHash('sha256').update(contents).digest('hex') };
+};
+
+export const readManifest = async (dir) => {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILENAME), 'utf8'));
+
+    if (data?.version !== MANIFEST_VERSION || typeof data.files !== 'object' || data.files === null) {
+      throw new Error(`${path.join(dir, MANIFEST_FILENAME)} is not a version ${MANIFEST_VERSION} audio manifest`);
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: MANIFEST_VERSION, files: {} };
+    }
+
+    throw error;
+  }
+};
+
+export const writeManifest = async (dir, manifest) => {
+  const filePath = path.join(dir, MANIFEST_FILENAME);
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(manifest, null, 2), 'utf8');
+  await fs.rename(tmpPath, filePath);
+};
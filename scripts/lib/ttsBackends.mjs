@@ -0,0 +1,150 @@
+/**
+ * Speech backends for `tts_lessons.mjs`. Every backend exposes the same shape
+ * and returns raw PCM in `PCM_FORMAT` (24 kHz, 16-bit, mono):
+ *
+ *   backend.synthesize(text) -> Promise<Buffer>
+ *
+ * Failed requests throw an error with the HTTP `status` when there is one, and
+ * `retryAfterMs` when the service says how long to wait, so the caller can
+ * tell rate limits and outages (retried) from rejected requests (not retried).
+ *
+ * Backends:
+ *   gemini  Google Gemini TTS via `@google/genai`
+ *   fake    Deterministic offline tone, one beep per word; no network, no key.
+ *           TTS_FAKE_DELAY_MS (default 50) adds latency per request,
+ *           TTS_FAKE_TRANSIENT_EVERY=n fails every n-th request with 429/503, and
+ *           TTS_FAKE_REJECT=text fails requests containing `text` with 400.
+ */
+
+import process from 'node:process';
+import { PCM_FORMAT } from './ttsAudio.mjs';
+
+export const TTS_BACKENDS = ['gemini', 'fake'];
+export const FAKE_TTS_MODEL = 'fake-tts';
+
+const backendError = (message, details = {}) => Object.assign(new Error(message), details);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Gemini puts the suggested wait of a 429 in the error body: "retryDelay": "27s".
+const retryDelayFromMessage = (message) => {
+  const seconds = Number(/"retryDelay":\s*"(\d+(?:\.\d+)?)s"/.exec(message ?? '')?.[1]);
+  return Number.isFinite(seconds) && seconds > 0 ? Math.ceil(seconds * 1000) : undefined;
+};
+
+const createGeminiBackend = ({ apiKey, model, voice }) => {
+  let clientPromise = null;
+
+  // Imported lazily so the fake backend works without the SDK installed.
+  const getClient = () => {
+    clientPromise ??= import('@google/genai').then(({ GoogleGenAI }) => new GoogleGenAI({ apiKey }));
+    return clientPromise;
+  };
+
+  return {
+    name: 'gemini',
+    model,
+    synthesize: async (text) => {
+      const ai = await getClient();
+      let response;
+
+      try {
+        response = await ai.models.generateContent({
+          model,
+          contents: [{ parts: [{ text }] }],
+          config: {
+            responseModalities: ['AUDIO'],
+            speechConfig: { voiceConfig: { prebuiltVoiceConfig: { voiceName: voice } } },
+          },
+        });
+      } catch (error) {
+        throw backendError(`Gemini TTS request failed: ${error.message}`, {
+          status: error.status,
+          retryAfterMs: retryDelayFromMessage(error.message),
+          cause: error,
+        });
+      }
+
+      const b64 = response?.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
+
+      if (!b64) {
+        throw backendError('No audio data returned from Gemini.');
+      }
+
+      return Buffer.from(b64, 'base64');
+    },
+  };
+};
+
+// A 440 Hz beep of 120 ms per word, with 60 ms of silence after each.
+const fakePcm = (text, { sampleRate, bytesPerSample } = PCM_FORMAT) => {
+  const words = Math.max(1, text.split(/\s+/).filter(Boolean).length);
+  const beep = Math.round(sampleRate * 0.12);
+  const gap = Math.round(sampleRate * 0.06);
+  const pcm = Buffer.alloc(words * (beep + gap) * bytesPerSample);
+
+  for (let word = 0; word < words; word += 1) {
+    const start = word * (beep + gap);
+
+    for (let sample = 0; sample < beep; sample += 1) {
+      const value = Math.round(Math.sin((2 * Math.PI * 440 * sample) / sampleRate) * 8000);
+      pcm.writeInt16LE(value, (start + sample) * bytesPerSample);
+    }
+  }
+
+  return pcm;
+};
+
+const createFakeBackend = ({ env }) => {
+  const delayMs = Number.parseInt(env.TTS_FAKE_DELAY_MS ?? '50', 10);
+  const transientEvery = Number.parseInt(env.TTS_FAKE_TRANSIENT_EVERY ?? '0', 10);
+  const rejectText = env.TTS_FAKE_REJECT || null;
+  let requestCount = 0;
+
+  return {
+    name: 'fake',
+    model: FAKE_TTS_MODEL,
+    synthesize: async (text) => {
+      requestCount += 1;
+      const request = requestCount;
+      await sleep(delayMs);
+
+      if (rejectText && text.includes(rejectText)) {
+        throw backendError(`Fake TTS rejected the request (400): text contains "${rejectText}".`, { status: 400 });
+      }
+
+      if (transientEvery > 0 && request % transientEvery === 0) {
+        const status = (request / transientEvery) % 2 === 1 ? 429 : 503;
+        throw backendError(`Fake TTS transient failure (${status}) on request ${request}.`, { status });
+      }
+
+      return fakePcm(text);
+    },
+  };
+};
+
+/**
+ * @param {object} options
+ * @param {string} [options.backend] One of TTS_BACKENDS; defaults to TTS_BACKEND or `gemini`.
+ * @param {string} options.model
+ * @param {string} options.voice
+ * @param {NodeJS.ProcessEnv} [options.env]
+ */
+export const createTtsBackend = ({ backend, model, voice, env = process.env }) => {
+  const name = backend ?? env.TTS_BACKEND ?? 'gemini';
+
+  switch (name) {
+    case 'gemini':
+      if (!env.GEMINI_API_KEY) {
+        throw backendError('Missing GEMINI_API_KEY environment variable.');
+      }
+
+      return createGeminiBackend({ apiKey: env.GEMINI_API_KEY, model, voice });
+
+    case 'fake':
+      return createFakeBackend({ env });
+
+    default:
+      throw backendError(`Unknown TTS backend "${name}"; choose from ${TTS_BACKENDS.join(', ')}.`);
+  }
+};
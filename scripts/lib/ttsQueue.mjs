@@ -0,0 +1,151 @@
+/**
+ * Scheduling for `tts_lessons.mjs`: a bounded worker pool, a requests-per-minute
+ * limiter shared by all workers, retries that only repeat what can succeed on
+ * a second try, and the job-state file that records how each file fared:
+ *
+ *   {
+ *     "version": 1,
+ *     "startedAt": "…", "finishedAt": "…",
+ *     "jobs": {
+ *       "lesson_017.ogg": { "label": "#17", "state": "failed", "attempts": 1,
+ *                           "status": 400, "error": "…", "inputHash": "…", "updatedAt": "…" }
+ *     }
+ *   }
+ *
+ * `state` is `done` or `failed`; files the run never reached (it was
+ * interrupted, or stopped early) keep `pending`.
+ */
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+export const JOB_STATE_FILENAME = 'tts_jobs.json';
+export const JOB_STATE_VERSION = 1;
+
+export const DEFAULT_CONCURRENCY = 2;
+export const DEFAULT_REQUESTS_PER_MINUTE = 10;
+export const DEFAULT_MAX_RETRIES = 4;
+export const DEFAULT_RETRY_DELAY_MS = 2000;
+
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Rate limits (429), server errors (5xx) and dropped connections are worth
+ * another attempt; any other 4xx means the request itself is wrong.
+ */
+export const isRetryableTtsError = (error) => {
+  const status = Number(error?.status);
+
+  if (Number.isInteger(status)) {
+    return status === 429 || status >= 500;
+  }
+
+  const code = error?.code ?? error?.cause?.code;
+  return NETWORK_ERROR_CODES.has(code) || error?.message === 'fetch failed';
+};
+
+/**
+ * Spaces requests evenly so no more than `requestsPerMinute` start in any
+ * minute, however many workers share the limiter. 0 disables the limit.
+ */
+export const createRateLimiter = (requestsPerMinute) => {
+  const intervalMs = requestsPerMinute > 0 ? 60_000 / requestsPerMinute : 0;
+  let nextSlot = 0;
+
+  return {
+    acquire: async () => {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + intervalMs;
+
+      if (slot > now) {
+        await sleep(slot - now);
+      }
+    },
+  };
+};
+
+/**
+ * Run `fn` until it succeeds, retrying retryable errors with exponential
+ * backoff (or the delay the service asked for). Returns the result and the
+ * number of attempts; a thrown error carries `attempts` as well.
+ */
+export const withClassifiedRetry = async (
+  fn,
+  { maxRetries = DEFAULT_MAX_RETRIES, baseDelayMs = DEFAULT_RETRY_DELAY_MS, onRetry = () => {} } = {},
+) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return { result: await fn(), attempts: attempt + 1 };
+    } catch (error) {
+      if (!isRetryableTtsError(error) || attempt >= maxRetries) {
+        throw Object.assign(error, { attempts: attempt + 1 });
+      }
+
+      const delay = error.retryAfterMs ?? baseDelayMs * 2 ** attempt;
+      onRetry(error, delay, attempt + 1);
+      await sleep(delay);
+    }
+  }
+};
+
+/**
+ * Run `worker(item)` over `items` with at most `concurrency` in flight.
+ * Worker errors are the worker's business; calling `stop()` lets the running
+ * items finish but starts no new ones.
+ */
+export const runPool = async (items, worker, { concurrency = DEFAULT_CONCURRENCY } = {}) => {
+  let next = 0;
+  let stopped = false;
+  const stop = () => {
+    stopped = true;
+  };
+
+  const lane = async () => {
+    while (!stopped && next < items.length) {
+      const item = items[next];
+      next += 1;
+      await worker(item, { stop });
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, lane));
+  return { started: next };
+};
+
+export const readJobState = async (dir) => {
+  try {
+    const data = JSON.parse(await fs.readFile(path.join(dir, JOB_STATE_FILENAME), 'utf8'));
+
+    if (data?.version !== JOB_STATE_VERSION || typeof data.jobs !== 'object' || data.jobs === null) {
+      throw new Error(`${path.join(dir, JOB_STATE_FILENAME)} is not a version ${JOB_STATE_VERSION} TTS job state file`);
+    }
+
+    return data;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: JOB_STATE_VERSION, jobs: {} };
+    }
+
+    throw error;
+  }
+};
+
+export const writeJobState = async (dir, state) => {
+  const filePath = path.join(dir, JOB_STATE_FILENAME);
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(state, null, 2), 'utf8');
+  await fs.rename(tmpPath, filePath);
+};
+
+/** Chains async writes so concurrent workers never interleave two saves of the same file. */
+export const createSerialWriter = () => {
+  let tail = Promise.resolve();
+
+  return (write) => {
+    tail = tail.then(write, write);
+    return tail;
+  };
+};
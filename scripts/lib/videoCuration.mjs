@@ -0,0 +1,329 @@
+/**
+ * Curation of the generic video list (`asma_ul_husna_videos.json`): dedupe,
+ * scoring, a blocklist and pinned positions. The decisions live in a separate
+ * file so they survive every re-fetch:
+ *
+ *   {
+ *     "version": 1,
+ *     "blocklist": [
+ *       { "videoId": "abc123", "reason": "music", "addedAt": "..." },
+ *       { "channel": "Some Channel", "reason": "off-topic", "addedAt": "..." }
+ *     ],
+ *     "pins": [{ "videoId": "ta_tTZrarE0", "position": 1, "addedAt": "..." }],
+ *     "scoring": { "languages": ["ar", "fa"], "weights": { "recency": 0 } }
+ *   }
+ *
+ * A channel entry matches either the channel id or the channel title (case-insensitive).
+ * `scoring` is optional and overrides `DEFAULT_SCORING` key by key.
+ */
+
+import fs from 'node:fs/promises';
+
+export const VIDEO_CURATION_VERSION = 1;
+
+export const DEFAULT_SCORING = {
+  weights: { views: 1, likes: 0.5, likeRatio: 2, recency: 1, language: 1, duration: 1 },
+  // Languages of the lessons; Arabic recitations suit every locale.
+  languages: ['ar', 'fa', 'en', 'ur'],
+  // A like ratio at or above this counts as full marks.
+  fullLikeRatio: 0.04,
+  // Age at which the recency part has halved.
+  recencyHalfLifeYears: 3,
+  minDurationSeconds: 60,
+  maxDurationSeconds: 1800,
+};
+
+export const emptyVideoCuration = () => ({ version: VIDEO_CURATION_VERSION, blocklist: [], pins: [] });
+
+const readJson = async (filePath, fallback) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (fallback !== undefined && error.code === 'ENOENT') {
+      return fallback;
+    }
+
+    throw error;
+  }
+};
+
+const writeJson = async (filePath, data) => {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), 'utf8');
+  await fs.rename(tmpPath, filePath);
+};
+
+export const validateVideoCuration = (data, filePath) => {
+  if (data?.version !== VIDEO_CURATION_VERSION || !Array.isArray(data.blocklist) || !Array.isArray(data.pins)) {
+    throw new Error(`${filePath} is not a version ${VIDEO_CURATION_VERSION} video curation file`);
+  }
+
+  const badBlock = data.blocklist.findIndex((entry) => !entry?.videoId && !entry?.channel);
+
+  if (badBlock !== -1) {
+    throw new Error(`${filePath}: blocklist entry ${badBlock + 1} names neither a videoId nor a channel`);
+  }
+
+  const badPin = data.pins.findIndex((pin) => !pin?.videoId || !Number.isInteger(pin.position) || pin.position < 1);
+
+  if (badPin !== -1) {
+    throw new Error(`${filePath}: pin ${badPin + 1} needs a videoId and a position of 1 or more`);
+  }
+
+  return data;
+};
+
+/** The curation file, or an empty one when it does not exist yet. */
+export const readVideoCuration = async (filePath) =>
+  validateVideoCuration(await readJson(filePath, emptyVideoCuration()), filePath);
+
+export const writeVideoCuration = (filePath, data) => writeJson(filePath, data);
+
+export const readVideoList = async (filePath, { allowMissing = false } = {}) => {
+  const data = await readJson(filePath, allowMissing ? [] : undefined);
+
+  if (!Array.isArray(data)) {
+    throw new Error(`Expected an array of videos in ${filePath}, received ${typeof data}`);
+  }
+
+  return data;
+};
+
+export const writeVideoList = (filePath, videos) => writeJson(filePath, videos);
+
+const urlVideoId = (url) => {
+  try {
+    return new URL(url).searchParams.get('v');
+  } catch {
+    return null;
+  }
+};
+
+/** `videoId`, falling back to the `v` parameter of the url for hand-added entries. */
+export const videoIdOf = (video) => video?.videoId ?? urlVideoId(video?.url);
+
+/** The blocklist entry that excludes `video`, or undefined. */
+export const findBlock = (video, curation) => {
+  const videoId = videoIdOf(video);
+  const channelTitle = (video?.channelTitle ?? '').toLowerCase();
+
+  return curation.blocklist.find((entry) =>
+    entry.videoId
+      ? entry.videoId === videoId
+      : entry.channel === video?.channelId || entry.channel.toLowerCase() === channelTitle,
+  );
+};
+
+const toNumber = (value) => {
+  const norm = Number(value);
+  return Number.isFinite(norm) ? norm : -1;
+};
+
+const compareByPopularity = (a, b) =>
+  toNumber(b?.viewCount) - toNumber(a?.viewCount) || toNumber(b?.likeCount) - toNumber(a?.likeCount);
+
+/**
+ * One entry per video, in order of first appearance. When a video appears
+ * twice the more popular copy wins, which is the one with fresher statistics.
+ */
+export const dedupeVideos = (videos) => {
+  const result = [];
+  const positions = new Map();
+
+  for (const video of videos) {
+    const key = videoIdOf(video) ?? video?.url;
+
+    if (!key) {
+      result.push(video);
+      continue;
+    }
+
+    if (!positions.has(key)) {
+      positions.set(key, result.length);
+      result.push(video);
+      continue;
+    }
+
+    const position = positions.get(key);
+
+    if (compareByPopularity(video, result[position]) < 0) {
+      result[position] = video;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Fold freshly fetched entries into an existing list. Known videos keep any
+ * hand-added fields and take the new statistics; new videos are appended.
+ * A video the fetch returned is live, so it loses the `unavailable` flag
+ * `checkVideoLinks.mjs` may have set.
+ */
+export const mergeVideos = (existing, incoming) => {
+  const byId = new Map(incoming.map((video) => [videoIdOf(video), video]));
+  const merged = existing.map((video) => {
+    const update = byId.get(videoIdOf(video));
+    byId.delete(videoIdOf(video));
+
+    if (!update) {
+      return video;
+    }
+
+    const { unavailable, unavailableReason, ...known } = video;
+    return { ...known, ...update };
+  });
+
+  return [...merged, ...byId.values()];
+};
+
+const resolveScoring = (overrides = {}) => ({
+  ...DEFAULT_SCORING,
+  ...overrides,
+  weights: { ...DEFAULT_SCORING.weights, ...overrides.weights },
+});
+
+/**
+ * Score a video and explain it. Every part is weighted from `scoring.weights`:
+ * - views, likes: log10 of the count, so a 10× more popular video gains 1 point;
+ * - likeRatio: likes per view, 0–1 up to `fullLikeRatio`;
+ * - recency: 1 for a new upload, halving every `recencyHalfLifeYears`;
+ * - language: 1 when the video's language is one of `scoring.languages`;
+ * - duration: 1 inside `minDurationSeconds`–`maxDurationSeconds`.
+ * Unknown values (no statistics, no language, no duration) score 0.
+ */
+export const scoreVideo = (video, scoringOverrides, now = new Date()) => {
+  const scoring = resolveScoring(scoringOverrides);
+  const views = Number(video.viewCount) || 0;
+  const likes = Number(video.likeCount) || 0;
+  const publishedAt = video.publishedAt ? new Date(video.publishedAt) : null;
+  const ageYears = publishedAt && !Number.isNaN(publishedAt.getTime())
+    ? Math.max(0, (now - publishedAt) / (365.25 * 24 * 60 * 60 * 1000))
+    : null;
+  const duration = Number(video.durationSeconds);
+
+  const parts = {
+    views: Math.log10(views + 1),
+    likes: Math.log10(likes + 1),
+    likeRatio: views > 0 ? Math.min(1, likes / views / scoring.fullLikeRatio) : 0,
+    recency: ageYears === null ? 0 : 0.5 ** (ageYears / scoring.recencyHalfLifeYears),
+    language: scoring.languages.includes(video.language) ? 1 : 0,
+    duration:
+      Number.isFinite(duration) && duration >= scoring.minDurationSeconds && duration <= scoring.maxDurationSeconds
+        ? 1
+        : 0,
+  };
+
+  const weighted = Object.fromEntries(
+    Object.entries(parts).map(([name, value]) => [name, Number((value * (scoring.weights[name] ?? 0)).toFixed(2))]),
+  );
+  const score = Number(Object.values(weighted).reduce((sum, value) => sum + value, 0).toFixed(2));
+
+  return { score, parts: weighted };
+};
+
+/** Move pinned videos to their positions; pins whose video is not in the list are returned as `missing`. */
+export const applyPins = (videos, curation) => {
+  const byId = new Map(videos.map((video) => [videoIdOf(video), video]));
+  const pins = [...curation.pins].sort((a, b) => a.position - b.position);
+  const pinned = new Set(pins.map((pin) => pin.videoId));
+  const result = videos.filter((video) => !pinned.has(videoIdOf(video)));
+  const missing = [];
+
+  for (const pin of pins) {
+    const video = byId.get(pin.videoId);
+
+    if (!video) {
+      missing.push(pin);
+      continue;
+    }
+
+    result.splice(Math.min(pin.position - 1, result.length), 0, video);
+  }
+
+  return { videos: result, missing };
+};
+
+export const rerankVideos = (videos) => videos.map((video, index) => ({ ...video, rank: index + 1 }));
+
+/**
+ * The full pass run after fetch, merge and score: dedupe, drop blocked
+ * entries, sort by score, place pins and refresh `rank`.
+ */
+export const curateVideos = (videos, curation, now = new Date()) => {
+  const deduped = dedupeVideos(videos);
+  const blocked = deduped.filter((video) => findBlock(video, curation));
+  const scored = deduped
+    .filter((video) => !findBlock(video, curation))
+    .map((video) => ({ ...video, score: scoreVideo(video, curation.scoring, now).score }))
+    .sort((a, b) => b.score - a.score);
+  const { videos: pinned, missing } = applyPins(scored, curation);
+
+  return { videos: rerankVideos(pinned), blocked, missingPins: missing };
+};
+
+/**
+ * Problems that make the list unfit for the bot or inconsistent with the
+ * curation file, plus warnings that do not. Returns `{ problems, warnings }`.
+ */
+export const checkVideoList = (videos, curation, { lessonCount = 100 } = {}) => {
+  const problems = [];
+  const warnings = [];
+  const seen = new Map();
+
+  videos.forEach((video, index) => {
+    const label = `entry ${index + 1}`;
+    const videoId = videoIdOf(video);
+
+    if (typeof video?.url !== 'string') {
+      problems.push(`${label} has no url`);
+      return;
+    }
+
+    if (!videoId) {
+      problems.push(`${label} has no videoId and its url has no v= parameter`);
+    } else if (video.videoId && urlVideoId(video.url) !== video.videoId) {
+      problems.push(`${label}: url ${video.url} does not point at videoId ${video.videoId}`);
+    }
+
+    if (videoId && seen.has(videoId)) {
+      problems.push(`${label} duplicates entry ${seen.get(videoId) + 1} (${videoId})`);
+    } else if (videoId) {
+      seen.set(videoId, index);
+    }
+
+    if (video.rank !== index + 1) {
+      problems.push(`${label} has rank ${video.rank ?? 'none'}`);
+    }
+
+    const block = findBlock(video, curation);
+
+    if (block) {
+      problems.push(`${label} (${videoId}) is blocklisted${block.reason ? `: ${block.reason}` : ''}`);
+    }
+
+    if (video.unavailable === true) {
+      warnings.push(`${label} (${videoId}) is unavailable (${video.unavailableReason ?? 'unknown'}); the bot skips it`);
+    }
+
+    if (video.viewCount === null || video.viewCount === undefined) {
+      warnings.push(`${label} (${videoId}) has no statistics; it scores low until re-fetched`);
+    }
+  });
+
+  for (const pin of curation.pins) {
+    const index = videos.findIndex((video) => videoIdOf(video) === pin.videoId);
+
+    if (index === -1) {
+      warnings.push(`pinned video ${pin.videoId} is not in the list`);
+    } else if (index !== Math.min(pin.position, videos.length) - 1) {
+      problems.push(`pinned video ${pin.videoId} is at position ${index + 1}, not ${pin.position}`);
+    }
+  }
+
+  if (videos.length < lessonCount) {
+    warnings.push(`only ${videos.length} videos; lessons after ${videos.length} get no generic video`);
+  }
+
+  return { problems, warnings };
+};
@@ -0,0 +1,205 @@
+/**
+ * YouTube lookups shared by `fetchAsmaVideoList.mjs`, `curateVideos.mjs` and
+ * `checkVideoLinks.mjs`. Every function takes a client from
+ * `createYoutubeClient()`, so all of them retry, record and replay the same way.
+ */
+
+export const GENERIC_SEARCH_KEYWORDS = [
+  'asmaul husna',
+  'asmaul husna for kids',
+  'أسماء الله الحسنى',
+  '99 Names of Allah',
+  '99 Beautiful Names',
+  'Asma Allah Alhusna',
+];
+
+export const containsNinetyNine = (title = '') => /(^|\D)99(\D|$)/.test(title);
+
+const chunk = (items, size) => {
+  const result = [];
+  for (let i = 0; i < items.length; i += size) {
+    result.push(items.slice(i, i + size));
+  }
+  return result;
+};
+
+/** Video ids for `query` in YouTube's relevance order, keeping those whose title passes `accept`. */
+export const searchVideoIds = async (youtube, query, limit, accept = (title) => containsNinetyNine(title)) => {
+  const matches = [];
+  let pageToken;
+
+  while (matches.length < limit) {
+    const params = new URLSearchParams({
+      part: 'snippet',
+      q: query,
+      type: 'video',
+      maxResults: '50',
+      order: 'relevance',
+    });
+
+    if (pageToken) {
+      params.set('pageToken', pageToken);
+    }
+
+    const data = await youtube.request('search', params);
+    const items = data.items ?? [];
+
+    for (const item of items) {
+      const title = item.snippet?.title ?? '';
+      const videoId = item.id?.videoId;
+
+      if (!videoId || !accept(title)) {
+        continue;
+      }
+
+      matches.push(videoId);
+
+      if (matches.length >= limit) {
+        break;
+      }
+    }
+
+    if (!data.nextPageToken) {
+      break;
+    }
+
+    pageToken = data.nextPageToken;
+  }
+
+  return matches;
+};
+
+/** Raw `videos` resources by id; videos that were removed are simply missing from the map. */
+export const fetchVideoDetails = async (youtube, videoIds) => {
+  const details = new Map();
+
+  for (const group of chunk(videoIds, 50)) {
+    const params = new URLSearchParams({
+      part: 'snippet,statistics,contentDetails',
+      id: group.join(','),
+      maxResults: '50',
+    });
+
+    const data = await youtube.request('videos', params);
+
+    for (const item of data.items ?? []) {
+      details.set(item.id, item);
+    }
+  }
+
+  return details;
+};
+
+const UNAVAILABLE_UPLOAD_STATUSES = new Set(['deleted', 'failed', 'rejected']);
+
+/**
+ * Why each video can no longer be watched, or null when it still can. The API
+ * leaves deleted and private videos out of the response altogether, so a
+ * missing id is reported as "removed or private". Costs one quota unit per 50 ids.
+ */
+export const fetchVideoStatuses = async (youtube, videoIds) => {
+  const statuses = new Map(videoIds.map((videoId) => [videoId, 'removed or private']));
+
+  for (const group of chunk(videoIds, 50)) {
+    const params = new URLSearchParams({ part: 'status', id: group.join(','), maxResults: '50' });
+    const data = await youtube.request('videos', params);
+
+    for (const item of data.items ?? []) {
+      const { privacyStatus, uploadStatus } = item.status ?? {};
+      statuses.set(
+        item.id,
+        privacyStatus === 'private'
+          ? 'private'
+          : UNAVAILABLE_UPLOAD_STATUSES.has(uploadStatus)
+            ? `upload ${uploadStatus}`
+            : null,
+      );
+    }
+  }
+
+  return statuses;
+};
+
+// ISO 8601 durations as YouTube reports them: "PT1H2M3S", "PT45S", "P1DT2H".
+const parseDuration = (value) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value ?? '');
+
+  if (!match) {
+    return null;
+  }
+
+  const [days, hours, minutes, seconds] = match.slice(1).map((part) => Number(part ?? 0));
+  return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+};
+
+const ARABIC_SCRIPT = /[؀-ۿ]/;
+const PERSIAN_LETTERS = /[پچژگ]/;
+
+// The uploader's declared language, else a guess from the title's script ("ar" vs "fa" by Persian-only letters).
+const videoLanguage = (snippet) => {
+  const declared = snippet.defaultAudioLanguage ?? snippet.defaultLanguage;
+
+  if (declared) {
+    return declared.split('-')[0].toLowerCase();
+  }
+
+  const title = snippet.title ?? '';
+
+  if (!ARABIC_SCRIPT.test(title)) {
+    return null;
+  }
+
+  return PERSIAN_LETTERS.test(title) ? 'fa' : 'ar';
+};
+
+/** The entry format of `asma_ul_husna_videos.json` and of the per-name candidates. */
+export const toVideoRecord = (query, videoId, detail) => {
+  const snippet = detail?.snippet ?? {};
+  const statistics = detail?.statistics ?? {};
+
+  return {
+    query,
+    videoId,
+    title: snippet.title ?? '',
+    channelId: snippet.channelId ?? null,
+    channelTitle: snippet.channelTitle ?? '',
+    publishedAt: snippet.publishedAt ?? null,
+    description: snippet.description ?? '',
+    viewCount: statistics.viewCount ? Number(statistics.viewCount) : null,
+    likeCount: statistics.likeCount ? Number(statistics.likeCount) : null,
+    durationSeconds: parseDuration(detail?.contentDetails?.duration),
+    language: videoLanguage(snippet),
+    url: `https://www.youtube.com/watch?v=${videoId}`,
+  };
+};
+
+/**
+ * The generic "99 names" list: up to `maxResults` videos per keyword whose
+ * title contains 99, ranked by YouTube's relevance within each keyword.
+ */
+export const fetchGenericVideos = async (youtube, { keywords = GENERIC_SEARCH_KEYWORDS, maxResults = 99 } = {}) => {
+  const videos = [];
+
+  for (const keyword of keywords) {
+    console.log(`Fetching videos for "${keyword}"...`);
+    const videoIds = await searchVideoIds(youtube, keyword, maxResults);
+
+    if (videoIds.length === 0) {
+      console.warn(`No matching videos found for "${keyword}".`);
+      continue;
+    }
+
+    const details = await fetchVideoDetails(youtube, videoIds);
+
+    videoIds.forEach((videoId, index) => {
+      const { query, ...video } = toVideoRecord(keyword, videoId, details.get(videoId));
+      videos.push({ query, rank: index + 1, ...video });
+    });
+
+    if (videoIds.length < maxResults) {
+      console.warn(`Only found ${videoIds.length} videos containing "99" in the title for "${keyword}".`);
+    }
+  }
+
+  return videos;
+};
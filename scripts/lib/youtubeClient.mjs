@@ -0,0 +1,123 @@
+/**
+ * Minimal YouTube Data API v3 client for the video scripts.
+ *
+ * - `YOUTUBE_API_BASE` points it elsewhere, e.g. at `scripts/youtubeStubServer.mjs`.
+ * - 5xx, 429 and quota/rate-limit 403 responses are retried with exponential
+ *   backoff (`YOUTUBE_MAX_RETRIES`, `YOUTUBE_RETRY_DELAY_MS`), honouring `Retry-After`.
+ * - With `YOUTUBE_RECORD_DIR` set, every successful response is also saved as
+ *   a fixture file that the stub server can replay later:
+ *
+ *     { "endpoint": "search", "params": { "q": "...", ... }, "response": { ... } }
+ *
+ * Fixtures are matched on endpoint and query parameters; the API key is never stored.
+ */
+
+import { createHash } from 'node:crypto';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+
+export const DEFAULT_YOUTUBE_API_BASE = 'https://www.googleapis.com/youtube/v3';
+
+const RETRYABLE_403_REASONS = new Set(['quotaExceeded', 'rateLimitExceeded', 'userRateLimitExceeded']);
+
+const youtubeError = (message, details = {}) => Object.assign(new Error(message), details);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const withoutKey = (params) => Object.fromEntries([...params].filter(([name]) => name !== 'key'));
+
+/** Stable identifier of a request, shared by the recorder and the stub server. */
+export const fixtureKey = (endpoint, params) => {
+  const sorted = Object.entries(withoutKey(new URLSearchParams(params))).sort(([a], [b]) => a.localeCompare(b));
+
+  return `${endpoint}-${createHash('sha1').update(JSON.stringify(sorted)).digest('hex').slice(0, 12)}`;
+};
+
+const errorReason = (body) => {
+  try {
+    return JSON.parse(body)?.error?.errors?.[0]?.reason ?? null;
+  } catch {
+    return null;
+  }
+};
+
+const isRetryable = (status, reason) =>
+  status >= 500 || status === 429 || (status === 403 && RETRYABLE_403_REASONS.has(reason));
+
+/**
+ * @param {object} [options]
+ * @param {NodeJS.ProcessEnv} [options.env]
+ * @param {typeof fetch} [options.fetchImpl]
+ */
+export const createYoutubeClient = ({ env = process.env, fetchImpl = fetch } = {}) => {
+  const baseUrl = (env.YOUTUBE_API_BASE ?? DEFAULT_YOUTUBE_API_BASE).replace(/\/+$/, '');
+  const apiKey = env.YOUTUBE_API_KEY ?? null;
+  const maxRetries = Number.parseInt(env.YOUTUBE_MAX_RETRIES ?? '3', 10);
+  const baseDelayMs = Number.parseInt(env.YOUTUBE_RETRY_DELAY_MS ?? '1000', 10);
+  const recordDir = env.YOUTUBE_RECORD_DIR ? path.resolve(process.cwd(), env.YOUTUBE_RECORD_DIR) : null;
+
+  // A stub server needs no key; the real API does.
+  if (!apiKey && baseUrl === DEFAULT_YOUTUBE_API_BASE) {
+    throw youtubeError(
+      'Missing YOUTUBE_API_KEY environment variable. Create a YouTube Data API v3 key and export it, or set YOUTUBE_API_BASE to a stub server.',
+    );
+  }
+
+  const record = async (endpoint, params, response) => {
+    const key = fixtureKey(endpoint, params);
+    await fs.mkdir(recordDir, { recursive: true });
+    await fs.writeFile(
+      path.join(recordDir, `${key}.json`),
+      JSON.stringify({ endpoint, params: withoutKey(params), response }, null, 2),
+      'utf8',
+    );
+  };
+
+  const request = async (endpoint, params) => {
+    const url = new URL(`${baseUrl}/${endpoint}`);
+    const query = new URLSearchParams(params);
+
+    if (apiKey) {
+      query.set('key', apiKey);
+    }
+
+    url.search = query.toString();
+
+    for (let attempt = 0; ; attempt += 1) {
+      const response = await fetchImpl(url);
+
+      if (response.ok) {
+        const data = await response.json();
+
+        if (recordDir) {
+          await record(endpoint, query, data);
+        }
+
+        return data;
+      }
+
+      const body = await response.text();
+      const reason = errorReason(body);
+
+      if (!isRetryable(response.status, reason) || attempt >= maxRetries) {
+        const hint = reason === 'quotaExceeded' ? ' The daily quota is used up; it resets at midnight Pacific time.' : '';
+        throw youtubeError(
+          `YouTube API request failed (${response.status} ${response.statusText}${reason ? `, ${reason}` : ''}): ${body}${hint}`,
+          { status: response.status, reason },
+        );
+      }
+
+      const retryAfterSeconds = Number(response.headers.get('retry-after'));
+      const delay = Number.isFinite(retryAfterSeconds) && retryAfterSeconds > 0
+        ? retryAfterSeconds * 1000
+        : baseDelayMs * 2 ** attempt;
+      console.warn(
+        `YouTube ${endpoint} returned ${response.status}${reason ? ` (${reason})` : ''}; retrying in ${delay}ms.`,
+      );
+      await sleep(delay);
+    }
+  };
+
+  return { baseUrl, request };
+};
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/**
+ * Import subscriber progress from a `user_progress.json` file into the SQLite
+ * progress store, so the bot can be switched over with `PROGRESS_STORE=sqlite`.
+ *
+ * Usage:
+ *   node scripts/migrateProgress.mjs [source.json] [target.sqlite] [--overwrite]
+ *
+ * Defaults:
+ *   source.json   = USER_PROGRESS_PATH or ./data/user_progress.json
+ *   target.sqlite = PROGRESS_SQLITE_PATH or ./data/user_progress.sqlite
+ *
+ * Users already present in the database are left untouched unless
+ * `--overwrite` is passed, so the command is safe to rerun.
+ */
+
+import path from 'node:path';
+import process from 'node:process';
+import { readProgressDocument } from './lib/jsonProgressStore.mjs';
+import {
+  createProgressStore,
+  DEFAULT_JSON_PROGRESS_PATH,
+  DEFAULT_SQLITE_PROGRESS_PATH,
+} from './lib/progressStore.mjs';
+
+const args = process.argv.slice(2);
+const overwrite = args.includes('--overwrite');
+const [sourceArg, targetArg] = args.filter((arg) => !arg.startsWith('--'));
+
+const sourcePath = path.resolve(
+  process.cwd(),
+  sourceArg ?? process.env.USER_PROGRESS_PATH ?? DEFAULT_JSON_PROGRESS_PATH,
+);
+const targetPath = targetArg ?? process.env.PROGRESS_SQLITE_PATH ?? DEFAULT_SQLITE_PROGRESS_PATH;
+
+const main = async () => {
+  const { users, meta } = await readProgressDocument(sourcePath);
+  const entries = Object.entries(users);
+  const store = await createProgressStore({ backend: 'sqlite', sqlitePath: targetPath });
+
+  let imported = 0;
+  let skipped = 0;
+
+  try {
+    for (const [chatId, state] of entries) {
+      if (!state || typeof state !== 'object') {
+        console.warn(`Skipping ${chatId}: expected an object, received ${typeof state}.`);
+        skipped += 1;
+        continue;
+      }
+
+      if (!overwrite && (await store.getUser(chatId))) {
+        skipped += 1;
+        continue;
+      }
+
+      await store.saveUser(chatId, state);
+      imported += 1;
+    }
+
+    for (const [key, value] of Object.entries(meta)) {
+      if (overwrite || (await store.getMeta(key)) === null) {
+        await store.setMeta(key, value);
+      }
+    }
+  } finally {
+    await store.close();
+  }
+
+  console.log(
+    `Imported ${imported} of ${entries.length} users from ${sourcePath} into ${store.location} (${skipped} skipped).`,
+  );
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
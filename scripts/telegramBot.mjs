@@ -1,12 +1,49 @@
 #!/usr/bin/env node
 
 import 'dotenv/config';
+import { createHash } from 'node:crypto';
 import { promises as fs } from 'node:fs';
 import { createReadStream } from 'node:fs';
 import path from 'node:path';
 import process from 'node:process';
 import cron from 'node-cron';
 import TelegramBot from 'node-telegram-bot-api';
+import { divineNames, findDivineName, getMeaning } from './lib/divineNames.mjs';
+import { checkMediaFile, watchFiles } from './lib/hotReload.mjs';
+import { createBotHttpServer } from './lib/httpServer.mjs';
+import {
+  createTranslator,
+  DEFAULT_LOCALE,
+  LANGUAGES,
+  localizedPath,
+  resolveLocale,
+  SUPPORTED_LOCALES,
+} from './lib/i18n.mjs';
+import {
+  checkLessonAssets,
+  formatAssetMatrix,
+  lessonAudioPaths,
+  lessonImagePath,
+  nameAudioPath,
+  summarizeAssets,
+} from './lib/lessonAssets.mjs';
+import { formatLessonMessages } from './lib/lessonFormat.mjs';
+import { readLessonsDocument } from './lib/lessonModel.mjs';
+import { emptyNameVideos, readNameVideos, resolveLessonVideo } from './lib/nameVideos.mjs';
+import { createProgressStore } from './lib/progressStore.mjs';
+import {
+  buildQuizQuestion,
+  ensureQuizState,
+  getOptionLabel,
+  QUIZ_QUESTION_TYPES,
+  recordQuizAnswer,
+} from './lib/quiz.mjs';
+import {
+  ensureReviewState,
+  getDueNames,
+  gradeReview,
+  syncReviewItems,
+} from './lib/spacedRepetition.mjs';
 
 const TELEGRAM_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 
@@ -16,35 +53,112 @@ if (!TELEGRAM_TOKEN) {
 }
 
 const resolveFromRoot = (relativePath) => path.resolve(process.cwd(), relativePath);
+const relativeToRoot = (filePath) => path.relative(process.cwd(), filePath);
 
 const LESSONS_PATH = resolveFromRoot(process.env.LESSONS_PATH ?? 'daily_lessons.json');
 const IMAGES_DIR = resolveFromRoot(process.env.LESSON_IMAGES_DIR ?? 'images');
 const AUDIO_DIR = resolveFromRoot(process.env.LESSON_AUDIO_DIR ?? 'tts_audio');
+const NAME_AUDIO_DIR = resolveFromRoot(process.env.LESSON_NAME_AUDIO_DIR ?? path.join('tts_audio', 'names'));
 const VIDEOS_PATH = resolveFromRoot(process.env.LESSON_VIDEOS_PATH ?? 'asma_ul_husna_videos.json');
-const PROGRESS_PATH = resolveFromRoot(
-  process.env.USER_PROGRESS_PATH ?? path.join('data', 'user_progress.json'),
+const NAME_VIDEOS_PATH = resolveFromRoot(process.env.LESSON_NAME_VIDEOS_PATH ?? 'name_videos.json');
+const AUDIT_LOG_PATH = resolveFromRoot(
+  process.env.BOT_AUDIT_LOG_PATH ?? path.join('data', 'admin_audit.log'),
 );
 
 const TIMEZONE = process.env.BOT_TIMEZONE ?? 'Asia/Tehran';
-const LOCALE = process.env.BOT_LOCALE ?? 'fa-IR';
-const DAILY_CRON = process.env.BOT_CRON_EXPRESSION ?? '0 6 * * *';
-const MAX_MESSAGE_LENGTH = 4096;
-const TOTAL_AUDIO_FILES = 100;
-const TOTAL_IMAGE_FILES = 99;
-
-const HELP_TEXT = [
-  'دستورات در دسترس:',
-  '• /start — آغاز یا ادامه سفر و دریافت درس اول',
-  '• /progress — مشاهده پیشرفت و زمان درس بعدی',
-  '• /lesson <شماره> — دریافت دستی یک درس مشخص (مثال: /lesson 5)',
-  '• /help — نمایش دوباره‌ی این راهنما',
-].join('\n');
+const DEFAULT_LANGUAGE = resolveLocale(process.env.BOT_DEFAULT_LANGUAGE ?? DEFAULT_LOCALE);
+const DEFAULT_DELIVERY_TIME = process.env.BOT_DELIVERY_TIME ?? '06:00';
+const SCHEDULER_CRON = process.env.BOT_SCHEDULER_CRON ?? '* * * * *';
+const QUIZ_SESSION_LENGTH = Number.parseInt(process.env.BOT_QUIZ_LENGTH ?? '5', 10);
+const REVIEW_BATCH_SIZE = Number.parseInt(process.env.BOT_REVIEW_BATCH_SIZE ?? '5', 10);
+const BROADCAST_INTERVAL_MS = Number.parseInt(process.env.BOT_BROADCAST_INTERVAL_MS ?? '100', 10);
+const BOT_MODE = process.env.BOT_MODE ?? 'polling';
+const HOT_RELOAD = !['0', 'false', 'off'].includes((process.env.BOT_HOT_RELOAD ?? 'true').toLowerCase());
+const HTTP_PORT = Number.parseInt(
+  process.env.BOT_HTTP_PORT ?? process.env.PORT ?? (BOT_MODE === 'webhook' ? '8080' : '0'),
+  10,
+);
+const WEBHOOK_URL = process.env.BOT_WEBHOOK_URL ?? null;
+const WEBHOOK_SECRET = process.env.BOT_WEBHOOK_SECRET ?? null;
+// Default path is derived from the token so it is unguessable without being configured.
+const WEBHOOK_PATH =
+  process.env.BOT_WEBHOOK_PATH ??
+  `/telegram/${createHash('sha256').update(TELEGRAM_TOKEN).digest('hex').slice(0, 32)}`;
+const ADMIN_CHAT_IDS = new Set(
+  (process.env.BOT_ADMIN_CHAT_IDS ?? '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean),
+);
+
+if (!DEFAULT_LANGUAGE) {
+  throw new Error(
+    `Invalid BOT_DEFAULT_LANGUAGE "${process.env.BOT_DEFAULT_LANGUAGE}", expected one of ${SUPPORTED_LOCALES.join(', ')}`,
+  );
+}
+
+if (BOT_MODE !== 'polling' && BOT_MODE !== 'webhook') {
+  throw new Error(`Invalid BOT_MODE "${BOT_MODE}", expected "polling" or "webhook"`);
+}
+
+if (BOT_MODE === 'webhook' && !WEBHOOK_SECRET) {
+  throw new Error('BOT_WEBHOOK_SECRET is required when BOT_MODE=webhook');
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const normalizeChatId = (value) => {
   const text = String(value);
   return /^-?\d+$/.test(text) ? Number.parseInt(text, 10) : value;
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PAUSE_DAYS = 365;
+
+const TIME_PATTERN = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+
+const parseDeliveryTime = (value) => {
+  const match = TIME_PATTERN.exec(String(value ?? '').trim());
+  return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+};
+
+const canonicalTimeZone = (value) => {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: value }).resolvedOptions().timeZone;
+  } catch {
+    return null;
+  }
+};
+
+const getZonedParts = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    })
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value]),
+  );
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+  };
+};
+
+if (!parseDeliveryTime(DEFAULT_DELIVERY_TIME)) {
+  throw new Error(`Invalid BOT_DELIVERY_TIME "${DEFAULT_DELIVERY_TIME}", expected HH:MM`);
+}
+
+if (!canonicalTimeZone(TIMEZONE)) {
+  throw new Error(`Invalid BOT_TIMEZONE "${TIMEZONE}", expected an IANA zone name`);
+}
+
 const readJsonFile = async (filePath, fallback) => {
   try {
     const contents = await fs.readFile(filePath, 'utf8');
@@ -58,166 +172,396 @@ const readJsonFile = async (filePath, fallback) => {
   }
 };
 
-const ensureDirectory = async (dirPath) => {
-  await fs.mkdir(dirPath, { recursive: true });
+// Only the default language is required; other locales are offered once their lesson file exists.
+const loadLessons = async (locale) => {
+  const lessonsPath = localizedPath(LESSONS_PATH, locale);
+  const { lessons: data } = await readLessonsDocument(lessonsPath, {
+    allowMissing: locale !== DEFAULT_LANGUAGE,
+  });
+  if (data.length === 0 && locale === DEFAULT_LANGUAGE) {
+    throw new Error(`No lessons found in ${lessonsPath}`);
+  }
+
+  // Subscribers' progress is a position in this list, so lesson N must sit at position N.
+  data.forEach((lesson, position) => {
+    if (lesson.day !== position + 1) {
+      throw new Error(`${lessonsPath}: expected day ${position + 1} at position ${position + 1}, found day ${lesson.day}`);
+    }
+  });
+
+  return data;
 };
 
-const loadLessons = async () => {
-  const data = await readJsonFile(LESSONS_PATH, []);
+const readVideos = async () => {
+  const data = await readJsonFile(VIDEOS_PATH, []);
 
   if (!Array.isArray(data)) {
-    throw new Error(`Expected an array in ${LESSONS_PATH}, received ${typeof data}`);
+    throw new Error(`expected an array in ${VIDEOS_PATH}, received ${typeof data}`);
   }
 
-  const limited = data.slice(0, Math.min(TOTAL_IMAGE_FILES, TOTAL_AUDIO_FILES, data.length));
+  const invalid = data.findIndex((entry) => entry !== null && typeof entry?.url !== 'string');
 
-  if (limited.length === 0) {
-    throw new Error(`No lessons found in ${LESSONS_PATH}`);
+  if (invalid !== -1) {
+    throw new Error(`entry ${invalid + 1} in ${VIDEOS_PATH} has no url`);
   }
 
-  return limited;
+  return data;
 };
 
-const loadVideos = async (lessonCount) => {
-  const data = await readJsonFile(VIDEOS_PATH, []);
-
-  if (!Array.isArray(data)) {
-    console.warn(`Ignoring videos: expected an array in ${VIDEOS_PATH}, received ${typeof data}`);
+const loadVideos = async () => {
+  try {
+    return await readVideos();
+  } catch (error) {
+    console.warn(`Ignoring videos: ${error.message}`);
     return [];
   }
+};
 
-  return data.slice(0, lessonCount);
+const loadNameVideos = async () => {
+  try {
+    return await readNameVideos(NAME_VIDEOS_PATH, { allowMissing: true });
+  } catch (error) {
+    console.warn(`Ignoring per-name videos: ${error.message}`);
+    return emptyNameVideos();
+  }
 };
 
-const formatChunks = (text) => {
-  const chunks = [];
-  let start = 0;
+const getImagePath = (nameIndex) => lessonImagePath(IMAGES_DIR, { nameIndex });
 
-  while (start < text.length) {
-    const remaining = text.length - start;
+// Media files that changed into something unsendable (empty, truncated) while the bot was running.
+const brokenMedia = new Set();
 
-    if (remaining <= MAX_MESSAGE_LENGTH) {
-      chunks.push(text.slice(start).trim());
-      break;
-    }
+const mediaAvailable = async (filePath) => {
+  if (brokenMedia.has(filePath)) {
+    return false;
+  }
 
-    const tentativeEnd = start + MAX_MESSAGE_LENGTH;
-    let splitIndex = text.lastIndexOf('\n', tentativeEnd);
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+};
 
-    if (splitIndex <= start) {
-      splitIndex = text.lastIndexOf(' ', tentativeEnd);
+const findLessonAudio = async (lessonNumber, locale) => {
+  for (const candidate of lessonAudioPaths(AUDIO_DIR, locale, lessonNumber)) {
+    if (await mediaAvailable(candidate.path)) {
+      return candidate;
     }
+  }
 
-    if (splitIndex <= start) {
-      splitIndex = tentativeEnd;
-    }
+  return null;
+};
 
-    const segment = text.slice(start, splitIndex).trim();
+const getNameAudioPath = (nameIndex) => nameAudioPath(NAME_AUDIO_DIR, nameIndex);
 
-    if (segment) {
-      chunks.push(segment);
-    }
+// The pronunciation clip of a name as a voice note; false when the clip has not been rendered.
+const sendNameAudio = async (chatRef, entry, options = {}) => {
+  const audioPath = getNameAudioPath(entry.index);
 
-    start = splitIndex;
+  if (!(await mediaAvailable(audioPath))) {
+    return false;
   }
 
-  return chunks.filter(Boolean);
+  await bot.sendVoice(
+    chatRef,
+    createReadStream(audioPath),
+    { caption: `${entry.arabic} — ${entry.transliteration}`, ...options },
+    { filename: path.basename(audioPath), contentType: 'audio/ogg' },
+  );
+  return true;
 };
 
-const lessons = await loadLessons();
-const videos = await loadVideos(lessons.length);
+const lessonSets = new Map();
 
-const progress = await readJsonFile(PROGRESS_PATH, { users: {} });
+for (const locale of SUPPORTED_LOCALES) {
+  const localeLessons = await loadLessons(locale);
 
-if (typeof progress !== 'object' || progress === null || Array.isArray(progress)) {
-  throw new Error(`Corrupted progress file at ${PROGRESS_PATH}`);
+  if (localeLessons.length > 0) {
+    lessonSets.set(locale, localeLessons);
+  }
 }
 
-if (!progress.users || typeof progress.users !== 'object') {
-  progress.users = {};
+let videos = await loadVideos();
+let nameVideos = await loadNameVideos();
+
+// Planned over the default language's lessons, so every language links a day to the same video.
+const getLessonVideo = (lessonIndex) =>
+  resolveLessonVideo({ nameVideos, videos }, lessonSets.get(DEFAULT_LANGUAGE), lessonIndex);
+
+// Startup preflight (the same check as `pnpm assets:check`): reports the days with missing
+// or broken media and keeps broken files from being sent, as the hot-reload watcher does.
+const runAssetPreflight = async () => {
+  const report = await checkLessonAssets({
+    lessonSets,
+    defaultLocale: DEFAULT_LANGUAGE,
+    imagesDir: IMAGES_DIR,
+    audioDir: AUDIO_DIR,
+    nameAudioDir: NAME_AUDIO_DIR,
+    videos,
+    nameVideos,
+  });
+
+  const ignore = ['nameAudio'];
+  report.brokenFiles.forEach(({ path: filePath }) => brokenMedia.add(filePath));
+  console.log(`Asset check over ${report.rows.length} days: ${summarizeAssets(report, { ignore }).join('; ')}.`);
+
+  const matrix = formatAssetMatrix(report, { ignore });
+
+  if (matrix) {
+    console.warn(`Days with missing or broken media (see pnpm assets:check):\n${matrix}`);
+  }
+};
+
+try {
+  await runAssetPreflight();
+} catch (error) {
+  console.error('Asset check failed:', error);
 }
+const translators = new Map(SUPPORTED_LOCALES.map((locale) => [locale, createTranslator(locale)]));
+
+// Subscribers whose language has no lesson file (e.g. it was removed) fall back to the default.
+const getUserLocale = (state) => (lessonSets.has(state?.locale) ? state.locale : DEFAULT_LANGUAGE);
+
+const getLessons = (state) => lessonSets.get(getUserLocale(state));
+
+const translatorFor = (state) => translators.get(getUserLocale(state));
 
-await ensureDirectory(path.dirname(PROGRESS_PATH));
+// The focus names of the lessons delivered so far; the review day has none.
+const getLearnedNames = (state) =>
+  getLessons(state)
+    .slice(0, state.currentLesson)
+    .map((lesson) => lesson.nameIndex)
+    .filter((nameIndex) => nameIndex !== null);
 
-const saveProgress = async () => {
-  const tmpPath = `${PROGRESS_PATH}.tmp`;
-  await fs.writeFile(tmpPath, JSON.stringify(progress, null, 2), 'utf8');
-  await fs.rename(tmpPath, PROGRESS_PATH);
+// Before a subscriber has a record, follow their Telegram client language when it is available.
+const pickInitialLocale = (languageCode) => {
+  const locale = resolveLocale(languageCode);
+  return lessonSets.has(locale) ? locale : DEFAULT_LANGUAGE;
 };
 
-const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: true });
+const translatorForMessage = (msg, state) =>
+  state ? translatorFor(state) : translators.get(pickInitialLocale(msg.from?.language_code));
 
-const ensureUserState = (chatId) => {
-  const key = String(chatId);
+const describeLanguage = (locale) => LANGUAGES[locale].name;
 
-  if (!progress.users[key]) {
-    progress.users[key] = {
-      currentLesson: 0,
-      lastSentAt: null,
-      joinedAt: new Date().toISOString(),
-    };
+const store = await createProgressStore();
+
+const getUserState = (chatId) => store.getUser(String(chatId));
+
+const saveUserState = (chatId, state) => store.saveUser(String(chatId), state);
+
+// For changes made after awaiting Telegram: applies `update` to the stored record rather than
+// saving a copy read earlier, which would undo a /pause, /settime or /language sent meanwhile.
+const updateUserState = (chatId, update) => store.updateUser(String(chatId), update);
+
+// Polling starts only after every handler is registered (see the bottom of this file).
+const bot = new TelegramBot(TELEGRAM_TOKEN, { polling: false });
+
+const createUserState = (locale = DEFAULT_LANGUAGE) => ({
+  locale,
+  currentLesson: 0,
+  lastSentAt: null,
+  joinedAt: new Date().toISOString(),
+  deliveryTime: parseDeliveryTime(DEFAULT_DELIVERY_TIME),
+  timezone: canonicalTimeZone(TIMEZONE),
+  subscription: { status: 'active', pausedUntil: null, reason: null, updatedAt: null },
+});
+
+const ensureUserState = async (chatId, locale) => {
+  const existingState = await getUserState(chatId);
+
+  if (existingState) {
+    return existingState;
   }
 
-  return progress.users[key];
+  const state = createUserState(locale);
+  await saveUserState(chatId, state);
+  return state;
 };
 
-const sendLessonAssets = async (chatId, lessonIndex) => {
-  const chatRef = normalizeChatId(chatId);
-  const lessonNumber = lessonIndex + 1;
-  const lessonText = lessons[lessonIndex];
+const setSubscription = (state, status, { pausedUntil = null, reason = null } = {}) => {
+  state.subscription = {
+    status,
+    pausedUntil,
+    reason,
+    updatedAt: new Date().toISOString(),
+  };
+};
 
-  if (!lessonText) {
-    await bot.sendMessage(
-      chatRef,
-      `درس شماره ${lessonNumber} در دسترس نیست. لطفاً با مسئول سامانه تماس بگیر.`,
-    );
-    return;
+// A pause with an end date lapses on its own; records without a subscription are active.
+const getSubscriptionStatus = (state, now = new Date()) => {
+  const subscription = state?.subscription;
+
+  if (!subscription || subscription.status === 'active') {
+    return 'active';
+  }
+
+  if (
+    subscription.status === 'paused' &&
+    subscription.pausedUntil &&
+    new Date(subscription.pausedUntil) <= now
+  ) {
+    return 'active';
   }
 
-  const imagePath = path.join(IMAGES_DIR, `devine-name-${lessonNumber}.jpg`);
+  return subscription.status;
+};
+
+// Telegram answers 400 "can't parse entities" when it rejects the markup (e.g. a tag an old API version lacks).
+const isMarkupError = (error) =>
+  error?.code === 'ETELEGRAM' &&
+  error.response?.statusCode === 400 &&
+  /parse entities/i.test(error.response.body?.description ?? '');
 
+const sendHtmlMessage = async (chatRef, { html, text }) => {
   try {
-    await fs.access(imagePath);
-    await bot.sendPhoto(
-      chatRef,
-      createReadStream(imagePath),
-      { caption: `نام الهی شماره ${lessonNumber}` },
-      { filename: path.basename(imagePath), contentType: 'image/jpeg' },
-    );
+    await bot.sendMessage(chatRef, html, { parse_mode: 'HTML' });
   } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.error(`Failed to send image for lesson ${lessonNumber}:`, error);
+    if (!isMarkupError(error)) {
+      throw error;
     }
+
+    console.warn(`Telegram rejected the lesson markup (${error.response.body.description}); sending plain text.`);
+    await bot.sendMessage(chatRef, text);
   }
+};
+
+const isBlockedByUserError = (error) =>
+  error?.code === 'ETELEGRAM' && error.response?.statusCode === 403;
+
+const getRetryAfterSeconds = (error) =>
+  error?.code === 'ETELEGRAM' && error.response?.statusCode === 429
+    ? error.response.body?.parameters?.retry_after ?? 1
+    : null;
 
-  const messageChunks = formatChunks(lessonText);
+// Records created before per-user scheduling have no time or zone; fall back to the bot defaults.
+const getUserSchedule = (state) => ({
+  deliveryTime: parseDeliveryTime(state?.deliveryTime) ?? parseDeliveryTime(DEFAULT_DELIVERY_TIME),
+  timezone: canonicalTimeZone(state?.timezone) ?? canonicalTimeZone(TIMEZONE),
+});
+
+const describeSchedule = (state) => {
+  const { deliveryTime, timezone } = getUserSchedule(state);
+  const [hours, minutes] = deliveryTime.split(':');
+  const i18n = translatorFor(state);
+  return i18n.t('schedule', { time: i18n.formatDigits(`${Number(hours)}:${minutes}`), timezone });
+};
 
-  for (const chunk of messageChunks) {
-    await bot.sendMessage(chatRef, chunk);
+const describeSubscription = (state) => {
+  const status = getSubscriptionStatus(state);
+  const { t, formatDate } = translatorFor(state);
+
+  if (status === 'stopped') {
+    return t('subscriptionStopped');
   }
 
-  const audioFilename = `lesson_${String(lessonNumber).padStart(3, '0')}.wav`;
-  const audioPath = path.join(AUDIO_DIR, audioFilename);
+  if (status === 'paused') {
+    const { pausedUntil } = state.subscription;
 
-  try {
-    await fs.access(audioPath);
-    await bot.sendAudio(
-      chatRef,
-      createReadStream(audioPath),
-      {},
-      { filename: audioFilename, contentType: 'audio/wav' },
+    if (!pausedUntil) {
+      return t('subscriptionPaused');
+    }
+
+    const resumeDate = formatDate(pausedUntil, { timeZone: getUserSchedule(state).timezone });
+    return t('subscriptionPausedUntil', { date: resumeDate });
+  }
+
+  return t('subscriptionActive');
+};
+
+const getLocalDate = (state, now = new Date()) =>
+  getZonedParts(now, getUserSchedule(state).timezone).date;
+
+const hasReachedDeliveryTime = (state, now) => {
+  const { deliveryTime, timezone } = getUserSchedule(state);
+  return getZonedParts(now, timezone).time >= deliveryTime;
+};
+
+const isLessonDue = (state, now) => {
+  if (state.currentLesson >= getLessons(state).length || !hasReachedDeliveryTime(state, now)) {
+    return false;
+  }
+
+  if (!state.lastSentAt) {
+    return true;
+  }
+
+  return getLocalDate(state, new Date(state.lastSentAt)) !== getLocalDate(state, now);
+};
+
+// Reviews keep going after the last lesson, so they are tracked separately from lastSentAt.
+const isReviewDue = (state, now) =>
+  hasReachedDeliveryTime(state, now) && state.review?.lastSentOn !== getLocalDate(state, now);
+
+const sendLessonAssets = async (chatId, lessonIndex, userState) => {
+  const chatRef = normalizeChatId(chatId);
+  const lessonNumber = lessonIndex + 1;
+  const locale = getUserLocale(userState);
+  const { t } = translatorFor(userState);
+  const lesson = getLessons(userState)[lessonIndex];
+
+  if (!lesson) {
+    await bot.sendMessage(chatRef, t('lessonUnavailable', { number: lessonNumber }));
+    return;
+  }
+
+  const imagePath = lessonImagePath(IMAGES_DIR, lesson);
+
+  // Day 100 has no focus name and so no artwork.
+  if (imagePath && (await mediaAvailable(imagePath))) {
+    try {
+      await bot.sendPhoto(
+        chatRef,
+        createReadStream(imagePath),
+        { caption: t('lessonImageCaption', { number: lessonNumber }) },
+        { filename: path.basename(imagePath), contentType: 'image/jpeg' },
+      );
+    } catch (error) {
+      console.error(`Failed to send image for lesson ${lessonNumber}:`, error);
+    }
+  } else if (imagePath) {
+    console.warn(`No usable image for lesson ${lessonNumber}: ${relativeToRoot(imagePath)}`);
+  }
+
+  for (const message of formatLessonMessages(lesson, locale)) {
+    await sendHtmlMessage(chatRef, message);
+  }
+
+  const audio = await findLessonAudio(lessonNumber, locale);
+
+  if (!audio) {
+    console.warn(
+      `No usable audio for lesson ${lessonNumber} (${locale}) in ${relativeToRoot(localizedPath(AUDIO_DIR, locale))}`,
     );
-  } catch (error) {
-    if (error.code !== 'ENOENT') {
-      console.error(`Failed to send audio for lesson ${lessonNumber}:`, error);
+  } else {
+    try {
+      const fileOptions = { filename: path.basename(audio.path), contentType: audio.contentType };
+
+      if (audio.voice) {
+        await bot.sendVoice(chatRef, createReadStream(audio.path), {}, fileOptions);
+      } else {
+        await bot.sendAudio(chatRef, createReadStream(audio.path), {}, fileOptions);
+      }
+    } catch (error) {
+      console.error(`Failed to send audio for lesson ${lessonNumber} (${locale}):`, error);
+    }
+  }
+
+  if (lesson.nameIndex !== null) {
+    try {
+      await sendNameAudio(chatRef, findDivineName(lesson.nameIndex));
+    } catch (error) {
+      console.error(`Failed to send the pronunciation of name ${lesson.nameIndex}:`, error);
     }
   }
 
-  const videoMeta = videos[lessonIndex];
+  const videoMeta = getLessonVideo(lessonIndex);
 
   if (videoMeta) {
     const videoCaptionLines = [
-      videoMeta.title ? `• عنوان: ${videoMeta.title}` : null,
+      videoMeta.title ? t('lessonVideoTitle', { title: videoMeta.title }) : null,
       videoMeta.url,
     ].filter(Boolean);
 
@@ -227,79 +571,98 @@ const sendLessonAssets = async (chatId, lessonIndex) => {
 
 const sendLessonToUser = async (chatId, lessonIndex) => {
   const chatRef = normalizeChatId(chatId);
-  const userState = ensureUserState(chatId);
+  const userState = await ensureUserState(chatId);
+  const lessons = getLessons(userState);
 
   if (lessonIndex >= lessons.length) {
-    await bot.sendMessage(
-      chatRef,
-      '🎉 همه‌ی درس‌ها را گذرانده‌ای. امیدواریم این نام‌های نورانی همراهت بمانند.',
-    );
-    userState.currentLesson = lessons.length;
-    await saveProgress();
+    await bot.sendMessage(chatRef, translatorFor(userState).t('courseFinished'));
+    await updateUserState(chatId, (state) => {
+      state.currentLesson = lessons.length;
+    });
     return;
   }
 
   try {
-    await sendLessonAssets(chatId, lessonIndex);
-    userState.currentLesson = Math.min(lessonIndex + 1, lessons.length);
-    userState.lastSentAt = new Date().toISOString();
-    await saveProgress();
+    await sendLessonAssets(chatId, lessonIndex, userState);
+    await updateUserState(chatId, (state) => {
+      state.currentLesson = Math.min(lessonIndex + 1, lessons.length);
+      state.lastSentAt = new Date().toISOString();
+    });
+    return true;
   } catch (error) {
+    if (isBlockedByUserError(error)) {
+      console.warn(`Chat ${chatId} blocked the bot; marking the subscription as stopped.`);
+      await updateUserState(chatId, (state) => setSubscription(state, 'stopped', { reason: 'blocked' }));
+      return false;
+    }
+
     console.error(`Failed to deliver lesson ${lessonIndex + 1} to ${chatId}:`, error);
+    return false;
   }
 };
 
 bot.onText(/^\/start$/, async (msg) => {
   const chatId = msg.chat.id;
-  const chatKey = String(chatId);
-  const existingState = progress.users[chatKey];
+  const existingState = await getUserState(chatId);
 
   if (!existingState) {
-    ensureUserState(chatId);
-    await saveProgress();
-    await bot.sendMessage(
-      chatId,
-      'سلام! به سفر «اسماءالحسنی» خوش آمدی. درس اول همین حالا برایت ارسال می‌شود.',
-    );
+    const state = await ensureUserState(chatId, pickInitialLocale(msg.from?.language_code));
+    const { t } = translatorFor(state);
+    await bot.sendMessage(chatId, t('welcome'));
     await sendLessonToUser(chatId, 0);
-    await bot.sendMessage(chatId, HELP_TEXT);
+    await bot.sendMessage(chatId, t('help'));
     return;
   }
 
+  if (getSubscriptionStatus(existingState) === 'stopped') {
+    setSubscription(existingState, 'active');
+    await saveUserState(chatId, existingState);
+  }
+
+  const { t } = translatorFor(existingState);
+  const lessons = getLessons(existingState);
+
   await bot.sendMessage(
     chatId,
-    `خوش برگشتی! تا این لحظه ${Math.min(
-      existingState.currentLesson,
-      lessons.length,
-    )} درس از مجموع ${lessons.length} درس را دریافت کرده‌ای. درس بعدی ساعت ۶:۰۰ ${TIMEZONE} برایت ارسال می‌شود.`,
+    t('welcomeBack', {
+      received: Math.min(existingState.currentLesson, lessons.length),
+      total: lessons.length,
+      schedule: describeSchedule(existingState),
+    }),
   );
-  await bot.sendMessage(chatId, HELP_TEXT);
+  await bot.sendMessage(chatId, t('help'));
 });
 
 bot.onText(/^\/progress$/, async (msg) => {
   const chatId = msg.chat.id;
-  const chatKey = String(chatId);
-  const existingState = progress.users[chatKey];
+  const existingState = await getUserState(chatId);
 
   if (!existingState) {
-    await bot.sendMessage(
-      chatId,
-      'هیچ پیشرفتی برایت پیدا نکردم. ابتدا دستور /start را بفرست تا ثبت نامت کامل شود.',
-    );
+    await bot.sendMessage(chatId, translatorForMessage(msg, null).t('progressMissing'));
     return;
   }
 
+  const { t, formatDateTime } = translatorFor(existingState);
+  const lessons = getLessons(existingState);
   const { currentLesson, lastSentAt } = existingState;
+  const { timezone } = getUserSchedule(existingState);
   const nextLessonNumber = Math.min(currentLesson + 1, lessons.length);
+  const subscriptionStatus = getSubscriptionStatus(existingState);
 
   const progressLines = [
-    `تا این لحظه ${currentLesson} درس از مجموع ${lessons.length} درس را دریافت کرده‌ای.`,
+    t('progressReceived', { received: currentLesson, total: lessons.length }),
     currentLesson >= lessons.length
-      ? '🎉 دوره را کامل کرده‌ای. آفرین!'
-      : `درس بعدی: شماره ${nextLessonNumber} (برنامه‌ریزی شده برای ساعت ۶:۰۰ ${TIMEZONE}).`,
-    lastSentAt
-      ? `آخرین ارسال: ${new Date(lastSentAt).toLocaleString(LOCALE, { timeZone: TIMEZONE })}`
+      ? t('progressComplete')
+      : t('progressNext', { number: nextLessonNumber, schedule: describeSchedule(existingState) }),
+    subscriptionStatus === 'active' ? null : describeSubscription(existingState),
+    existingState.quiz?.score?.answered
+      ? t('progressQuizScore', {
+        correct: existingState.quiz.score.correct,
+        answered: existingState.quiz.score.answered,
+      })
       : null,
+    lastSentAt ? t('progressLastSent', { date: formatDateTime(lastSentAt, { timeZone: timezone }) }) : null,
+    t('progressLanguage', { language: describeLanguage(getUserLocale(existingState)) }),
   ].filter(Boolean);
 
   await bot.sendMessage(chatId, progressLines.join('\n'));
@@ -308,59 +671,967 @@ bot.onText(/^\/progress$/, async (msg) => {
 bot.onText(/^\/lesson\s+(\d{1,3})$/, async (msg, match) => {
   const chatId = msg.chat.id;
   const lessonRequested = Number.parseInt(match[1], 10);
+  // Unregistered chats may browse lessons too, in their client language.
+  const userState = (await getUserState(chatId)) ?? { locale: pickInitialLocale(msg.from?.language_code) };
+  const { t } = translatorFor(userState);
+  const lessons = getLessons(userState);
 
   if (!Number.isFinite(lessonRequested) || lessonRequested < 1 || lessonRequested > lessons.length) {
+    await bot.sendMessage(chatId, t('lessonOutOfRange', { min: 1, max: lessons.length }));
+    return;
+  }
+
+  await bot.sendMessage(chatId, t('lessonOnTheWay', { number: lessonRequested }));
+  await sendLessonAssets(chatId, lessonRequested - 1, userState);
+});
+
+bot.onText(/^\/name(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const userState = (await getUserState(chatId)) ?? { locale: pickInitialLocale(msg.from?.language_code) };
+  const { t } = translatorFor(userState);
+  const entry = findDivineName(Number(match[1]));
+
+  if (!entry) {
+    await bot.sendMessage(chatId, t('nameOutOfRange', { min: 1, max: divineNames.length }));
+    return;
+  }
+
+  const caption = describeName(entry, getUserLocale(userState));
+
+  if (!(await sendNameAudio(chatId, entry, { caption }))) {
+    await bot.sendMessage(chatId, caption);
+  }
+});
+
+bot.onText(/^\/settime(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const existingState = await getUserState(chatId);
+
+  if (!existingState) {
+    await bot.sendMessage(chatId, translatorForMessage(msg, null).t('startFirst'));
+    return;
+  }
+
+  const { t } = translatorFor(existingState);
+  const deliveryTime = parseDeliveryTime(match[1]);
+
+  if (!deliveryTime) {
+    await bot.sendMessage(chatId, t('settimeInvalid', { schedule: describeSchedule(existingState) }));
+    return;
+  }
+
+  existingState.deliveryTime = deliveryTime;
+  await saveUserState(chatId, existingState);
+  await bot.sendMessage(chatId, t('settimeUpdated', { schedule: describeSchedule(existingState) }));
+});
+
+bot.onText(/^\/timezone(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const existingState = await getUserState(chatId);
+
+  if (!existingState) {
+    await bot.sendMessage(chatId, translatorForMessage(msg, null).t('startFirst'));
+    return;
+  }
+
+  const { t } = translatorFor(existingState);
+  const timezone = match[1] ? canonicalTimeZone(match[1]) : null;
+
+  if (!timezone) {
     await bot.sendMessage(
       chatId,
-      `لطفاً شماره درسی بین ۱ و ${lessons.length} وارد کن؛ مثال: /lesson 5`,
+      t('timezoneInvalid', { timezone: getUserSchedule(existingState).timezone }),
     );
     return;
   }
 
-  await bot.sendMessage(chatId, `درس ${lessonRequested} به درخواستت ارسال می‌شود.`);
-  await sendLessonAssets(chatId, lessonRequested - 1);
+  existingState.timezone = timezone;
+  await saveUserState(chatId, existingState);
+  await bot.sendMessage(
+    chatId,
+    t('timezoneUpdated', { timezone, schedule: describeSchedule(existingState) }),
+  );
+});
+
+bot.onText(/^\/pause(?:\s+(\d{1,3}))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const existingState = await getUserState(chatId);
+
+  if (!existingState) {
+    await bot.sendMessage(chatId, translatorForMessage(msg, null).t('startFirst'));
+    return;
+  }
+
+  const days = match[1] ? Number.parseInt(match[1], 10) : null;
+
+  if (days !== null && (days < 1 || days > MAX_PAUSE_DAYS)) {
+    await bot.sendMessage(
+      chatId,
+      translatorFor(existingState).t('pauseInvalid', { min: 1, max: MAX_PAUSE_DAYS }),
+    );
+    return;
+  }
+
+  setSubscription(existingState, 'paused', {
+    pausedUntil: days ? new Date(Date.now() + days * DAY_MS).toISOString() : null,
+  });
+  await saveUserState(chatId, existingState);
+  await bot.sendMessage(chatId, describeSubscription(existingState));
+});
+
+bot.onText(/^\/resume$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const existingState = await getUserState(chatId);
+
+  if (!existingState) {
+    await bot.sendMessage(chatId, translatorForMessage(msg, null).t('startFirst'));
+    return;
+  }
+
+  setSubscription(existingState, 'active');
+  await saveUserState(chatId, existingState);
+  await bot.sendMessage(
+    chatId,
+    translatorFor(existingState).t('resumed', {
+      status: describeSubscription(existingState),
+      schedule: describeSchedule(existingState),
+    }),
+  );
+});
+
+bot.onText(/^\/stop$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const existingState = await getUserState(chatId);
+
+  if (!existingState) {
+    await bot.sendMessage(chatId, translatorForMessage(msg, null).t('stopNotSubscribed'));
+    return;
+  }
+
+  setSubscription(existingState, 'stopped', { reason: 'user' });
+  await saveUserState(chatId, existingState);
+  await bot.sendMessage(chatId, describeSubscription(existingState));
 });
 
 bot.onText(/^\/help$/, async (msg) => {
-  await bot.sendMessage(msg.chat.id, HELP_TEXT);
+  const existingState = await getUserState(msg.chat.id);
+  await bot.sendMessage(msg.chat.id, translatorForMessage(msg, existingState).t('help'));
+});
+
+const setUserLanguage = async (chatId, userState, locale) => {
+  userState.locale = locale;
+  await saveUserState(chatId, userState);
+  await bot.sendMessage(
+    chatId,
+    translatorFor(userState).t('languageChanged', { language: describeLanguage(locale) }),
+  );
+};
+
+bot.onText(/^\/language(?:\s+(\S+))?$/, async (msg, match) => {
+  const chatId = msg.chat.id;
+  const existingState = await getUserState(chatId);
+
+  if (!existingState) {
+    await bot.sendMessage(chatId, translatorForMessage(msg, null).t('startFirst'));
+    return;
+  }
+
+  const { t } = translatorFor(existingState);
+
+  if (!match[1]) {
+    await bot.sendMessage(chatId, t('languagePrompt'), {
+      reply_markup: {
+        inline_keyboard: [...lessonSets.keys()].map((locale) => [
+          {
+            text: `${locale === getUserLocale(existingState) ? '✓ ' : ''}${describeLanguage(locale)}`,
+            callback_data: `language:${locale}`,
+          },
+        ]),
+      },
+    });
+    return;
+  }
+
+  const locale = resolveLocale(match[1]);
+
+  if (!lessonSets.has(locale)) {
+    await bot.sendMessage(
+      chatId,
+      t('languageUnavailable', {
+        languages: [...lessonSets.keys()].map((code) => `${code} (${describeLanguage(code)})`).join(', '),
+      }),
+    );
+    return;
+  }
+
+  await setUserLanguage(chatId, existingState, locale);
+});
+
+const handleLanguageChoice = async (query, locale) => {
+  const chatId = query.message.chat.id;
+  const userState = await getUserState(chatId);
+
+  if (!userState || !lessonSets.has(locale)) {
+    await bot.answerCallbackQuery(query.id);
+    return;
+  }
+
+  await bot.answerCallbackQuery(query.id, { text: describeLanguage(locale) });
+  await bot
+    .editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id })
+    .catch((error) => {
+      console.warn(`Could not clear language keyboard in ${chatId}: ${error.message}`);
+    });
+  await setUserLanguage(chatId, userState, locale);
+};
+
+const QUIZ_PROMPT_KEYS = {
+  'arabic-to-meaning': 'quizArabicToMeaning',
+  'transliteration-to-arabic': 'quizTransliterationToArabic',
+  'image-to-name': 'quizImageToName',
+  'audio-to-name': 'quizAudioToName',
+};
+
+// Question types shown with a picture or a clip; they are only asked when the file is there.
+const QUIZ_MEDIA_PATHS = {
+  'image-to-name': getImagePath,
+  'audio-to-name': getNameAudioPath,
+};
+
+const describeName = (entry, locale) =>
+  `${entry.arabic} — ${entry.transliteration} (${getMeaning(entry, locale)})`;
+
+const askQuizQuestion = async (chatId, userState) => {
+  const quizState = ensureQuizState(userState);
+  const locale = getUserLocale(userState);
+  const { t } = translatorFor(userState);
+  const learnedNames = getLearnedNames(userState);
+  let question = buildQuizQuestion({ learnedNames, history: quizState.history, locale });
+
+  const mediaPath = QUIZ_MEDIA_PATHS[question?.type]?.(question.nameIndex);
+
+  if (mediaPath && !(await mediaAvailable(mediaPath))) {
+    question = buildQuizQuestion({
+      learnedNames,
+      history: quizState.history,
+      types: QUIZ_QUESTION_TYPES.filter((type) => !QUIZ_MEDIA_PATHS[type]),
+      locale,
+    });
+  }
+
+  if (!question) {
+    return false;
+  }
+
+  await updateUserState(chatId, (state) => {
+    ensureQuizState(state).active = question;
+  });
+
+  const entry = findDivineName(question.nameIndex);
+  const progressLabel = quizState.session
+    ? t('quizProgress', { current: quizState.session.answered + 1, total: quizState.session.total })
+    : null;
+  const prompt = t(QUIZ_PROMPT_KEYS[question.type], {
+    arabic: entry.arabic,
+    transliteration: entry.transliteration,
+  });
+  const text = [progressLabel, prompt].filter(Boolean).join('\n');
+  const replyMarkup = {
+    inline_keyboard: question.options.map((optionIndex) => [
+      {
+        text: getOptionLabel(question, optionIndex, locale),
+        callback_data: `quiz:${question.id}:${optionIndex}`,
+      },
+    ]),
+  };
+
+  if (question.type === 'image-to-name') {
+    const imagePath = getImagePath(question.nameIndex);
+    await bot.sendPhoto(
+      normalizeChatId(chatId),
+      createReadStream(imagePath),
+      { caption: text, reply_markup: replyMarkup },
+      { filename: path.basename(imagePath), contentType: 'image/jpeg' },
+    );
+  } else if (question.type === 'audio-to-name') {
+    const audioPath = getNameAudioPath(question.nameIndex);
+    await bot.sendVoice(
+      normalizeChatId(chatId),
+      createReadStream(audioPath),
+      { caption: text, reply_markup: replyMarkup },
+      { filename: path.basename(audioPath), contentType: 'audio/ogg' },
+    );
+  } else {
+    await bot.sendMessage(normalizeChatId(chatId), text, { reply_markup: replyMarkup });
+  }
+
+  return true;
+};
+
+bot.onText(/^\/quiz$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const existingState = await getUserState(chatId);
+
+  if (!existingState) {
+    await bot.sendMessage(chatId, translatorForMessage(msg, null).t('startFirst'));
+    return;
+  }
+
+  if (getLearnedNames(existingState).length === 0) {
+    await bot.sendMessage(chatId, translatorFor(existingState).t('quizNothingLearned'));
+    return;
+  }
+
+  const userState = await updateUserState(chatId, (state) => {
+    ensureQuizState(state).session = { total: QUIZ_SESSION_LENGTH, answered: 0, correct: 0 };
+  });
+  await askQuizQuestion(chatId, userState);
+});
+
+const handleQuizAnswer = async (query, questionId, chosenIndex) => {
+  const chatId = query.message.chat.id;
+  const userState = await getUserState(chatId);
+  const quizState = userState ? ensureQuizState(userState) : null;
+  const result = quizState ? recordQuizAnswer(quizState, questionId, chosenIndex) : null;
+  const { t } = translatorFor(userState);
+
+  if (!result) {
+    await bot.answerCallbackQuery(query.id, { text: t('quizExpired') });
+    return;
+  }
+
+  await saveUserState(chatId, userState);
+  await bot.answerCallbackQuery(query.id, {
+    text: result.correct ? t('quizCorrectToast') : t('quizWrongToast'),
+  });
+  await bot
+    .editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: query.message.message_id })
+    .catch((error) => {
+      console.warn(`Could not clear quiz keyboard in ${chatId}: ${error.message}`);
+    });
+
+  const entry = findDivineName(result.question.nameIndex);
+  const record = quizState.history[result.question.nameIndex];
+  await bot.sendMessage(
+    chatId,
+    [
+      result.correct ? t('quizCorrect') : t('quizWrong'),
+      describeName(entry, getUserLocale(userState)),
+      t('quizNameAccuracy', { correct: record.correct, attempts: record.attempts }),
+    ].join('\n'),
+  );
+
+  const { session } = quizState;
+
+  if (session && session.answered < session.total) {
+    await askQuizQuestion(chatId, await getUserState(chatId));
+    return;
+  }
+
+  if (session) {
+    await updateUserState(chatId, (state) => {
+      ensureQuizState(state).session = null;
+    });
+    await bot.sendMessage(
+      chatId,
+      t('quizFinished', {
+        correct: session.correct,
+        total: session.total,
+        scoreCorrect: quizState.score.correct,
+        scoreAnswered: quizState.score.answered,
+      }),
+    );
+  }
+};
+
+bot.on('callback_query', async (query) => {
+  const [kind, ...payload] = String(query.data ?? '').split(':');
+
+  try {
+    if (kind === 'quiz' && query.message) {
+      await handleQuizAnswer(query, payload[0], Number.parseInt(payload[1], 10));
+      return;
+    }
+
+    if (kind === 'review' && query.message) {
+      await handleReviewAnswer(query, Number.parseInt(payload[0], 10), payload[1] === '1');
+      return;
+    }
+
+    if (kind === 'language' && query.message) {
+      await handleLanguageChoice(query, resolveLocale(payload[0]));
+      return;
+    }
+
+    await bot.answerCallbackQuery(query.id);
+  } catch (error) {
+    console.error(`Failed to handle callback "${query.data}":`, error);
+  }
+});
+
+const formatLocalDate = (dateString, i18n) =>
+  i18n.formatDate(`${dateString}T12:00:00Z`, { timeZone: 'UTC' });
+
+const sendReview = async (chatId, userState, now = new Date()) => {
+  const chatRef = normalizeChatId(chatId);
+  const reviewState = ensureReviewState(userState);
+  const today = getLocalDate(userState, now);
+  const { t } = translatorFor(userState);
+
+  syncReviewItems(reviewState, getLearnedNames(userState), today);
+  const dueNames = getDueNames(reviewState, today, REVIEW_BATCH_SIZE);
+  reviewState.lastSentOn = today;
+  await saveUserState(chatId, userState);
+
+  if (dueNames.length === 0) {
+    return 0;
+  }
+
+  await bot.sendMessage(chatRef, t('reviewIntro', { count: dueNames.length }));
+
+  for (const nameIndex of dueNames) {
+    const entry = findDivineName(nameIndex);
+    const replyMarkup = {
+      inline_keyboard: [
+        [
+          { text: t('reviewRemembered'), callback_data: `review:${nameIndex}:1` },
+          { text: t('reviewForgot'), callback_data: `review:${nameIndex}:0` },
+        ],
+      ],
+    };
+
+    // With a pronunciation clip the name is heard as well as read.
+    if (!(await sendNameAudio(chatRef, entry, { reply_markup: replyMarkup }))) {
+      await bot.sendMessage(chatRef, `${entry.arabic} — ${entry.transliteration}`, { reply_markup: replyMarkup });
+    }
+  }
+
+  return dueNames.length;
+};
+
+bot.onText(/^\/review$/, async (msg) => {
+  const chatId = msg.chat.id;
+  const existingState = await getUserState(chatId);
+
+  if (!existingState) {
+    await bot.sendMessage(chatId, translatorForMessage(msg, null).t('startFirst'));
+    return;
+  }
+
+  const sentCount = await sendReview(chatId, existingState);
+
+  if (sentCount === 0) {
+    await bot.sendMessage(chatId, translatorFor(existingState).t('reviewNothingDue'));
+  }
+});
+
+const handleReviewAnswer = async (query, nameIndex, remembered) => {
+  const chatId = query.message.chat.id;
+  const userState = await getUserState(chatId);
+  const reviewState = userState ? ensureReviewState(userState) : null;
+  const item = reviewState
+    ? gradeReview(reviewState, nameIndex, remembered, getLocalDate(userState))
+    : null;
+  const i18n = translatorFor(userState);
+  const mark = remembered ? '✅' : '❌';
+
+  if (!item) {
+    await bot.answerCallbackQuery(query.id, { text: i18n.t('reviewAlreadyGraded') });
+    return;
+  }
+
+  await saveUserState(chatId, userState);
+  await bot.answerCallbackQuery(query.id, { text: i18n.t('reviewRecorded', { mark }) });
+
+  const entry = findDivineName(nameIndex);
+  const summary = [
+    `${entry.arabic} — ${entry.transliteration}`,
+    getMeaning(entry, getUserLocale(userState)),
+    i18n.t('reviewNext', { mark, date: formatLocalDate(item.dueOn, i18n) }),
+  ].join('\n');
+  const target = { chat_id: chatId, message_id: query.message.message_id };
+  // Names sent with their pronunciation clip are voice notes, whose text is a caption.
+  await (query.message.voice ? bot.editMessageCaption(summary, target) : bot.editMessageText(summary, target))
+    .catch((error) => {
+      console.warn(`Could not update review message in ${chatId}: ${error.message}`);
+    });
+};
+
+const isAdmin = (chatId) => ADMIN_CHAT_IDS.has(String(chatId));
+
+const recordAdminAction = async (entry) => {
+  try {
+    await fs.mkdir(path.dirname(AUDIT_LOG_PATH), { recursive: true });
+    await fs.appendFile(
+      AUDIT_LOG_PATH,
+      `${JSON.stringify({ at: new Date().toISOString(), ...entry })}\n`,
+      'utf8',
+    );
+  } catch (error) {
+    console.error('Failed to write admin audit log:', error);
+  }
+};
+
+// Admin commands are ignored for everyone else; every attempt by an admin lands in the audit log.
+// Replies use the admin's own language.
+const onAdminCommand = (pattern, action, handler) => {
+  bot.onText(pattern, async (msg, match) => {
+    const chatId = msg.chat.id;
+
+    if (!isAdmin(chatId)) {
+      return;
+    }
+
+    const args = match.slice(1).filter((value) => value !== undefined);
+    const i18n = translatorForMessage(msg, await getUserState(chatId));
+
+    try {
+      const result = await handler(chatId, match, i18n);
+      await recordAdminAction({ admin: String(chatId), action, args, ok: true, result });
+    } catch (error) {
+      console.error(`Admin command ${action} failed:`, error);
+      await recordAdminAction({ admin: String(chatId), action, args, ok: false, error: error.message });
+      await bot.sendMessage(chatId, i18n.t('adminCommandFailed', { message: error.message }));
+    }
+  });
+};
+
+const COMPLETION_BUCKET_SIZE = 25;
+
+const summarizeSubscribers = (userEntries, i18n, now = new Date()) => {
+  const statusCounts = { active: 0, paused: 0, stopped: 0 };
+  const completion = new Map();
+  const languages = new Map();
+
+  for (const [, state] of userEntries) {
+    const status = getSubscriptionStatus(state, now);
+    statusCounts[status] = (statusCounts[status] ?? 0) + 1;
+
+    const locale = getUserLocale(state);
+    languages.set(locale, (languages.get(locale) ?? 0) + 1);
+
+    const total = getLessons(state).length;
+    const received = Math.min(state?.currentLesson ?? 0, total);
+    let label;
+
+    if (received >= total) {
+      label = i18n.t('statsCompleted');
+    } else if (received === 0) {
+      label = i18n.t('statsLessonCount', { count: 0 });
+    } else {
+      const bucketStart = Math.floor((received - 1) / COMPLETION_BUCKET_SIZE) * COMPLETION_BUCKET_SIZE + 1;
+      const bucketEnd = Math.min(bucketStart + COMPLETION_BUCKET_SIZE - 1, total - 1);
+      label = i18n.t('statsLessonRange', { from: bucketStart, to: bucketEnd });
+    }
+
+    completion.set(label, (completion.get(label) ?? 0) + 1);
+  }
+
+  return { total: userEntries.length, statusCounts, completion, languages };
+};
+
+onAdminCommand(/^\/stats$/, 'stats', async (chatId, match, i18n) => {
+  const { t, formatDigits, formatDateTime } = i18n;
+  const { total, statusCounts, completion, languages } = summarizeSubscribers(await store.listUsers(), i18n);
+  const lastRun = await store.getMeta('lastDeliveryRun');
+  const completionLines = [...completion.entries()].map(
+    ([label, count]) => `• ${label}: ${formatDigits(count)}`,
+  );
+  const languageLines = [...languages.entries()].map(
+    ([locale, count]) => `• ${describeLanguage(locale)}: ${formatDigits(count)}`,
+  );
+
+  await bot.sendMessage(
+    chatId,
+    [
+      t('statsTitle'),
+      t('statsTotals', { total, ...statusCounts }),
+      '',
+      t('statsProgressHeading'),
+      ...(completionLines.length ? completionLines : ['• —']),
+      '',
+      t('statsLanguagesHeading'),
+      ...(languageLines.length ? languageLines : ['• —']),
+      '',
+      lastRun
+        ? t('statsLastRun', {
+          date: formatDateTime(lastRun.finishedAt, { timeZone: TIMEZONE }),
+          recipients: lastRun.recipients,
+          lessons: lastRun.lessonsSent,
+          failures: lastRun.failures,
+        })
+        : t('statsNoRun'),
+    ].join('\n'),
+  );
+
+  return { total, ...statusCounts, languages: Object.fromEntries(languages) };
+});
+
+onAdminCommand(/^\/broadcast\s+([\s\S]+)$/, 'broadcast', async (chatId, match, { t }) => {
+  const text = match[1].trim();
+  const recipients = (await store.listUsers()).filter(
+    ([, state]) => getSubscriptionStatus(state) !== 'stopped',
+  );
+  let sent = 0;
+  let failed = 0;
+
+  await bot.sendMessage(chatId, t('broadcastStarted', { count: recipients.length }));
+
+  for (const [recipientId] of recipients) {
+    let attempts = 0;
+
+    while (true) {
+      try {
+        await bot.sendMessage(normalizeChatId(recipientId), text);
+        sent += 1;
+        break;
+      } catch (error) {
+        const retryAfter = getRetryAfterSeconds(error);
+        attempts += 1;
+
+        if (retryAfter !== null && attempts < 3) {
+          await sleep(retryAfter * 1000);
+          continue;
+        }
+
+        if (isBlockedByUserError(error)) {
+          await updateUserState(recipientId, (state) => setSubscription(state, 'stopped', { reason: 'blocked' }));
+        } else {
+          console.error(`Broadcast to ${recipientId} failed:`, error);
+        }
+
+        failed += 1;
+        break;
+      }
+    }
+
+    await sleep(BROADCAST_INTERVAL_MS);
+  }
+
+  await bot.sendMessage(chatId, t('broadcastFinished', { sent, failed }));
+
+  return { recipients: recipients.length, sent, failed };
+});
+
+onAdminCommand(/^\/setlesson\s+(-?\d+)\s+(\d{1,3})$/, 'setlesson', async (chatId, match, { t }) => {
+  const targetId = match[1];
+  const lessonNumber = Number.parseInt(match[2], 10);
+  const state = await getUserState(targetId);
+
+  if (!state) {
+    await bot.sendMessage(chatId, t('adminUserNotFound', { chatId: targetId }));
+    return { found: false };
+  }
+
+  const lessonCount = getLessons(state).length;
+
+  if (lessonNumber < 1 || lessonNumber > lessonCount) {
+    await bot.sendMessage(chatId, t('setlessonOutOfRange', { min: 1, max: lessonCount }));
+    return { found: true, updated: false };
+  }
+
+  const previousLesson = state.currentLesson;
+  state.currentLesson = lessonNumber - 1;
+  await saveUserState(targetId, state);
+  await bot.sendMessage(
+    chatId,
+    t('setlessonUpdated', { chatId: targetId, number: lessonNumber, previous: previousLesson + 1 }),
+  );
+
+  return { found: true, updated: true, previousLesson, currentLesson: state.currentLesson };
 });
 
+onAdminCommand(/^\/resetuser\s+(-?\d+)$/, 'resetuser', async (chatId, match, { t }) => {
+  const targetId = match[1];
+  const state = await getUserState(targetId);
+
+  if (!state) {
+    await bot.sendMessage(chatId, t('adminUserNotFound', { chatId: targetId }));
+    return { found: false };
+  }
+
+  // Start over from lesson 1 but keep the subscriber's own schedule and language preferences.
+  const freshState = {
+    ...createUserState(getUserLocale(state)),
+    deliveryTime: state.deliveryTime ?? null,
+    timezone: state.timezone ?? null,
+  };
+  await saveUserState(targetId, freshState);
+  await bot.sendMessage(chatId, t('resetuserDone', { chatId: targetId, number: 1 }));
+
+  return { found: true, previousLesson: state.currentLesson };
+});
+
+let deliveryInProgress = false;
+// Chats whose delivery failed, keyed to the local date of the failure, so the per-minute tick
+// does not hammer them again until their next day.
+const failedDeliveries = new Map();
+
+const isDeliveryDue = (chatId, state, now) =>
+  Boolean(state) &&
+  typeof state.currentLesson === 'number' &&
+  getSubscriptionStatus(state, now) === 'active' &&
+  (isLessonDue(state, now) || isReviewDue(state, now)) &&
+  failedDeliveries.get(chatId) !== getLocalDate(state, now);
+
 const deliverDailyLessons = async () => {
-  const userEntries = Object.entries(progress.users);
+  const now = new Date();
+  const userEntries = await store.listUsers();
+  const dueEntries = userEntries.filter(([chatId, state]) => isDeliveryDue(chatId, state, now));
 
-  if (userEntries.length === 0) {
+  if (dueEntries.length === 0) {
     return;
   }
 
   console.log(
-    `[${new Date().toISOString()}] Delivering daily lessons to ${userEntries.length} subscribers.`,
+    `[${now.toISOString()}] Delivering daily lessons and reviews to ${dueEntries.length} subscribers.`,
   );
 
-  for (const [chatId, state] of userEntries) {
-    if (!state || typeof state.currentLesson !== 'number') {
+  const run = { startedAt: now.toISOString(), recipients: dueEntries.length, lessonsSent: 0, failures: 0 };
+
+  for (const [chatId] of dueEntries) {
+    // Sending to the earlier chats takes a while; pick up a /pause, /stop or /settime sent since the list was read.
+    const state = await getUserState(chatId);
+
+    if (!isDeliveryDue(chatId, state, now)) {
       continue;
     }
 
-    if (state.currentLesson >= lessons.length) {
+    const lessonDue = isLessonDue(state, now);
+    const delivered = lessonDue ? await sendLessonToUser(chatId, state.currentLesson) : true;
+
+    if (!delivered) {
+      failedDeliveries.set(chatId, getLocalDate(state, now));
+      run.failures += 1;
       continue;
     }
 
-    await sendLessonToUser(chatId, state.currentLesson);
-    await new Promise((resolve) => setTimeout(resolve, 1000));
+    run.lessonsSent += lessonDue ? 1 : 0;
+
+    try {
+      await sendReview(chatId, await getUserState(chatId), now);
+    } catch (error) {
+      console.error(`Failed to send review to ${chatId}:`, error);
+    }
+
+    await sleep(1000);
   }
+
+  await store.setMeta('lastDeliveryRun', { ...run, finishedAt: new Date().toISOString() });
 };
 
-cron.schedule(
-  DAILY_CRON,
-  () => {
-    deliverDailyLessons().catch((error) => {
+// Ticks every minute and delivers to whoever has reached their local delivery time today.
+cron.schedule(SCHEDULER_CRON, () => {
+  if (deliveryInProgress) {
+    return;
+  }
+
+  deliveryInProgress = true;
+  deliverDailyLessons()
+    .catch((error) => {
       console.error('Daily lesson delivery failed:', error);
+    })
+    .finally(() => {
+      deliveryInProgress = false;
     });
-  },
-  { timezone: TIMEZONE },
+});
+
+const alertAdmins = async (key, params) => {
+  for (const adminId of ADMIN_CHAT_IDS) {
+    const { t } = translatorFor(await getUserState(adminId));
+
+    await bot.sendMessage(normalizeChatId(adminId), t(key, params)).catch((error) => {
+      console.error(`Failed to alert admin ${adminId}:`, error.message);
+    });
+  }
+};
+
+const changedDays = (previous, next) =>
+  next
+    .filter((lesson, position) => JSON.stringify(lesson) !== JSON.stringify(previous[position]))
+    .map((lesson) => lesson.day);
+
+// A reload either swaps in a fully validated file or keeps what is already in memory.
+const reloadLessons = async (locale) => {
+  const lessonsPath = localizedPath(LESSONS_PATH, locale);
+  let lessons;
+
+  try {
+    lessons = await loadLessons(locale);
+  } catch (error) {
+    console.error(`Keeping the previous ${locale} lessons; ${relativeToRoot(lessonsPath)} is invalid:`, error.message);
+    await alertAdmins('reloadRejected', { file: relativeToRoot(lessonsPath), error: error.message });
+    return;
+  }
+
+  const previous = lessonSets.get(locale) ?? [];
+
+  if (lessons.length === 0) {
+    lessonSets.delete(locale);
+    console.log(`${relativeToRoot(lessonsPath)} is gone; ${locale} is no longer offered.`);
+    return;
+  }
+
+  lessonSets.set(locale, lessons);
+  const changed = changedDays(previous, lessons);
+  console.log(
+    `Reloaded ${relativeToRoot(lessonsPath)}: ${lessons.length} lessons${
+      changed.length > 0 ? `, changed days ${changed.join(', ')}` : ', no lesson changed'
+    }.`,
+  );
+};
+
+const reloadVideos = async () => {
+  try {
+    videos = await readVideos();
+    console.log(`Reloaded ${relativeToRoot(VIDEOS_PATH)}: ${videos.length} videos.`);
+  } catch (error) {
+    console.error(`Keeping the previous videos; ${relativeToRoot(VIDEOS_PATH)} is invalid:`, error.message);
+    await alertAdmins('reloadRejected', { file: relativeToRoot(VIDEOS_PATH), error: error.message });
+  }
+};
+
+// Media is read from disk on every send, so a broken file is skipped until it is replaced.
+const reloadNameVideos = async () => {
+  try {
+    nameVideos = await readNameVideos(NAME_VIDEOS_PATH, { allowMissing: true });
+    console.log(`Reloaded ${relativeToRoot(NAME_VIDEOS_PATH)}: videos for ${Object.keys(nameVideos.names).length} names.`);
+  } catch (error) {
+    console.error(`Keeping the previous per-name videos; ${relativeToRoot(NAME_VIDEOS_PATH)} is invalid:`, error.message);
+    await alertAdmins('reloadRejected', { file: relativeToRoot(NAME_VIDEOS_PATH), error: error.message });
+  }
+};
+
+const recheckMedia = async (filePath) => {
+  let problem;
+
+  try {
+    problem = await checkMediaFile(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+
+    brokenMedia.delete(filePath);
+    return;
+  }
+
+  if (!problem) {
+    if (brokenMedia.delete(filePath)) {
+      console.log(`${relativeToRoot(filePath)} is valid again and will be sent.`);
+    }
+
+    return;
+  }
+
+  if (!brokenMedia.has(filePath)) {
+    brokenMedia.add(filePath);
+    console.error(`Not sending ${relativeToRoot(filePath)}: ${problem}.`);
+    await alertAdmins('mediaRejected', { file: relativeToRoot(filePath), error: problem });
+  }
+};
+
+const lessonLocaleByPath = new Map(
+  SUPPORTED_LOCALES.map((locale) => [localizedPath(LESSONS_PATH, locale), locale]),
 );
+const IMAGE_FILE = /\.(jpe?g|png)$/i;
+const AUDIO_FILE = /\.(wav|ogg|oga|opus|mp3)$/i;
+
+const fileWatcher = HOT_RELOAD
+  ? watchFiles(
+    [
+      {
+        dir: path.dirname(LESSONS_PATH),
+        filter: (filePath) => lessonLocaleByPath.has(filePath),
+        onChange: (filePath) => reloadLessons(lessonLocaleByPath.get(filePath)),
+      },
+      {
+        dir: path.dirname(VIDEOS_PATH),
+        filter: (filePath) => filePath === VIDEOS_PATH,
+        onChange: reloadVideos,
+      },
+      {
+        dir: path.dirname(NAME_VIDEOS_PATH),
+        filter: (filePath) => filePath === NAME_VIDEOS_PATH,
+        onChange: reloadNameVideos,
+      },
+      { dir: IMAGES_DIR, filter: (filePath) => IMAGE_FILE.test(filePath), onChange: recheckMedia },
+      { dir: AUDIO_DIR, recursive: true, filter: (filePath) => AUDIO_FILE.test(filePath), onChange: recheckMedia },
+      // Name clips live under the audio directory by default; a separate location needs its own watch.
+      ...(NAME_AUDIO_DIR.startsWith(`${AUDIO_DIR}${path.sep}`)
+        ? []
+        : [{ dir: NAME_AUDIO_DIR, filter: (filePath) => AUDIO_FILE.test(filePath), onChange: recheckMedia }]),
+    ],
+    { onError: (error) => console.error('Hot reload failed:', error) },
+  )
+  : null;
+
+if (fileWatcher) {
+  console.log('Watching lessons, videos, images and audio for changes.');
+}
+
+let ready = false;
+
+const httpServer = HTTP_PORT
+  ? createBotHttpServer({
+    webhookPath: BOT_MODE === 'webhook' ? WEBHOOK_PATH : null,
+    secretToken: WEBHOOK_SECRET,
+    onUpdate: (update) => bot.processUpdate(update),
+    isReady: () => ready,
+  })
+  : null;
+
+if (httpServer) {
+  await new Promise((resolve, reject) => {
+    httpServer.once('error', reject);
+    httpServer.listen(HTTP_PORT, resolve);
+  });
+  console.log(`HTTP server listening on port ${HTTP_PORT} (/healthz, /readyz).`);
+}
+
+if (BOT_MODE === 'webhook') {
+  if (WEBHOOK_URL) {
+    await bot.setWebHook(new URL(WEBHOOK_PATH, WEBHOOK_URL).href, { secret_token: WEBHOOK_SECRET });
+    console.log(`Webhook registered with Telegram for ${new URL(WEBHOOK_URL).origin}.`);
+  } else {
+    console.warn(
+      `BOT_WEBHOOK_URL is not set; skipping webhook registration. POST updates to ${WEBHOOK_PATH} yourself.`,
+    );
+  }
+} else {
+  await bot.startPolling();
+}
+
+ready = true;
+
+const shutdown = async (signal) => {
+  console.log(`Received ${signal}, shutting down.`);
+  ready = false;
+  fileWatcher?.close();
+
+  if (BOT_MODE === 'polling') {
+    await bot.stopPolling().catch(() => {});
+  }
+
+  await new Promise((resolve) => (httpServer ? httpServer.close(resolve) : resolve()));
+  await store.close();
+  process.exit(0);
+};
+
+process.once('SIGTERM', shutdown);
+process.once('SIGINT', shutdown);
+
+// Command handlers are fire-and-forget; a failed Telegram call must not take the HTTP server down.
+process.on('unhandledRejection', (error) => {
+  console.error('Unhandled rejection in a bot handler:', error);
+});
+
+const subscriberCount = (await store.listUsers()).length;
 
 console.log(
-  `Telegram bot started. Managing ${Object.keys(progress.users).length} subscribers across ${lessons.length
-  } lessons.`,
+  `Telegram bot started in ${BOT_MODE} mode. Managing ${subscriberCount} subscribers (${
+    store.kind
+  } store at ${store.location}) across ${[...lessonSets.entries()]
+    .map(([locale, set]) => `${set.length} ${locale}`)
+    .join(', ')} lessons.`,
 );
@@ -1,37 +1,142 @@
 // tts_lessons.mjs
-import { readFile, mkdir, stat } from "node:fs/promises";
+//
+// Long lessons are split at paragraph boundaries into chunks of at most
+// --max-chars characters; each chunk is one TTS request and the PCM replies are
+// joined. The result is encoded to OGG/Opus (a Telegram voice note) with ffmpeg,
+// or written as WAV with --format wav. Every file gets an entry with its
+// duration and SHA-256 in <outdir>/manifest.json (see lib/ttsAudio.mjs).
+//
+// The manifest also records a hash of each file's inputs (text, voice, model and
+// encoding settings). A run renders only the files that are missing or whose
+// inputs changed; --overwrite renders everything, and --dry-run lists what a
+// run would render without calling the API.
+//
+// Files are rendered by a pool of --concurrency workers that together start at
+// most --rpm requests a minute. Rate limits (429), server errors (5xx) and
+// dropped connections are retried with backoff; other errors fail the file at
+// once. <outdir>/tts_jobs.json records the outcome of every file, a final
+// summary lists the failures, and the exit code is 1 when any file failed.
+// --only-failed renders just the files that failed last time. --backend fake
+// (or TTS_BACKEND=fake) swaps Gemini for an offline tone generator, see
+// lib/ttsBackends.mjs.
+//
+// --pronunciations renders a clip per divine name instead (name_<nnn>.ogg): the
+// Arabic name said slowly, then at a natural pace. No lessons file is needed.
+import { mkdir, rename, stat, writeFile } from "node:fs/promises";
 import { basename, resolve } from "node:path";
-import { GoogleGenAI } from "@google/genai";
 import wav from "wav";
+import { divineNames } from "./lib/divineNames.mjs";
+import { readLessonsDocument, renderLessonText } from "./lib/lessonModel.mjs";
+import {
+    CHUNK_PAUSE_MS,
+    DEFAULT_MAX_CHUNK_CHARS,
+    DEFAULT_OPUS_BITRATE,
+    describeAudioFile,
+    encodeOpus,
+    joinPcm,
+    NAME_CLIP_PAUSE_MS,
+    nameClipFilename,
+    pcmDurationSeconds,
+    pronunciationPrompts,
+    readManifest,
+    renderInputHash,
+    splitForSpeech,
+    staleReason,
+    writeManifest,
+} from "./lib/ttsAudio.mjs";
+import { createTtsBackend, FAKE_TTS_MODEL, TTS_BACKENDS } from "./lib/ttsBackends.mjs";
+import {
+    createRateLimiter,
+    createSerialWriter,
+    DEFAULT_CONCURRENCY,
+    DEFAULT_MAX_RETRIES,
+    DEFAULT_REQUESTS_PER_MINUTE,
+    DEFAULT_RETRY_DELAY_MS,
+    JOB_STATE_FILENAME,
+    JOB_STATE_VERSION,
+    readJobState,
+    runPool,
+    withClassifiedRetry,
+    writeJobState,
+} from "./lib/ttsQueue.mjs";
 
 // ---- Config (override via CLI args) ----
 const args = process.argv.slice(2);
-if (args.length < 1) {
-    console.error("Usage: node tts_lessons.mjs <daily_lesson.json> [--out outdir] [--voice Kore] [--model gemini-2.5-flash-preview-tts] [--overwrite]");
+const pronunciations = hasFlag("--pronunciations");
+const inputArg = args[0]?.startsWith("--") ? undefined : args[0];
+if (!inputArg && !pronunciations) {
+    console.error("Usage: node tts_lessons.mjs <daily_lesson.json> [--out outdir] [--voice Kore] [--model gemini-2.5-flash-preview-tts] [--format ogg|wav] [--max-chars 2500] [--bitrate 32k] [--backend gemini|fake] [--concurrency 2] [--rpm 10] [--retries 4] [--overwrite] [--only-failed] [--dry-run]");
+    console.error("       node tts_lessons.mjs --pronunciations [--out outdir] [--voice Kore] [--model ...] [--format ogg|wav] [--backend ...] [--concurrency 2] [--rpm 10] [--overwrite] [--only-failed] [--dry-run]");
     process.exit(1);
 }
 
-const inputPath = resolve(args[0]);
+const inputPath = inputArg ? resolve(inputArg) : null;
 const outDir = getFlag("--out", "audio_out");
 const voiceName = getFlag("--voice", "Kore");
 // TTS models are currently in preview; this one supports native audio output.
 const modelName = getFlag("--model", "gemini-2.5-flash-preview-tts");
 
+const audioFormat = getFlag("--format", "ogg");
+const maxChunkChars = Number.parseInt(getFlag("--max-chars", String(DEFAULT_MAX_CHUNK_CHARS)), 10);
+const opusBitrate = getFlag("--bitrate", DEFAULT_OPUS_BITRATE);
+
+const backendName = getFlag("--backend", process.env.TTS_BACKEND ?? "gemini");
+const concurrency = Number.parseInt(getFlag("--concurrency", String(DEFAULT_CONCURRENCY)), 10);
+const requestsPerMinute = Number.parseInt(getFlag("--rpm", String(DEFAULT_REQUESTS_PER_MINUTE)), 10);
+const maxRetries = Number.parseInt(getFlag("--retries", String(DEFAULT_MAX_RETRIES)), 10);
+const retryDelayMs = Number.parseInt(process.env.TTS_RETRY_DELAY_MS ?? String(DEFAULT_RETRY_DELAY_MS), 10);
+// The fake backend records its own model, so its files never pass for real audio.
+const renderModel = backendName === "fake" ? FAKE_TTS_MODEL : modelName;
+
 const overwriteExisting = hasFlag("--overwrite") || hasFlag("--force");
+const onlyFailed = hasFlag("--only-failed");
+const dryRun = hasFlag("--dry-run");
+
+if (!["ogg", "wav"].includes(audioFormat)) {
+    console.error(`Unknown --format "${audioFormat}"; use ogg or wav.`);
+    process.exit(1);
+}
+
+if (!Number.isInteger(maxChunkChars) || maxChunkChars < 100) {
+    console.error("--max-chars must be an integer of at least 100.");
+    process.exit(1);
+}
+
+if (!TTS_BACKENDS.includes(backendName)) {
+    console.error(`Unknown --backend "${backendName}"; use ${TTS_BACKENDS.join(" or ")}.`);
+    process.exit(1);
+}
+
+if (!Number.isInteger(concurrency) || concurrency < 1) {
+    console.error("--concurrency must be a positive integer.");
+    process.exit(1);
+}
+
+if (!Number.isInteger(requestsPerMinute) || requestsPerMinute < 0) {
+    console.error("--rpm must be a non-negative integer (0 disables the limit).");
+    process.exit(1);
+}
+
+if (!Number.isInteger(maxRetries) || maxRetries < 0) {
+    console.error("--retries must be a non-negative integer.");
+    process.exit(1);
+}
 
 // WAV/PCM parameters returned by the API (per docs)
 const CHANNELS = 1;
 const SAMPLE_RATE = 24000; // Hz
 const SAMPLE_WIDTH_BYTES = 2; // 16-bit PCM
 
-const apiKey = process.env.GEMINI_API_KEY;
-if (!apiKey) {
-    console.error("Missing GEMINI_API_KEY environment variable.");
-    process.exit(1);
+let backend = null;
+if (!dryRun) {
+    try {
+        backend = createTtsBackend({ backend: backendName, model: modelName, voice: voiceName });
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
 }
 
-const ai = new GoogleGenAI({ apiKey });
-
 // ---- Helpers ----
 function getFlag(flag, fallback) {
     const i = args.indexOf(flag);
@@ -42,6 +147,14 @@ function hasFlag(flag) {
     return args.includes(flag);
 }
 
+async function fileExists(p) {
+    try {
+        return (await stat(p)).isFile();
+    } catch {
+        return false;
+    }
+}
+
 async function ensureDir(p) {
     try {
         const s = await stat(p);
@@ -55,106 +168,225 @@ function toPadded(n, width = 3) {
     return String(n).padStart(width, "0");
 }
 
-function saveWaveFile(filename, pcmBuffer, channels = CHANNELS, rate = SAMPLE_RATE, sampleWidth = SAMPLE_WIDTH_BYTES) {
-    return new Promise((resolve, reject) => {
-        const writer = new wav.FileWriter(filename, {
-            channels,
-            sampleRate: rate,
-            bitDepth: sampleWidth * 8,
-        });
-        writer.on("finish", resolve);
-        writer.on("error", reject);
-        writer.write(pcmBuffer);
-        writer.end();
+// The WAV is assembled in memory and renamed into place like the OGG files, so
+// concurrent workers never race the header rewrite of wav.FileWriter.
+async function saveWaveFile(filename, pcmBuffer, channels = CHANNELS, rate = SAMPLE_RATE, sampleWidth = SAMPLE_WIDTH_BYTES) {
+    const writer = new wav.Writer({
+        channels,
+        sampleRate: rate,
+        bitDepth: sampleWidth * 8,
     });
+    const chunks = [];
+    writer.on("data", (chunk) => chunks.push(chunk));
+    // The first header assumes an unknown length; the "header" event carries the final one.
+    const [header] = await Promise.all([
+        new Promise((resolve, reject) => {
+            writer.on("header", resolve);
+            writer.on("error", reject);
+        }),
+        new Promise((resolve) => writer.on("end", resolve)),
+        new Promise((resolve) => writer.end(pcmBuffer, resolve)),
+    ]);
+
+    const file = Buffer.concat(chunks);
+    header.copy(file, 0);
+    const tmpPath = `${filename}.tmp`;
+    await writeFile(tmpPath, file);
+    await rename(tmpPath, filename);
 }
 
-// Simple retry wrapper (handles transient 429/5xx)
-async function withRetry(fn, { retries = 3, delayMs = 1000 } = {}) {
-    let lastErr;
-    for (let attempt = 0; attempt <= retries; attempt++) {
-        try {
-            return await fn();
-        } catch (err) {
-            lastErr = err;
-            if (attempt < retries) {
-                await new Promise(r => setTimeout(r, delayMs * Math.pow(2, attempt)));
-            }
-        }
-    }
-    throw lastErr;
+// One output file: the texts are spoken one request each and joined in order.
+function lessonJobs(lessons) {
+    return lessons.map((lesson) => {
+        const text = renderLessonText(lesson);
+        return {
+            label: `#${lesson.day}`,
+            fileName: `lesson_${toPadded(lesson.day)}.${audioFormat}`,
+            texts: text?.trim() ? splitForSpeech(text, maxChunkChars) : [],
+            pauseMs: CHUNK_PAUSE_MS,
+            manifestFields: { day: lesson.day },
+        };
+    });
+}
+
+function pronunciationJobs() {
+    return divineNames.map((entry) => ({
+        label: `name #${entry.index} ${entry.transliteration}`,
+        fileName: nameClipFilename(entry.index, audioFormat),
+        texts: pronunciationPrompts(entry),
+        pauseMs: NAME_CLIP_PAUSE_MS,
+        manifestFields: { nameIndex: entry.index },
+    }));
 }
 
 // ---- Main ----
 (async () => {
-    await ensureDir(outDir);
+    if (!dryRun) {
+        await ensureDir(outDir);
+    }
 
-    const raw = await readFile(inputPath, "utf-8");
-    let lines;
-    try {
-        const data = JSON.parse(raw);
-        if (!Array.isArray(data) || !data.every(s => typeof s === "string")) {
-            throw new Error("JSON must be an array of strings.");
+    let jobs;
+    if (pronunciations) {
+        jobs = pronunciationJobs();
+    } else {
+        try {
+            const { lessons } = await readLessonsDocument(inputPath);
+            jobs = lessonJobs(lessons);
+        } catch (e) {
+            console.error(`Failed to parse ${basename(inputPath)}: ${e.message}`);
+            process.exit(1);
         }
-        lines = data;
-    } catch (e) {
-        console.error(`Failed to parse ${basename(inputPath)}: ${e.message}`);
-        process.exit(1);
     }
 
-    console.log(`Generating audio with model "${modelName}" and voice "${voiceName}"`);
-    let idx = 0;
-    for (const text of lines) {
-        idx++;
-        const fileBase = `lesson_${toPadded(idx)}`;
-        const outPath = resolve(outDir, `${fileBase}.wav`);
+    const manifest = await readManifest(outDir);
+    const previousState = await readJobState(outDir);
 
-        if (!text?.trim()) {
-            console.warn(`Skipping #${idx}: empty string`);
+    // Decide up front which files need rendering, so --dry-run and the real run agree.
+    const pending = [];
+    let upToDate = 0;
+    for (const job of jobs) {
+        if (job.texts.length === 0) {
+            console.warn(`Skipping ${job.label}: empty string`);
             continue;
         }
 
-        if (!overwriteExisting) {
-            try {
-                const existing = await stat(outPath);
-                if (existing.isFile()) {
-                    console.log(`↷ Skipping #${idx} (${outPath}) – already exists (use --overwrite to regenerate).`);
-                    continue;
-                }
-            } catch {
-                // File does not exist; continue generation.
-            }
+        const inputs = {
+            texts: job.texts,
+            voice: voiceName,
+            model: renderModel,
+            format: audioFormat,
+            bitrate: opusBitrate,
+            pauseMs: job.pauseMs,
+        };
+        const reason = overwriteExisting
+            ? "--overwrite"
+            : staleReason(manifest.files[job.fileName], inputs, { fileExists: await fileExists(resolve(outDir, job.fileName)) });
+
+        if (reason && onlyFailed && previousState.jobs[job.fileName]?.state !== "failed") {
+            continue;
         }
 
-        // Build request to return audio (PCM) and chosen voice
-        const genFn = async () => {
-            const response = await ai.models.generateContent({
-                model: modelName,
-                contents: [{ parts: [{ text }] }],
-                config: {
-                    responseModalities: ["AUDIO"],
-                    speechConfig: {
-                        voiceConfig: {
-                            prebuiltVoiceConfig: { voiceName },
-                        },
-                    },
-                },
-            });
+        if (reason) {
+            pending.push({ ...job, reason, inputHash: renderInputHash(inputs) });
+        } else {
+            upToDate++;
+        }
+    }
 
-            // Extract base64 PCM payload
-            const b64 = response?.candidates?.[0]?.content?.parts?.[0]?.inlineData?.data;
-            if (!b64) throw new Error("No audio data returned from Gemini.");
-            return Buffer.from(b64, "base64");
-        };
+    console.log(`${pending.length} file(s) to render, ${upToDate} up to date in ${resolve(outDir)}.`);
+    if (dryRun) {
+        for (const job of pending) {
+            console.log(`  ${job.fileName} (${job.label}): ${job.reason}`);
+        }
+        return;
+    }
+
+    const state = {
+        version: JOB_STATE_VERSION,
+        startedAt: new Date().toISOString(),
+        finishedAt: null,
+        jobs: { ...previousState.jobs },
+    };
+    for (const job of pending) {
+        state.jobs[job.fileName] = { label: job.label, state: "pending", attempts: 0, inputHash: job.inputHash, updatedAt: state.startedAt };
+    }
+
+    // Workers finish out of order; saves go one at a time so neither file is written twice at once.
+    const save = createSerialWriter();
+    const saveState = () => save(() => writeJobState(outDir, state));
+    const limiter = createRateLimiter(requestsPerMinute);
+    await saveState();
+
+    async function renderJob(job, { stop }) {
+        const outPath = resolve(outDir, job.fileName);
+        let attempts = 0;
+        console.log(`→ Rendering ${job.label} (${job.reason})`);
 
         try {
-            const pcmBuffer = await withRetry(genFn);
-            await saveWaveFile(outPath, pcmBuffer);
-            console.log(`✔ Wrote ${outPath}`);
+            const pcmParts = [];
+            for (const [chunkIndex, text] of job.texts.entries()) {
+                if (job.texts.length > 1 && !pronunciations) {
+                    console.log(`  ${job.label}: chunk ${chunkIndex + 1}/${job.texts.length} (${text.length} chars)`);
+                }
+                const { result, attempts: chunkAttempts } = await withClassifiedRetry(
+                    async () => {
+                        await limiter.acquire();
+                        return backend.synthesize(text);
+                    },
+                    {
+                        maxRetries,
+                        baseDelayMs: retryDelayMs,
+                        onRetry: (err, delay, attempt) =>
+                            console.warn(`  ${job.label}: ${err.message} – retry ${attempt}/${maxRetries} in ${delay}ms`),
+                    },
+                );
+                attempts += chunkAttempts;
+                pcmParts.push(result);
+            }
+
+            const pcmBuffer = joinPcm(pcmParts, { pauseMs: job.pauseMs });
+            if (audioFormat === "ogg") {
+                await encodeOpus(pcmBuffer, outPath, { bitrate: opusBitrate });
+            } else {
+                await saveWaveFile(outPath, pcmBuffer);
+            }
+
+            manifest.files[job.fileName] = {
+                ...job.manifestFields,
+                format: audioFormat,
+                durationSeconds: pcmDurationSeconds(pcmBuffer),
+                ...(await describeAudioFile(outPath)),
+                chunks: job.texts.length,
+                voice: voiceName,
+                model: renderModel,
+                inputHash: job.inputHash,
+                createdAt: new Date().toISOString(),
+            };
+            state.jobs[job.fileName] = { label: job.label, state: "done", attempts, inputHash: job.inputHash, updatedAt: new Date().toISOString() };
+            // Saved after every file, so an interrupted run keeps the entries it finished.
+            await save(() => writeManifest(outDir, manifest));
+            console.log(`✔ Wrote ${outPath} (${manifest.files[job.fileName].durationSeconds}s, ${job.texts.length} chunk(s))`);
         } catch (err) {
-            console.error(`✖ Failed item #${idx}: ${err.message}`);
+            attempts += err.attempts ?? 0;
+            state.jobs[job.fileName] = {
+                label: job.label,
+                state: "failed",
+                attempts,
+                status: err.status ?? null,
+                error: err.message,
+                inputHash: job.inputHash,
+                updatedAt: new Date().toISOString(),
+            };
+            console.error(`✖ Failed ${job.label}: ${err.message}`);
+            // Without ffmpeg every file would fail the same way.
+            if (err.code === "ENOENT" && audioFormat === "ogg") {
+                stop();
+            }
         }
+
+        await saveState();
     }
 
-    console.log("Done.");
+    console.log(
+        `Generating ${audioFormat} audio with ${backend.name} model "${renderModel}" and voice "${voiceName}" ` +
+        `(${concurrency} worker(s), ${requestsPerMinute > 0 ? `${requestsPerMinute} requests/min` : "no rate limit"})`,
+    );
+    await runPool(pending, renderJob, { concurrency });
+
+    state.finishedAt = new Date().toISOString();
+    await saveState();
+
+    const outcomes = pending.map((job) => ({ job, entry: state.jobs[job.fileName] }));
+    const failed = outcomes.filter(({ entry }) => entry.state === "failed");
+    const notStarted = outcomes.filter(({ entry }) => entry.state === "pending");
+    const rendered = outcomes.length - failed.length - notStarted.length;
+
+    console.log(`\nRendered ${rendered}, failed ${failed.length}, not started ${notStarted.length} of ${pending.length} file(s).`);
+    for (const { job, entry } of failed) {
+        console.log(`  ✖ ${job.fileName} (${job.label}) after ${entry.attempts} attempt(s): ${entry.error}`);
+    }
+    if (failed.length > 0 || notStarted.length > 0) {
+        console.log(`Details in ${resolve(outDir, JOB_STATE_FILENAME)}; rerun (or use --only-failed) to retry.`);
+        process.exitCode = 1;
+    }
 })();
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Check the canonical divine-names dataset (`scripts/lib/divineNames.mjs`) for
+ * inconsistencies: gaps in the index order, duplicate names, alternate
+ * spellings that do not reduce to the canonical Arabic, malformed Quranic
+ * references, and lesson headings that no longer match the dataset.
+ *
+ * Usage:
+ *   node scripts/validateDivineNames.mjs [lessonsFile] [--strict]
+ *
+ * Defaults:
+ *   lessonsFile = ./daily_lessons.json (skipped when missing)
+ *
+ * Errors exit with status 1; warnings only do so with `--strict`.
+ */
+
+import path from 'node:path';
+import process from 'node:process';
+import { divineNames, normalizeArabic } from './lib/divineNames.mjs';
+import { LANGUAGES } from './lib/i18n.mjs';
+import { readLessonsDocument } from './lib/lessonModel.mjs';
+
+const EXPECTED_COUNT = 99;
+const SURAH_COUNT = 114;
+const ARABIC_TEXT = /^[\u0600-\u06FF ]+$/;
+const ARABIC_SCRIPT_TEXT = /[\u0600-\u06FF]/;
+const TRANSLITERATION_TEXT = /^[A-Z][A-Z' -]*$/;
+const QURAN_REFERENCE = /^(\d{1,3}):(\d{1,3})$/;
+const LEADING_MARK = /(^|\s)[\u064B-\u065F\u0670]/;
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const [lessonsArg] = args.filter((arg) => !arg.startsWith('--'));
+const lessonsPath = path.resolve(process.cwd(), lessonsArg ?? 'daily_lessons.json');
+
+const errors = [];
+const warnings = [];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const checkEntry = (entry, position) => {
+  const label = `#${entry?.index ?? position + 1} ${entry?.transliteration ?? ''}`.trim();
+
+  if (entry.index !== position + 1) {
+    errors.push(`${label}: expected index ${position + 1}, found ${entry.index}`);
+  }
+
+  if (!isNonEmptyString(entry.arabic) || !ARABIC_TEXT.test(entry.arabic)) {
+    errors.push(`${label}: arabic must be non-empty Arabic script`);
+  } else {
+    if (entry.arabic.includes('ٱ')) {
+      warnings.push(`${label}: canonical arabic uses alef wasla (ٱ); the rest of the dataset uses a plain alef`);
+    }
+
+    if (LEADING_MARK.test(entry.arabic)) {
+      warnings.push(`${label}: arabic has a diacritic with no letter before it`);
+    }
+  }
+
+  if (!isNonEmptyString(entry.transliteration) || !TRANSLITERATION_TEXT.test(entry.transliteration)) {
+    errors.push(`${label}: transliteration must be upper-case Latin letters, apostrophes, hyphens or spaces`);
+  }
+
+  // Every locale the bot speaks needs its own meaning; right-to-left ones must be in Arabic script.
+  for (const [locale, { language, direction }] of Object.entries(LANGUAGES)) {
+    const meaning = entry.meanings?.[locale];
+
+    if (!isNonEmptyString(meaning) || (direction === 'rtl' && !ARABIC_SCRIPT_TEXT.test(meaning))) {
+      errors.push(`${label}: missing ${language} meaning`);
+    }
+  }
+
+  if (!Array.isArray(entry.quranicReferences)) {
+    errors.push(`${label}: quranicReferences must be an array`);
+  } else {
+    for (const reference of entry.quranicReferences) {
+      const match = QURAN_REFERENCE.exec(reference);
+
+      if (!match || Number(match[1]) < 1 || Number(match[1]) > SURAH_COUNT || Number(match[2]) < 1) {
+        errors.push(`${label}: malformed Quranic reference "${reference}"`);
+      }
+    }
+  }
+
+  const alternates = entry.alternateSpellings;
+
+  if (!Array.isArray(alternates?.arabic) || !Array.isArray(alternates?.transliteration)) {
+    errors.push(`${label}: alternateSpellings needs arabic and transliteration arrays`);
+    return;
+  }
+
+  for (const spelling of alternates.arabic) {
+    if (spelling === entry.arabic) {
+      warnings.push(`${label}: alternate arabic "${spelling}" repeats the canonical spelling`);
+    } else if (normalizeArabic(spelling) !== normalizeArabic(entry.arabic)) {
+      errors.push(`${label}: alternate arabic "${spelling}" does not match "${entry.arabic}" once diacritics are removed`);
+    }
+  }
+
+  for (const spelling of alternates.transliteration) {
+    if (spelling === entry.transliteration) {
+      warnings.push(`${label}: alternate transliteration "${spelling}" repeats the canonical spelling`);
+    }
+  }
+};
+
+// Two names must never share a spelling, or roll and video lookups become ambiguous.
+const checkUniqueness = () => {
+  const owners = new Map();
+
+  const claim = (key, entry, description) => {
+    const owner = owners.get(key);
+
+    if (owner && owner.index !== entry.index) {
+      errors.push(`#${entry.index} ${entry.transliteration}: ${description} is also used by #${owner.index} ${owner.transliteration}`);
+    } else {
+      owners.set(key, entry);
+    }
+  };
+
+  for (const entry of divineNames) {
+    claim(`ar:${normalizeArabic(entry.arabic)}`, entry, `arabic "${entry.arabic}"`);
+
+    for (const spelling of [entry.transliteration, ...(entry.alternateSpellings?.transliteration ?? [])]) {
+      claim(`tr:${spelling}`, entry, `transliteration "${spelling}"`);
+    }
+  }
+
+  const meanings = new Map();
+
+  for (const entry of divineNames) {
+    const meaning = entry.meanings?.en;
+
+    if (meanings.has(meaning)) {
+      warnings.push(`#${entry.index} ${entry.transliteration}: English meaning "${meaning}" duplicates #${meanings.get(meaning)}`);
+    } else {
+      meanings.set(meaning, entry.index);
+    }
+  }
+};
+
+const checkLessons = async () => {
+  const { lessons } = await readLessonsDocument(lessonsPath, { allowMissing: true });
+
+  for (const lesson of lessons) {
+    if (lesson.nameIndex === null) {
+      continue;
+    }
+
+    const entry = divineNames[lesson.nameIndex - 1];
+
+    if (lesson.day !== lesson.nameIndex) {
+      errors.push(`Day ${lesson.day}: focuses on name #${lesson.nameIndex}, expected #${lesson.day}`);
+    }
+
+    if (entry && !lesson.heading.includes(entry.transliteration)) {
+      warnings.push(`Day ${lesson.day}: heading "${lesson.heading}" does not mention ${entry.transliteration}`);
+    }
+  }
+
+  return lessons.length;
+};
+
+const main = async () => {
+  if (divineNames.length !== EXPECTED_COUNT) {
+    errors.push(`Expected ${EXPECTED_COUNT} names, found ${divineNames.length}`);
+  }
+
+  divineNames.forEach(checkEntry);
+  checkUniqueness();
+  const lessonCount = await checkLessons();
+
+  for (const warning of warnings) {
+    console.warn(`warning: ${warning}`);
+  }
+
+  for (const error of errors) {
+    console.error(`error: ${error}`);
+  }
+
+  console.log(
+    `Checked ${divineNames.length} names and ${lessonCount} lessons: ${errors.length} error(s), ${warnings.length} warning(s).`,
+  );
+
+  if (errors.length > 0 || (strict && warnings.length > 0)) {
+    process.exitCode = 1;
+  }
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
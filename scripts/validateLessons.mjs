@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Check a generated lessons document for quality problems: missing outline
+ * sections, lessons that are too short or too long, lessons that never name
+ * their focus name, text that is not mostly in the document's language, and
+ * example stories that nearly repeat an earlier day's.
+ *
+ * Usage:
+ *   node scripts/validateLessons.mjs [lessonsFile] [--fix] [--provider name]
+ *     [--min-length n] [--max-length n] [--similarity 0-1] [--attempts n]
+ *
+ * Defaults:
+ *   lessonsFile = ./daily_lessons.json
+ *   attempts    = 2 (regenerations per failing day with --fix)
+ *
+ * `--fix` regenerates only the failing days with the lesson generator (same
+ * provider settings as `generateLessons.mjs`), telling the model what was
+ * wrong, and saves each accepted lesson as it goes; replaced lessons go to the
+ * revision history (`lib/lessonRevisions.mjs`). Exits with status 1 while
+ * any issue remains.
+ */
+
+import path from 'node:path';
+import process from 'node:process';
+import { createLessonGenerator } from './lib/lessonGenerator.mjs';
+import { readLessonsDocument, writeLessonsDocument } from './lib/lessonModel.mjs';
+import { DEFAULT_QUALITY_OPTIONS, validateLessons } from './lib/lessonQuality.mjs';
+import { recordRevision } from './lib/lessonRevisions.mjs';
+import { createLlmProvider } from './lib/llmProviders.mjs';
+
+const args = process.argv.slice(2);
+const VALUE_FLAGS = ['--provider', '--min-length', '--max-length', '--similarity', '--attempts'];
+
+const getFlagValue = (flag) => {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const getNumberFlag = (flag, fallback) => {
+  const value = getFlagValue(flag);
+
+  if (value === undefined) {
+    return fallback;
+  }
+
+  const number = Number(value);
+
+  if (!Number.isFinite(number) || number < 0) {
+    console.error(`${flag} expects a non-negative number, got "${value}".`);
+    process.exit(1);
+  }
+
+  return number;
+};
+
+const positional = args.filter((arg, index) => !arg.startsWith('--') && !VALUE_FLAGS.includes(args[index - 1]));
+const lessonsPath = path.resolve(process.cwd(), positional[0] ?? 'daily_lessons.json');
+const fix = args.includes('--fix');
+const attempts = Math.max(1, Math.floor(getNumberFlag('--attempts', 2)));
+const options = {
+  minLength: getNumberFlag('--min-length', DEFAULT_QUALITY_OPTIONS.minLength),
+  maxLength: getNumberFlag('--max-length', DEFAULT_QUALITY_OPTIONS.maxLength),
+  duplicateThreshold: getNumberFlag('--similarity', DEFAULT_QUALITY_OPTIONS.duplicateThreshold),
+};
+
+const printReport = (report) => {
+  for (const [day, issues] of [...report].sort(([a], [b]) => a - b)) {
+    console.log(`Day ${day}:`);
+    issues.forEach((issue) => console.log(`  - ${issue}`));
+  }
+};
+
+const issuesForDay = (lessons, day, locale) => validateLessons(lessons, locale, options).get(day) ?? [];
+
+const fixDay = async (generator, lessons, day, issues, locale) => {
+  const position = lessons.findIndex((lesson) => lesson.day === day);
+  let notes = issues;
+  let best = { lesson: lessons[position], issues };
+
+  for (let attempt = 1; attempt <= attempts && best.issues.length > 0; attempt += 1) {
+    const prior = lessons.filter((lesson) => lesson.day < day);
+    const candidate = await generator.generateLesson(day, prior, locale, { notes });
+    const candidateIssues = issuesForDay(lessons.with(position, candidate), day, locale);
+
+    console.log(
+      candidateIssues.length === 0
+        ? `[${locale}] Day ${day} passes after regeneration.`
+        : `[${locale}] Day ${day} attempt ${attempt} still has ${candidateIssues.length} issue(s): ${candidateIssues.join('; ')}`,
+    );
+
+    if (candidateIssues.length < best.issues.length) {
+      best = { lesson: candidate, issues: candidateIssues };
+    }
+
+    notes = candidateIssues;
+  }
+
+  return best;
+};
+
+const main = async () => {
+  const { locale, lessons } = await readLessonsDocument(lessonsPath);
+  const report = validateLessons(lessons, locale, options);
+  const issueCount = [...report.values()].reduce((total, issues) => total + issues.length, 0);
+
+  printReport(report);
+  console.log(`Checked ${lessons.length} ${locale} lessons: ${issueCount} issue(s) on ${report.size} day(s).`);
+
+  if (report.size === 0 || !fix) {
+    process.exitCode = report.size > 0 ? 1 : 0;
+    return;
+  }
+
+  let generator;
+
+  try {
+    generator = createLessonGenerator({ provider: createLlmProvider({ provider: getFlagValue('--provider') }) });
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  let current = lessons;
+  const unresolved = [];
+
+  for (const day of [...report.keys()].sort((a, b) => a - b)) {
+    // Fixing an earlier day can clear a later day's duplicate-story issue.
+    const issues = issuesForDay(current, day, locale);
+
+    if (issues.length === 0) {
+      continue;
+    }
+
+    const result = await fixDay(generator, current, day, issues, locale);
+
+    const previous = current.find((lesson) => lesson.day === day);
+
+    if (result.lesson !== previous) {
+      await recordRevision(lessonsPath, previous, { reason: 'fix' });
+      current = current.map((lesson) => (lesson.day === day ? result.lesson : lesson));
+      await writeLessonsDocument(lessonsPath, current, { locale });
+    }
+
+    if (result.issues.length > 0) {
+      unresolved.push(day);
+    }
+  }
+
+  console.log(
+    unresolved.length === 0
+      ? `Fixed every failing day in ${lessonsPath}.`
+      : `Days still failing after ${attempts} attempt(s): ${unresolved.join(', ')}.`,
+  );
+  process.exitCode = unresolved.length > 0 ? 1 : 0;
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Replay recorded YouTube Data API responses (see `lib/youtubeClient.mjs`) so
+ * the video scripts run without a network or an API key. The default directory
+ * holds hand-written samples in the recorded format; pass the directory of a
+ * real recording to replay that instead.
+ *
+ * Usage:
+ *   node scripts/youtubeStubServer.mjs [fixturesDir] [--port n] [--fail 403,503]
+ *
+ * Defaults:
+ *   fixturesDir = fixtures/youtube-synthetic
+ *   port        = YOUTUBE_STUB_PORT or 8788
+ *
+ * `--fail` answers the first requests with the given statuses (403 as a
+ * `quotaExceeded` error) before replaying, to exercise the client's retries.
+ * A request without a matching fixture gets a 404 naming the missing key.
+ *
+ * Point a script at it:
+ *   YOUTUBE_API_BASE=http://localhost:8788/youtube/v3 pnpm videos:names -- --names 17
+ */
+
+import { promises as fs } from 'node:fs';
+import http from 'node:http';
+import path from 'node:path';
+import process from 'node:process';
+import { fixtureKey } from './lib/youtubeClient.mjs';
+
+const args = process.argv.slice(2);
+const VALUE_FLAGS = ['--port', '--fail'];
+
+const getFlagValue = (flag) => {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+
+const [fixturesArg] = args.filter((arg, index) => !arg.startsWith('--') && !VALUE_FLAGS.includes(args[index - 1]));
+const fixturesDir = path.resolve(process.cwd(), fixturesArg ?? path.join('fixtures', 'youtube-synthetic'));
+const port = Number.parseInt(getFlagValue('--port') ?? process.env.YOUTUBE_STUB_PORT ?? '8788', 10);
+const failures = (getFlagValue('--fail') ?? '')
+  .split(',')
+  .map((status) => Number.parseInt(status, 10))
+  .filter(Number.isInteger);
+
+const FAILURE_BODIES = {
+  403: { error: { code: 403, message: 'Quota exceeded (stub).', errors: [{ reason: 'quotaExceeded' }] } },
+};
+
+const loadFixtures = async () => {
+  const fixtures = new Map();
+
+  for (const filename of (await fs.readdir(fixturesDir)).filter((name) => name.endsWith('.json'))) {
+    const fixture = JSON.parse(await fs.readFile(path.join(fixturesDir, filename), 'utf8'));
+    fixtures.set(fixtureKey(fixture.endpoint, fixture.params), fixture.response);
+  }
+
+  return fixtures;
+};
+
+const sendJson = (res, statusCode, payload) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(payload));
+};
+
+const main = async () => {
+  const fixtures = await loadFixtures();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url ?? '/', 'http://localhost');
+    const endpoint = url.pathname.split('/').filter(Boolean).at(-1) ?? '';
+
+    if (failures.length > 0) {
+      const status = failures.shift();
+      console.log(`${req.method} ${endpoint} → simulated ${status}`);
+      sendJson(res, status, FAILURE_BODIES[status] ?? { error: { code: status, message: 'Simulated failure (stub).' } });
+      return;
+    }
+
+    const key = fixtureKey(endpoint, url.searchParams);
+    const response = fixtures.get(key);
+
+    console.log(`${req.method} ${endpoint} ${url.searchParams.get('q') ?? url.searchParams.get('id') ?? ''} → ${response ? 200 : 404}`);
+
+    if (!response) {
+      sendJson(res, 404, { error: { code: 404, message: `No fixture ${key} in ${fixturesDir}` } });
+      return;
+    }
+
+    sendJson(res, 200, response);
+  });
+
+  server.listen(port, () => {
+    console.log(`Replaying ${fixtures.size} YouTube fixtures on http://localhost:${port}/youtube/v3`);
+  });
+
+  const shutdown = () => server.close(() => process.exit(0));
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exitCode = 1;
+});